@@ -0,0 +1,35 @@
+/**
+ * Ethos85 API app — routes only, no listener, so tests can mount it on an
+ * ephemeral port. server/index.js starts it for local development.
+ *
+ * POST /api/calculate-blend  – ethanol blend math
+ * POST /api/analyze-log      – bootmod3 / MHD CSV datalog analysis
+ */
+
+import express from 'express';
+import cors from 'cors';
+import { upload, handleCalculateBlend, handleAnalyzeLog } from './handlers.js';
+
+const app = express();
+
+// ─── Middleware ──────────────────────────────────────────────────────────────
+
+// Open CORS for all origins — this is a local dev tool, not a public API.
+// Restricting to localhost:5173 breaks access from phones/tablets on the same LAN.
+app.use(cors());
+app.use(express.json());
+
+// ─── Routes ──────────────────────────────────────────────────────────────────
+
+app.post('/api/calculate-blend', handleCalculateBlend);
+app.post('/api/analyze-log', upload.single('file'), handleAnalyzeLog);
+
+// ─── Global error handler ────────────────────────────────────────────────────
+
+// eslint-disable-next-line no-unused-vars
+app.use((err, _req, res, _next) => {
+  console.error('[API Error]', err.message);
+  res.status(500).json({ success: false, error: err.message });
+});
+
+export default app;
@@ -0,0 +1,101 @@
+/**
+ * Route handlers shared by the Express dev server (server/index.js) and the
+ * Vercel functions (api/*.js). Both wire these up unchanged so the two
+ * deployments cannot drift apart again.
+ */
+
+import multer from 'multer';
+import { calculateBlend, solveBlend } from '../shared/blendMath.js';
+import { analyzeLog } from '../shared/logAnalyzer.js';
+
+// Multer: keep CSV in memory.
+// Accept any MIME type as long as the filename ends in .csv — iOS and Android
+// often send text/plain, application/vnd.ms-excel, or application/octet-stream
+// for CSV files, not the canonical text/csv.
+export const upload = multer({
+  storage: multer.memoryStorage(),
+  limits:  { fileSize: 20 * 1024 * 1024 }, // 20 MB
+  fileFilter: (_req, file, cb) => {
+    if (file.originalname.toLowerCase().endsWith('.csv')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .csv files are accepted.'));
+    }
+  },
+});
+
+// ─── POST /api/calculate-blend ───────────────────────────────────────────────
+
+export function handleCalculateBlend(req, res) {
+  try {
+    const {
+      current_gallons,         currentFuel,
+      current_ethanol_percent, currentE,
+      target_ethanol_percent,  targetE,
+      tank_size,               tankSize,
+      pump_ethanol_percent,    pumpEthanol,
+      pump_octane,             pumpOctane,
+      e85_ethanol_percent,     e85Ethanol,
+      fuels,
+    } = req.body;
+
+    // A `fuels` list switches to the multi-fuel solver
+    if (Array.isArray(fuels)) {
+      const result = solveBlend({
+        current_gallons:         current_gallons         ?? currentFuel,
+        current_ethanol_percent: current_ethanol_percent ?? currentE,
+        target_ethanol_percent:  target_ethanol_percent  ?? targetE,
+        tank_size:               tank_size               ?? tankSize,
+        fuels,
+        objective:               req.body.objective      ?? 'cheapest',
+        mpg:                     req.body.mpg            ?? null,
+        l_per_100km:             req.body.l_per_100km    ?? req.body.lPer100km ?? null,
+        units:                   req.body.units          ?? 'us_gal',
+        precision_mode:          req.body.precision_mode ?? req.body.precisionMode ?? false,
+      });
+      return res.json({ success: true, data: result });
+    }
+
+    const result = calculateBlend({
+      current_gallons:         current_gallons         ?? currentFuel,
+      current_ethanol_percent: current_ethanol_percent ?? currentE,
+      target_ethanol_percent:  target_ethanol_percent  ?? targetE,
+      tank_size:               tank_size               ?? tankSize,
+      pump_ethanol_percent:    pump_ethanol_percent    ?? pumpEthanol ?? 0,
+      pump_octane:             pump_octane             ?? pumpOctane ?? 93,
+      e85_ethanol_percent:     e85_ethanol_percent     ?? e85Ethanol ?? 85,
+      mpg:                     req.body.mpg            ?? null,
+      l_per_100km:             req.body.l_per_100km    ?? req.body.lPer100km ?? null,
+      units:                   req.body.units          ?? 'us_gal',
+      precision_mode:          req.body.precision_mode ?? req.body.precisionMode ?? false,
+    });
+
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(400).json({ success: false, error: err.message });
+  }
+}
+
+// ─── POST /api/analyze-log ───────────────────────────────────────────────────
+
+export function handleAnalyzeLog(req, res) {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        success: false,
+        error: 'No file uploaded. Send the CSV as multipart/form-data with field name "file".',
+      });
+    }
+
+    // car_details is a JSON string appended as a non-file field in the multipart form
+    let carDetails = {};
+    if (req.body.car_details) {
+      try { carDetails = JSON.parse(req.body.car_details); } catch { /* ignore malformed */ }
+    }
+
+    const result = analyzeLog(req.file.buffer, req.file.originalname, carDetails);
+    res.json({ success: true, data: result });
+  } catch (err) {
+    res.status(422).json({ success: false, error: err.message });
+  }
+}
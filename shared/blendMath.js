@@ -0,0 +1,746 @@
+/**
+ * Ethanol blend math for Ethos85.
+ *
+ * Solves a two-fuel mixing problem:
+ *   We have `current_gallons` of fuel at `current_ethanol_percent` (e.g. E10).
+ *   We want to reach `target_ethanol_percent` in a `tank_size` tank.
+ *   We add E85 and/or 93-octane pump gas (0% ethanol).
+ *
+ * Pump "E85" is rarely 85% — it varies seasonally (E51–E83), so the E85
+ * content `ee` is an input that defaults to 0.85 and should come from a
+ * tester reading when one is available.
+ *
+ * Core equation (filling the tank to capacity):
+ *   (current_gallons * ce + e85 * ee) / tank_size = target_ethanol_percent / 100
+ *
+ * Solving for e85:
+ *   e85 = (tank_size * te/100 - current_gallons * ce/100) / ee
+ *
+ * Precision mode: returns 3-decimal accuracy and staged fill steps to help
+ * avoid pump overshoot (a real-world problem when filling in small increments).
+ *
+ * Drain planning: when filling alone can't reach the target, `drain_plan`
+ * gives the minimum volume to drain (or burn off at the given fuel economy)
+ * first, then the refill split. Fuel leaves the tank at the current blend, so draining only
+ * shrinks the volume — the refill does the correcting.
+ *
+ * solveBlend generalises this to any list of available fuels (E85 that tests
+ * E51–E83, E15, E10, E0 race gas …) each with its own price and pump limit,
+ * and picks the cheapest or fewest-stops combination that hits the target.
+ * When none does, its `drain_plan` refills from the highest- or lowest-ethanol
+ * fuel on the list the same way.
+ *
+ * Every result carries `fuel_properties` — estimated AKI/RON/MON, stoich AFR
+ * and fuel-flow demand vs E0 — see blendProperties below.
+ *
+ * Units: the mixing is ratio-only, so every volume (`current_gallons`,
+ * `tank_size`, `max_gallons`, results) is simply in the requested `units` —
+ * the field names keep "gallons" for API compatibility. Units only change
+ * labels, prices (per unit) and how burn-off distance is expressed.
+ */
+
+const MAX_SOLVER_FUELS = 8;     // enumeration is 3^n-ish — plenty for local stations
+const SOLVER_EPSILON   = 1e-6;
+
+// ─── Fuel Properties ─────────────────────────────────────────────────────────
+
+const ETHANOL_RON = 108.6;
+const ETHANOL_MON = 89.7;
+const GASOLINE_SENSITIVITY  = 10;     // RON − MON of typical US pump gas
+const ETHANOL_STOICH        = 9.0;
+const GASOLINE_STOICH       = 14.7;
+const ETHANOL_DENSITY       = 0.789;  // kg/L
+const GASOLINE_DENSITY      = 0.745;
+const ETHANOL_MOLAR_VOLUME  = 58.4;   // mL/mol
+const GASOLINE_MOLAR_VOLUME = 134;    // mL/mol, ~100 g/mol blendstock
+
+// Ethanol blends octane roughly linearly by mole, not by volume — its small
+// molecules make E10 ~27 mol% ethanol, which is why the first 10–30% of
+// ethanol buys far more octane than the last.
+function ethanolMoleFraction(ethanolPercent) {
+  const v = ethanolPercent / 100;
+  const eth = v / ETHANOL_MOLAR_VOLUME;
+  const gas = (1 - v) / GASOLINE_MOLAR_VOLUME;
+  return eth + gas > 0 ? eth / (eth + gas) : 0;
+}
+
+// RON/MON of the hydrocarbon blendstock under a pump rating, e.g. the ~88 AKI
+// base that becomes "93" once 10% ethanol is splashed in.
+function blendstockOctane(aki, ethanolPercent) {
+  const x = ethanolMoleFraction(ethanolPercent);
+  const ron = aki + GASOLINE_SENSITIVITY / 2;
+  const mon = aki - GASOLINE_SENSITIVITY / 2;
+  if (x >= 1) return { ron, mon };
+  return {
+    ron: (ron - x * ETHANOL_RON) / (1 - x),
+    mon: (mon - x * ETHANOL_MON) / (1 - x),
+  };
+}
+
+/**
+ * Estimated properties of a tank made of several fuels.
+ * Each component is { volume, ethanol_percent, octane } where octane is the
+ * pump AKI rating of that fuel; components without one (E85, whatever is
+ * already in the tank) are assumed to share the `base_octane` blendstock.
+ *
+ * @param {object[]} components
+ * @param {{ aki: number, ethanol_percent: number }} [base_octane]  pump rating the default blendstock is backed out of
+ * @returns {{ aki, ron, mon, stoich_afr, fuel_flow_factor }|null}
+ *   fuel_flow_factor is volumetric fuel demand for the same air vs E0 (1.0).
+ */
+export function blendProperties(components, base_octane = { aki: 93, ethanol_percent: 0 }) {
+  const defaultStock = blendstockOctane(base_octane.aki, base_octane.ethanol_percent);
+  let ethMoles = 0, gasMoles = 0, ronSum = 0, monSum = 0, ethVolume = 0, total = 0;
+
+  for (const c of components) {
+    if (!(c.volume > 0)) continue;
+    const v = c.ethanol_percent / 100;
+    const stock = c.octane != null ? blendstockOctane(c.octane, c.ethanol_percent) : defaultStock;
+    const moles = c.volume * (1 - v) / GASOLINE_MOLAR_VOLUME;
+    ethMoles  += c.volume * v / ETHANOL_MOLAR_VOLUME;
+    gasMoles  += moles;
+    ronSum    += moles * stock.ron;
+    monSum    += moles * stock.mon;
+    ethVolume += c.volume * v;
+    total     += c.volume;
+  }
+  if (total <= 0) return null;
+
+  const moles = ethMoles + gasMoles;
+  const ron = (ethMoles * ETHANOL_RON + ronSum) / moles;
+  const mon = (ethMoles * ETHANOL_MON + monSum) / moles;
+
+  // Stoich blends linearly by mass fraction
+  const v = ethVolume / total;
+  const ethMass = v * ETHANOL_DENSITY;
+  const gasMass = (1 - v) * GASOLINE_DENSITY;
+  const massFraction = ethMass / (ethMass + gasMass);
+  const stoich = massFraction * ETHANOL_STOICH + (1 - massFraction) * GASOLINE_STOICH;
+  const density = ethMass + gasMass;
+
+  return {
+    aki:              round((ron + mon) / 2, 1),
+    ron:              round(ron, 1),
+    mon:              round(mon, 1),
+    stoich_afr:       round(stoich, 2),
+    fuel_flow_factor: round((GASOLINE_STOICH * GASOLINE_DENSITY) / (stoich * density), 2),
+  };
+}
+
+// ─── Units ───────────────────────────────────────────────────────────────────
+
+export const VOLUME_UNITS = {
+  us_gal:  { label: 'gal', name: 'US gallons',       perUsGallon: 1,        distance: 'miles' },
+  imp_gal: { label: 'gal', name: 'imperial gallons', perUsGallon: 0.832674, distance: 'miles' },
+  litres:  { label: 'L',   name: 'litres',           perUsGallon: 3.785412, distance: 'km' },
+};
+
+// Settings stores 'US' / 'Metric' / 'Imperial'; the API also takes the keys above
+const UNIT_ALIASES = {
+  us: 'us_gal', gal: 'us_gal', gallons: 'us_gal',
+  imperial: 'imp_gal', uk: 'imp_gal',
+  metric: 'litres', l: 'litres', liters: 'litres', liter: 'litres', litre: 'litres',
+};
+
+/** Resolve a units value (key, Settings value or common alias) to a VOLUME_UNITS key. */
+export function resolveUnits(units = 'us_gal') {
+  const key = String(units).toLowerCase();
+  const resolved = VOLUME_UNITS[key] ? key : UNIT_ALIASES[key];
+  if (!resolved) throw new Error(`units must be one of: ${Object.keys(VOLUME_UNITS).join(', ')}.`);
+  return resolved;
+}
+
+export function convertVolume(value, from, to) {
+  return value / VOLUME_UNITS[resolveUnits(from)].perUsGallon * VOLUME_UNITS[resolveUnits(to)].perUsGallon;
+}
+
+// Burn-off distance for a drained volume. Gallon units take mpg (UK mpg for
+// imperial), litres take L/100km.
+function burnDistance(volume, unitKey, economy) {
+  if (economy === null) return null;
+  return unitKey === 'litres' ? (volume / economy) * 100 : volume * economy;
+}
+
+/**
+ * @param {object} params
+ * @param {number}  params.current_gallons
+ * @param {number}  params.current_ethanol_percent
+ * @param {number}  params.target_ethanol_percent
+ * @param {number}  params.tank_size
+ * @param {number}  [params.pump_ethanol_percent=0]  Ethanol % in pump gas (e.g. 10 for E10 93-octane)
+ * @param {number}  [params.pump_octane=93]          Pump gas AKI rating (91, 93 …)
+ * @param {number}  [params.e85_ethanol_percent=85]  Measured ethanol % of the E85 pump
+ * @param {number}  [params.mpg]                     Fuel economy for gallon units, to express the drain as burn-off distance
+ * @param {number}  [params.l_per_100km]             Fuel economy when units is litres
+ * @param {string}  [params.units='us_gal']          'us_gal' | 'imp_gal' | 'litres'
+ * @param {boolean} [params.precision_mode=false]
+ */
+export function calculateBlend({
+  current_gallons,
+  current_ethanol_percent,
+  target_ethanol_percent,
+  tank_size,
+  pump_ethanol_percent = 0,
+  pump_octane = 93,
+  e85_ethanol_percent = 85,
+  mpg = null,
+  l_per_100km = null,
+  units = 'us_gal',
+  precision_mode = false,
+}) {
+  const warnings = [];
+  const unitKey = resolveUnits(units);
+  const unit = VOLUME_UNITS[unitKey];
+
+  const g  = parseFloat(current_gallons);
+  const ce = parseFloat(current_ethanol_percent);
+  const te = parseFloat(target_ethanol_percent);
+  const ts = parseFloat(tank_size);
+  const pe = parseFloat(pump_ethanol_percent) / 100;
+  const eePct = parseFloat(e85_ethanol_percent);
+  const ee = eePct / 100;
+  const aki = parseFloat(pump_octane);
+  const economyInput = unitKey === 'litres' ? l_per_100km : mpg;
+  const economy = economyInput === null || economyInput === undefined || economyInput === '' ? null : parseFloat(economyInput);
+
+  if ([g, ce, te, ts, eePct, aki].some(isNaN)) {
+    throw new Error('All inputs must be valid numbers.');
+  }
+  if (economy !== null && !(economy > 0)) {
+    throw new Error(`${unitKey === 'litres' ? 'l_per_100km' : 'mpg'} must be greater than 0.`);
+  }
+  if (eePct <= pe * 100 || eePct > 100) {
+    throw new Error('e85_ethanol_percent must be above the pump gas ethanol content and at most 100.');
+  }
+  if (g < 0 || g > ts)     throw new Error('current_gallons must be between 0 and tank_size.');
+  if (ce < 0 || ce > 100)  throw new Error('current_ethanol_percent must be 0–100.');
+  if (te < 0 || te > eePct) throw new Error(`target_ethanol_percent must be 0–${eePct} (E85 ceiling).`);
+  if (ts <= 0)              throw new Error('tank_size must be greater than 0.');
+
+  const availableSpace        = ts - g;
+  const currentEthanolGallons = g * (ce / 100);
+  const targetEthanolGallons  = ts * (te / 100);
+
+  // Solve for E85 accounting for pump gas ethanol content (pe):
+  //   currentEthanol + e85*ee + gas*pe = targetEthanol
+  //   gas = availableSpace - e85
+  //   => e85*(ee - pe) = targetEthanol - currentEthanol - availableSpace*pe
+  const denominator = ee - pe;
+  let e85Raw = denominator !== 0
+    ? (targetEthanolGallons - currentEthanolGallons - availableSpace * pe) / denominator
+    : 0;
+
+  let e85 = Math.max(0, Math.min(e85Raw, availableSpace));
+  let gas = Math.max(0, availableSpace - e85);
+
+  // Standard output: 2 decimal places on gallons, 1 on percent
+  const galDec     = precision_mode ? 3 : 2;
+  const pctDec     = precision_mode ? 2 : 1;
+
+  // Two-fuel plans keep the calculator's field names for the refill split
+  const high = { name: 'E85', ethanol_percent: eePct, octane: null };
+  const low  = { name: `${aki}-octane`, ethanol_percent: pe * 100, octane: aki };
+  const drainFor = fillEthanol => {
+    const { high_gallons, low_gallons, resulting_percent, fuel_properties, steps, ...drain } = planDrain({
+      g, ce, ts, te, high, low, fillEthanol, economy, unitKey,
+      base: { aki, ethanol_percent: pe * 100 }, galDec, pctDec,
+    });
+    return {
+      ...drain,
+      gallons_of_e85_to_add: high_gallons,
+      gallons_of_93_to_add:  low_gallons,
+      resulting_percent,
+      fuel_properties,
+      steps,
+    };
+  };
+
+  let drainPlan = null;
+
+  if (e85Raw < 0) {
+    drainPlan = drainFor(pe);
+    warnings.push(`Target ethanol is below what E${Math.round(pe * 100)} pump gas dilution alone can achieve — drain ${drainPlan.drain_gallons} ${unit.label} first (see drain plan).`);
+    e85 = 0;
+    gas = availableSpace;
+  }
+
+  if (e85Raw > availableSpace) {
+    drainPlan = drainFor(ee);
+    warnings.push(`Target ethanol % cannot be reached by filling alone — drain ${drainPlan.drain_gallons} ${unit.label} first (see drain plan).`);
+    e85 = availableSpace;
+    gas = 0;
+  }
+
+  if (drainPlan && Math.abs(drainPlan.resulting_percent - te) > 0.5) {
+    warnings.push(`Even after draining, the closest reachable blend is E${drainPlan.resulting_percent}.`);
+  }
+
+  const totalFuel        = g + e85 + gas;
+  const totalEthanol     = currentEthanolGallons + e85 * ee + gas * pe;
+  const resultingPercent = totalFuel > 0 ? (totalEthanol / totalFuel) * 100 : 0;
+
+  const result = {
+    gallons_of_e85_to_add: round(e85, galDec),
+    gallons_of_93_to_add:  round(gas, galDec),
+    resulting_percent:     round(resultingPercent, pctDec),
+    e85_ethanol_percent:   eePct,
+    units:                 unitKey,
+    fuel_properties:       blendProperties([
+      { volume: g,   ethanol_percent: ce },
+      { volume: e85, ethanol_percent: eePct },
+      { volume: gas, ethanol_percent: pe * 100, octane: aki },
+    ], { aki, ethanol_percent: pe * 100 }),
+    precision_mode:        precision_mode,
+    warnings,
+  };
+
+  if (drainPlan) result.drain_plan = drainPlan;
+
+  // Precision mode: add staged fill steps to prevent pump overshoot
+  if (precision_mode && e85 > 0) {
+    // Fill E85 in two stages: 80% first, pause and check, then the final 20%
+    const stage1 = round(e85 * 0.8, 3);
+    const stage2 = round(e85 - stage1, 3);
+
+    // What is the blend after stage 1 only (no gas yet)?
+    const ethanolAfterStage1 = currentEthanolGallons + stage1 * ee;
+    const gallonsAfterStage1 = g + stage1;
+    const percentAfterStage1 = round((ethanolAfterStage1 / gallonsAfterStage1) * 100, 2);
+
+    result.fill_steps = [
+      {
+        step: 1,
+        action: 'E85',
+        gallons: stage1,
+        note: `Add ${stage1} ${unit.label} E85${eePct !== 85 ? ` (tested E${eePct})` : ''}. Blend will be ~E${percentAfterStage1} at this point.`,
+      },
+      {
+        step: 2,
+        action: 'E85',
+        gallons: stage2,
+        note: `Add final ${stage2} ${unit.label} E85 slowly to avoid overshoot.`,
+      },
+      ...(gas > 0 ? [{
+        step: 3,
+        action: '93-octane',
+        gallons: round(gas, 3),
+        note: `Fill ${round(gas, 3)} ${unit.label} ${aki}-octane to top off.`,
+      }] : []),
+    ];
+
+    result.precision_note = 'Fill E85 in two stages to avoid pump overshoot. Final blend is sensitive to the last 20% of E85 added.';
+  }
+
+  return result;
+}
+
+/**
+ * Minimum drain before a refill can hit the target. The refill splits
+ * between a `high` and a `low` ethanol fuel ({ name, ethanol_percent, octane });
+ * `fillEthanol` is the one it leans on (high when too lean, low when too rich):
+ *   remaining*ce + (tank - remaining)*fill = tank*te
+ *   => remaining = (tank*te - tank*fill) / (ce - fill)
+ * Returns the refill as raw high_gallons / low_gallons for the caller to label.
+ */
+function planDrain({ g, ce, ts, te, high, low, fillEthanol, economy, unitKey, base, galDec, pctDec }) {
+  const { label, distance } = VOLUME_UNITS[unitKey];
+  const cef = ce / 100;
+  const ee = high.ethanol_percent / 100;
+  const pe = low.ethanol_percent / 100;
+  const targetEthanol = ts * (te / 100);
+
+  let remaining = Math.abs(cef - fillEthanol) > SOLVER_EPSILON
+    ? (targetEthanol - ts * fillEthanol) / (cef - fillEthanol)
+    : 0;
+  remaining = Math.min(g, Math.max(0, remaining));
+
+  const drain = g - remaining;
+  const space = ts - remaining;
+  // One fuel on hand (high and low are the same pump) — it fills all the space
+  const e85 = ee - pe > SOLVER_EPSILON
+    ? Math.max(0, Math.min(space, (targetEthanol - remaining * cef - space * pe) / (ee - pe)))
+    : space;
+  const gas = space - e85;
+  const resulting = ((remaining * cef + e85 * ee + gas * pe) / ts) * 100;
+  const burn = burnDistance(drain, unitKey, economy);
+
+  const steps = [{
+    step: 1,
+    action: 'Drain',
+    gallons: round(drain, galDec),
+    note: burn !== null
+      ? `Drain ${round(drain, galDec)} ${label}, or drive ~${Math.ceil(burn)} ${distance} to burn it off, leaving ${round(remaining, galDec)} ${label}.`
+      : `Drain ${round(drain, galDec)} ${label}, leaving ${round(remaining, galDec)} ${label} in the tank.`,
+  }];
+  if (e85 > SOLVER_EPSILON) {
+    steps.push({ step: steps.length + 1, action: high.name, gallons: round(e85, galDec), note: `Add ${round(e85, galDec)} ${label} ${high.name}.` });
+  }
+  if (gas > SOLVER_EPSILON) {
+    steps.push({ step: steps.length + 1, action: low.name, gallons: round(gas, galDec), note: `Fill ${round(gas, galDec)} ${label} ${low.name} to top off.` });
+  }
+
+  return {
+    drain_gallons:     round(drain, galDec),
+    burn_distance:     burn !== null ? Math.ceil(burn) : null,
+    distance_unit:     distance,
+    remaining_gallons: round(remaining, galDec),
+    high_gallons:      round(e85, galDec),
+    low_gallons:       round(gas, galDec),
+    resulting_percent: round(resulting, pctDec),
+    fuel_properties:   blendProperties([
+      { volume: remaining, ethanol_percent: ce },
+      { volume: e85,       ethanol_percent: high.ethanol_percent, octane: high.octane },
+      { volume: gas,       ethanol_percent: low.ethanol_percent,  octane: low.octane },
+    ], base),
+    steps,
+  };
+}
+
+/**
+ * Ethanol % from a water-separation tester (graduated cylinder).
+ * Water pulls the ethanol out of the fuel, so the lower layer grows by the
+ * volume of ethanol in the sample:
+ *   ethanol% = (layer_ml - water_ml) / fuel_ml * 100
+ * Typical kit: 10 ml water + 90 ml fuel, read the water/ethanol line.
+ */
+export function ethanolFromWaterTest({ fuel_ml, water_ml, layer_ml }) {
+  const f = parseFloat(fuel_ml);
+  const w = parseFloat(water_ml);
+  const l = parseFloat(layer_ml);
+  if ([f, w, l].some(isNaN) || f <= 0 || w < 0) {
+    throw new Error('Tester volumes must be valid numbers.');
+  }
+  if (l < w)      throw new Error('The water/ethanol layer cannot be below the starting water line.');
+  if (l > w + f)  throw new Error('The water/ethanol layer cannot exceed the total sample volume.');
+  return round(((l - w) / f) * 100, 1);
+}
+
+function round(value, decimals) {
+  return parseFloat(value.toFixed(decimals));
+}
+
+// ─── Multi-fuel solver ───────────────────────────────────────────────────────
+
+/**
+ * Normalise one entry of the `fuels` list. Missing price → unpriced (cost
+ * reported as null), missing/blank max_gallons → unlimited.
+ */
+function normalizeFuel(fuel, idx) {
+  const e = parseFloat(fuel.ethanol_percent);
+  if (isNaN(e) || e < 0 || e > 100) {
+    throw new Error(`fuels[${idx}].ethanol_percent must be 0–100.`);
+  }
+  const price = parseFloat(fuel.price_per_gallon);
+  const max   = parseFloat(fuel.max_gallons);
+  const octane = parseFloat(fuel.octane);
+  return {
+    id:               fuel.id ?? String(idx),
+    name:             fuel.name || `E${e}`,
+    station:          fuel.station || null,
+    ethanol_percent:  e,
+    octane:           isNaN(octane) ? null : octane,
+    price_per_gallon: isNaN(price) ? null : price,
+    max_gallons:      isNaN(max) || max <= 0 ? Infinity : max,
+  };
+}
+
+/**
+ * Every fuel is either unused, pumped to its limit, or "free". With two
+ * equality constraints (fill the space, hit the ethanol total) an optimal
+ * combination never needs more than two free fuels, so we enumerate those
+ * vertices instead of pulling in an LP solver.
+ */
+function enumerateCombinations(fuels, space, ethanolNeeded) {
+  const combos = [];
+  const n = fuels.length;
+
+  const tryFixed = (free, fixed) => {
+    let fixedGal = 0;
+    let fixedEth = 0;
+    for (const i of fixed) {
+      fixedGal += fuels[i].max_gallons;
+      fixedEth += fuels[i].max_gallons * fuels[i].ethanol_percent / 100;
+    }
+    const remGal = space - fixedGal;
+    const remEth = ethanolNeeded - fixedEth;
+    if (remGal < -SOLVER_EPSILON) return;
+
+    const amounts = new Map(fixed.map(i => [i, fuels[i].max_gallons]));
+
+    if (free.length === 0) {
+      if (Math.abs(remGal) > SOLVER_EPSILON || Math.abs(remEth) > SOLVER_EPSILON) return;
+    } else if (free.length === 1) {
+      const f = fuels[free[0]];
+      if (Math.abs(remGal * f.ethanol_percent / 100 - remEth) > SOLVER_EPSILON) return;
+      if (remGal > f.max_gallons + SOLVER_EPSILON) return;
+      amounts.set(free[0], remGal);
+    } else {
+      const [a, b] = free.map(i => fuels[i]);
+      const ea = a.ethanol_percent / 100;
+      const eb = b.ethanol_percent / 100;
+      if (Math.abs(ea - eb) < SOLVER_EPSILON) return;
+      // xa + xb = remGal ; xa*ea + xb*eb = remEth
+      const xa = (remEth - remGal * eb) / (ea - eb);
+      const xb = remGal - xa;
+      if (xa < -SOLVER_EPSILON || xb < -SOLVER_EPSILON) return;
+      if (xa > a.max_gallons + SOLVER_EPSILON || xb > b.max_gallons + SOLVER_EPSILON) return;
+      amounts.set(free[0], Math.max(0, xa));
+      amounts.set(free[1], Math.max(0, xb));
+    }
+
+    combos.push([...amounts].filter(([, g]) => g > SOLVER_EPSILON));
+  };
+
+  // Walk every {unused, at-limit} assignment for the fuels that aren't free
+  const assignRest = (rest, free) => {
+    const limited = rest.filter(i => isFinite(fuels[i].max_gallons));
+    const total = 1 << limited.length;
+    for (let mask = 0; mask < total; mask++) {
+      tryFixed(free, limited.filter((_, bit) => mask & (1 << bit)));
+    }
+  };
+
+  const all = fuels.map((_, i) => i);
+  assignRest(all, []);
+  for (let i = 0; i < n; i++) {
+    assignRest(all.filter(k => k !== i), [i]);
+    for (let j = i + 1; j < n; j++) {
+      assignRest(all.filter(k => k !== i && k !== j), [i, j]);
+    }
+  }
+  return combos;
+}
+
+// Default blendstock for fuels without a rating: the lowest-ethanol rated fuel
+function baseOctane(pool) {
+  const rated = pool.filter(f => f.octane !== null).sort((a, b) => a.ethanol_percent - b.ethanol_percent);
+  return rated.length ? { aki: rated[0].octane, ethanol_percent: rated[0].ethanol_percent } : undefined;
+}
+
+function countStops(fills) {
+  return new Set(fills.map(f => f.station ?? `__${f.id}`)).size;
+}
+
+/**
+ * planDrain for the solver: the refill splits between the highest- and
+ * lowest-ethanol fuels on the list, labelled with their stations and priced.
+ * Pump limits aren't applied — a drain already means a second look at the plan.
+ */
+function planSolverDrain({ highest, lowest, ...params }) {
+  const asFuel = f => ({ name: f.station ? `${f.name} at ${f.station}` : f.name, ethanol_percent: f.ethanol_percent, octane: f.octane });
+  const { high_gallons, low_gallons, resulting_percent, fuel_properties, steps, ...drain } =
+    planDrain({ ...params, high: asFuel(highest), low: asFuel(lowest) });
+
+  const fills = [[highest, high_gallons], [lowest, low_gallons]]
+    .filter(([, gallons]) => gallons > 0)
+    .map(([f, gallons]) => ({
+      fuel_id:         f.id,
+      name:            f.name,
+      station:         f.station,
+      ethanol_percent: f.ethanol_percent,
+      octane:          f.octane,
+      gallons,
+      cost:            f.price_per_gallon !== null ? round(gallons * f.price_per_gallon, 2) : null,
+    }));
+
+  return {
+    ...drain,
+    fills,
+    total_cost: fills.length && fills.every(f => f.cost !== null) ? round(fills.reduce((a, f) => a + f.cost, 0), 2) : null,
+    stops:      countStops(fills.map(f => ({ id: f.fuel_id, station: f.station }))),
+    resulting_percent,
+    fuel_properties,
+    steps,
+  };
+}
+
+/**
+ * @param {object} params
+ * @param {number}   params.current_gallons
+ * @param {number}   params.current_ethanol_percent
+ * @param {number}   params.target_ethanol_percent
+ * @param {number}   params.tank_size
+ * @param {object[]} params.fuels  [{ id, name, station, ethanol_percent, octane, price_per_gallon, max_gallons }]
+ *                                 (price and limit are per `units` volume)
+ * @param {'cheapest'|'fewest_stops'} [params.objective='cheapest']
+ * @param {number}   [params.mpg]             Fuel economy for gallon units, to express a drain as burn-off distance
+ * @param {number}   [params.l_per_100km]     Fuel economy when units is litres
+ * @param {string}   [params.units='us_gal']  'us_gal' | 'imp_gal' | 'litres'
+ * @param {boolean}  [params.precision_mode=false]
+ */
+export function solveBlend({
+  current_gallons,
+  current_ethanol_percent,
+  target_ethanol_percent,
+  tank_size,
+  fuels = [],
+  objective = 'cheapest',
+  mpg = null,
+  l_per_100km = null,
+  units = 'us_gal',
+  precision_mode = false,
+}) {
+  const warnings = [];
+  const unitKey = resolveUnits(units);
+  const { label } = VOLUME_UNITS[unitKey];
+
+  const g  = parseFloat(current_gallons);
+  const ce = parseFloat(current_ethanol_percent);
+  const te = parseFloat(target_ethanol_percent);
+  const ts = parseFloat(tank_size);
+  const economyInput = unitKey === 'litres' ? l_per_100km : mpg;
+  const economy = economyInput === null || economyInput === undefined || economyInput === '' ? null : parseFloat(economyInput);
+
+  if ([g, ce, te, ts].some(isNaN)) {
+    throw new Error('All inputs must be valid numbers.');
+  }
+  if (economy !== null && !(economy > 0)) {
+    throw new Error(`${unitKey === 'litres' ? 'l_per_100km' : 'mpg'} must be greater than 0.`);
+  }
+  if (ts <= 0)              throw new Error('tank_size must be greater than 0.');
+  if (g < 0 || g > ts)     throw new Error('current_gallons must be between 0 and tank_size.');
+  if (ce < 0 || ce > 100)  throw new Error('current_ethanol_percent must be 0–100.');
+  if (te < 0 || te > 100)  throw new Error('target_ethanol_percent must be 0–100.');
+  if (!Array.isArray(fuels) || fuels.length === 0) {
+    throw new Error('fuels must list at least one available fuel.');
+  }
+  if (fuels.length > MAX_SOLVER_FUELS) {
+    throw new Error(`At most ${MAX_SOLVER_FUELS} fuels can be compared at once.`);
+  }
+  if (objective !== 'cheapest' && objective !== 'fewest_stops') {
+    throw new Error("objective must be 'cheapest' or 'fewest_stops'.");
+  }
+
+  const pool = fuels.map(normalizeFuel);
+  const space = ts - g;
+  const currentEthanolGallons = g * (ce / 100);
+  const ethanolNeeded = ts * (te / 100) - currentEthanolGallons;
+
+  const toFills = combo => combo.map(([i, gallons]) => {
+    const f = pool[i];
+    return {
+      fuel_id:         f.id,
+      name:            f.name,
+      station:         f.station,
+      ethanol_percent: f.ethanol_percent,
+      octane:          f.octane,
+      gallons,
+      cost:            f.price_per_gallon !== null ? gallons * f.price_per_gallon : null,
+    };
+  });
+
+  const score = fills => {
+    const cost = fills.some(f => f.cost === null) ? Infinity : fills.reduce((a, f) => a + f.cost, 0);
+    return { cost, stops: countStops(fills), fuels: fills.length };
+  };
+
+  const better = (a, b) => objective === 'fewest_stops'
+    ? a.stops - b.stops || a.cost - b.cost || a.fuels - b.fuels
+    : a.cost - b.cost || a.stops - b.stops || a.fuels - b.fuels;
+
+  const galDec = precision_mode ? 3 : 2;
+  const pctDec = precision_mode ? 2 : 1;
+
+  let best = null;
+  if (space > SOLVER_EPSILON) {
+    for (const combo of enumerateCombinations(pool, space, ethanolNeeded)) {
+      const fills = toFills(combo);
+      const s = score(fills);
+      if (!best || better(s, best) < 0) best = { fills, ...s };
+    }
+  } else if (Math.abs(ethanolNeeded) <= SOLVER_EPSILON) {
+    best = { fills: [], ...score([]) };
+  }
+
+  // Unreachable by filling — plan the minimum drain, refilling from the
+  // highest-ethanol fuel when too lean and the lowest when too rich
+  let drainPlan = null;
+  if (!best) {
+    const byEthanol = [...pool].sort((a, b) => a.ethanol_percent - b.ethanol_percent);
+    const lowest = byEthanol[0];
+    const highest = byEthanol[byEthanol.length - 1];
+    const tooLean = ethanolNeeded > space * highest.ethanol_percent / 100 + SOLVER_EPSILON;
+    const tooRich = ethanolNeeded < space * lowest.ethanol_percent / 100 - SOLVER_EPSILON;
+
+    if (tooLean || tooRich) {
+      drainPlan = planSolverDrain({
+        g, ce, ts, te, highest, lowest, fillEthanol: (tooLean ? highest : lowest).ethanol_percent / 100,
+        economy, unitKey, base: baseOctane(pool), galDec, pctDec,
+      });
+      warnings.push(space > SOLVER_EPSILON
+        ? `E${te} cannot be reached by filling with the listed fuels — drain ${drainPlan.drain_gallons} ${label} first (see drain plan).`
+        : `Tank is already full — drain ${drainPlan.drain_gallons} ${label} first (see drain plan).`);
+      if (Math.abs(drainPlan.resulting_percent - te) > 0.5) {
+        warnings.push(`Even after draining, the closest reachable blend is E${drainPlan.resulting_percent}.`);
+      }
+    } else {
+      // The blend is in range but the pump limits don't leave a combination that fits
+      warnings.push(`E${te} cannot be reached within the listed pump limits — raise a limit or add another fuel.`);
+    }
+    best = { fills: [], ...score([]) };
+  }
+
+  // Highest-ethanol fuel goes in first — it has the most effect per gallon,
+  // so staging it leaves the cheap top-off as the forgiving last step.
+  const fills = best.fills.sort((a, b) => b.ethanol_percent - a.ethanol_percent);
+  const addedGallons = fills.reduce((a, f) => a + f.gallons, 0);
+  const addedEthanol = fills.reduce((a, f) => a + f.gallons * f.ethanol_percent / 100, 0);
+  const totalFuel = g + addedGallons;
+  const resultingPercent = totalFuel > 0 ? ((currentEthanolGallons + addedEthanol) / totalFuel) * 100 : 0;
+
+  const result = {
+    objective,
+    fills: fills.map(f => ({
+      ...f,
+      gallons: round(f.gallons, galDec),
+      cost:    f.cost !== null ? round(f.cost, 2) : null,
+    })),
+    total_gallons_added: round(addedGallons, galDec),
+    total_cost:          fills.length && isFinite(best.cost) ? round(best.cost, 2) : null,
+    stops:               best.stops,
+    resulting_percent:   round(resultingPercent, pctDec),
+    units:               unitKey,
+    fuel_properties:     blendProperties([
+      { volume: g, ethanol_percent: ce },
+      ...fills.map(f => ({ volume: f.gallons, ethanol_percent: f.ethanol_percent, octane: f.octane })),
+    ], baseOctane(pool)),
+    precision_mode,
+    warnings,
+  };
+
+  if (drainPlan) result.drain_plan = drainPlan;
+
+  if (fills.some(f => f.cost === null)) {
+    warnings.push('Some fuels have no price — total cost is unavailable.');
+  }
+
+  if (precision_mode && fills.length > 0) {
+    const steps = [];
+    let gal = g;
+    let eth = currentEthanolGallons;
+    fills.forEach((f, idx) => {
+      const where = f.station ? ` at ${f.station}` : '';
+      // Stage the first (highest-ethanol) fuel 80/20 like the two-fuel calculator
+      const stages = idx === 0 && fills.length > 1
+        ? [round(f.gallons * 0.8, 3), round(f.gallons - round(f.gallons * 0.8, 3), 3)]
+        : [round(f.gallons, 3)];
+      stages.forEach((amount, stageIdx) => {
+        gal += amount;
+        eth += amount * f.ethanol_percent / 100;
+        const isFinal = stageIdx === 1;
+        steps.push({
+          step:    steps.length + 1,
+          action:  f.name,
+          gallons: amount,
+          note:    isFinal
+            ? `Add final ${amount} ${label} ${f.name}${where} slowly to avoid overshoot.`
+            : `Add ${amount} ${label} ${f.name}${where}. Blend will be ~E${round((eth / gal) * 100, 2)} at this point.`,
+        });
+      });
+    });
+    result.fill_steps = steps;
+    result.precision_note = 'Fill the highest-ethanol fuel first and in two stages. Final blend is most sensitive to it.';
+  }
+
+  return result;
+}
@@ -0,0 +1,55 @@
+/**
+ * Chassis data for estimating power from a datalog.
+ *
+ * Isomorphic — no Node.js or DOM dependencies. Stored on a garage vehicle as
+ * vehicle.chassis and passed to analyzeLog() as carDetails.chassis. Any field
+ * a vehicle leaves out falls back to DEFAULT_CHASSIS, a G20 M340i on the
+ * ZF 8HP — close enough to give a first estimate on any B58 car.
+ *
+ * Units are US (lb, in, ft²) to match how the numbers appear on spec sheets.
+ */
+
+// ─── Fields ──────────────────────────────────────────────────────────────────
+
+// Display metadata for the vehicle editor — gear ratios are edited as a list
+export const CHASSIS_FIELDS = [
+  { key: 'weight_lb',         label: 'Weight (with driver)', unit: 'lb' },
+  { key: 'final_drive',       label: 'Final Drive',          unit: ':1' },
+  { key: 'tire_diameter_in',  label: 'Tire Diameter',        unit: 'in' },
+  { key: 'drag_cd',           label: 'Drag Coefficient',     unit: 'Cd' },
+  { key: 'frontal_area_sqft', label: 'Frontal Area',         unit: 'ft²' },
+];
+
+export const DEFAULT_CHASSIS = {
+  weight_lb:         4000,
+  gear_ratios:       [5.25, 3.36, 2.172, 1.72, 1.316, 1.0, 0.822, 0.64],
+  final_drive:       2.81,
+  tire_diameter_in:  26.0,
+  drag_cd:           0.26,
+  frontal_area_sqft: 23.7,
+};
+
+// ─── Resolution ──────────────────────────────────────────────────────────────
+
+/** Gear ratios from an array or a "5.25, 3.36, …" string; null if none are usable. */
+export function parseGearRatios(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(/[,\s]+/);
+  const ratios = list.map(v => parseFloat(v)).filter(v => v > 0);
+  return ratios.length > 0 ? ratios : null;
+}
+
+/**
+ * Fill a (possibly partial) chassis out to every field. Non-positive or
+ * non-numeric values fall back to the default so a half-typed field never
+ * reaches the analyzer.
+ * @param {object} [chassis]
+ * @returns {object} every field in DEFAULT_CHASSIS
+ */
+export function resolveChassis(chassis = {}) {
+  const resolved = { gear_ratios: parseGearRatios(chassis?.gear_ratios) ?? DEFAULT_CHASSIS.gear_ratios };
+  for (const { key } of CHASSIS_FIELDS) {
+    const v = parseFloat(chassis?.[key]);
+    resolved[key] = v > 0 ? v : DEFAULT_CHASSIS[key];
+  }
+  return resolved;
+}
@@ -0,0 +1,214 @@
+/**
+ * CSV parser with bootmod3 / MHD column detection.
+ *
+ * Isomorphic — no Node.js or DOM dependencies. The browser passes the
+ * FileReader string, the Express server and Vercel functions pass the
+ * multer Buffer; both go through the same parser so every entry point
+ * sees identical rows.
+ */
+
+const COLUMN_MAP = {
+  time:        ['time', 'timestamp', 'elapsed', 'log time'],
+  rpm:         ['rpm', 'engine speed', 'engine_speed'],
+  load:        ['load_%', 'load (%)', 'load(%)', 'load', 'engine load', 'throttle position'],
+  afr:         ['air fuel ratio', 'air_fuel_ratio', 'afr', 'lambda'],
+  boost:       ['boost (pre-throttle)', 'boost (pre throttle)',
+                'boost pre throttle', 'boost pre-throttle', 'pre throttle boost', 'manifold pressure pre throttle',
+                'hp boost pre throttle', 'boost pressure pre throttle',
+                'boost act', 'boost mean', 'manifold absolute pressure', 'boost pressure', 'boost_pressure',
+                'boost (psi)', 'boost_psi', 'boost', 'manifold pressure', 'map'],
+  iat:         ['intake air temp', 'intake_air_temp', 'intake air temperature',
+                'charge air temp', 'charge_air_temp', 'charge air temperature',
+                '^iat'],
+  ambient_temp: ['ambient air temp', 'ambient temp', 'ambient_temp', 'ambient temperature', 'outside air temp',
+                 'outside temp', 'outside_temp', '^oat'],
+  oil_temp:    ['engine oil temp', 'oil temp', 'oil_temp', 'oil temperature'],
+  coolant_temp: ['coolant temp', 'coolant_temp', 'coolant temperature', 'engine coolant', 'water temp', '^ect'],
+  egt:         ['exhaust gas temp', 'exhaust_gas_temp', 'exhaust gas temperature', 'exhaust temp', 'turbine inlet temp', 'egt'],
+  cat_temp:    ['catalyst temp', 'catalyst_temp', 'catalyst temperature', 'cat temp', 'catalytic converter temp'],
+  trans_temp:  ['transmission temp', 'transmission oil temp', 'transmission fluid temp', 'trans temp', 'trans_temp',
+                'gearbox temp', 'gearbox oil temp', 'dct clutch temp', 'clutch temp', 'dct temp', 'atf temp'],
+  hpfp:        ['hp fuel pressure actual', 'hpfp actual', 'hpfp_actual', 'high pressure fuel pump actual', 'hpfp act',
+                 'hpfp (psi)', 'hpfp_psi', 'hpfp', 'high pressure fuel pump', 'fuel pressure actual', 'fuel_pressure_actual'],
+  hpfp_target: ['hpfp (target)', 'hpfp target', 'hpfp_target', 'hp fuel pressure target', 'fuel pressure target', 'hpfp req',
+                'hpfp setpoint', 'hpfp_setpoint', 'hp fuel pressure setpoint', 'fuel pressure setpoint',
+                'hpfp desired', 'hp fuel pressure desired', 'fuel pressure desired',
+                'hpfp sp', 'hpfp set', 'high pressure fuel pump target', 'high pressure fuel pump setpoint'],
+  lpfp:        ['lpfp actual', 'lpfp_actual', 'lpfp act', 'lp fuel pressure actual', 'low pressure fuel pump actual',
+                'low pressure fuel pressure', 'lp fuel pressure', 'lpfp (psi)', 'lpfp_psi', 'lpfp', 'low pressure fuel pump'],
+  lpfp_target: ['lpfp target', 'lpfp_target', 'lpfp setpoint', 'lpfp desired', 'lpfp req', 'lpfp sp',
+                'lp fuel pressure target', 'lp fuel pressure setpoint', 'low pressure fuel pump target', 'low pressure fuel pressure target'],
+  lpfp_duty:   ['lpfp duty', 'lpfp_duty', 'lpfp pwm', 'lp pump duty', 'fuel pump duty', 'fuel_pump_duty', 'fuel pump pwm', 'ekp duty'],
+  afr_target:  ['afr target', 'afr_target', 'air fuel ratio target',
+                'lambda target', 'lambda_target', 'target lambda', 'lambda setpoint', 'lambda req', 'lambda request', 'lambda desired'],
+  boost_target: ['boost target', 'boost_target', 'target boost', 'boost setpoint', 'boost_setpoint', 'boost sp',
+                 'boost req', 'boost request', 'boost desired', 'boost pressure target', 'boost pressure setpoint'],
+  wgdc:        ['wastegate duty', 'wastegate_duty', 'wgdc', 'wg duty', 'wastegate position', 'wastegate'],
+  stft:        ['stft', 'short term fuel trim', 'short_term_fuel_trim', 'short term trim', 'fuel trim short',
+                'lambda integrator', 'lambda controller', 'lambda control'],
+  ltft:        ['ltft', 'long term fuel trim', 'long_term_fuel_trim', 'long term trim', 'fuel trim long',
+                'multiplicative adaptation', 'adaptation multiplicative', 'mult adaptation', 'lambda adaptation', 'mixture adaptation'],
+  fuel_adapt_add: ['additive adaptation', 'adaptation additive', 'add adaptation', 'additive trim', 'idle fuel trim'],
+  pedal:       ['pedal', 'accel pedal', 'accelerator pedal', 'accel_pedal', 'pedal position'],
+  throttle:    ['throttle', 'throttle position', 'throttle_position', 'throttle angle', 'throttle_angle'],
+  gear:        ['current gear', 'gear actual', 'gear_actual', '^gear'],
+  speed:       ['vehicle speed', 'vehicle_speed', 'road speed', 'wheel speed', 'speed (mph)', 'speed (km/h)', 'vss', '^speed'],
+  torque:      ['torque actual', 'actual torque', 'engine torque', 'torque act', 'torque_actual', 'torque (nm)', 'torque'],
+  torque_limit: ['torque limit', 'torque_limit', 'torque limitation', 'max torque', 'torque max', 'torque intervention',
+                 'torque reduction'],
+};
+
+// Substrings that disqualify a header for a key even when a keyword matches,
+// e.g. "Boost (Pre-Throttle)" must never be picked up as the throttle column,
+// "Boost Target" must never be read as actual boost, and low-side fuel
+// pressure ("LP Fuel Pressure Actual") must never be read as the HPFP.
+const COLUMN_EXCLUDE = {
+  afr:         ['target', 'setpoint', 'req', 'desired', 'integrator', 'control', 'adaptation', 'trim'],
+  ltft:        ['additive', 'add adaptation'],
+  oil_temp:    ['trans', 'gearbox', 'dct', 'atf', 'diff'],
+  speed:       ['engine', 'fan', 'turbo', 'pump'],
+  egt:         ['target', 'setpoint', 'limit', 'max'],
+  gear:        ['temp', 'oil', 'box', 'ratio'],
+  boost:       ['post throttle', 'post-throttle', 'target', 'setpoint', ' sp', 'req', 'desired'],
+  hpfp:        ['lpfp', 'lp fuel', 'low pressure'],
+  hpfp_target: ['lpfp', 'lp fuel', 'low pressure'],
+  lpfp:        ['target', 'setpoint', ' sp', 'req', 'desired', 'duty', 'pwm'],
+  throttle:    ['boost', 'pre-throttle', 'pre throttle', 'post-throttle', 'post throttle'],
+  torque:      ['target', 'setpoint', 'req', 'desired', 'limit', 'max', 'intervention', 'reduction', 'converter'],
+};
+
+const TIMING_KEYWORDS  = ['timing cor', 'timing_cor', 'ign cor', 'ign_cor', 'ignition cor', 'knock'];
+const MISFIRE_KEYWORDS = ['misfire', 'misf', 'mis fire', 'mis_fire', 'combustion misfire'];
+const CYLINDER_KEYWORDS = ['cyl', 'cylinder', 'cyl_'];
+
+function parseRow(line) {
+  const result = [];
+  let current = '';
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (ch === '"') {
+      // "" inside a quoted field is an escaped quote
+      if (inQuotes && line[i + 1] === '"') { current += '"'; i++; }
+      else inQuotes = !inQuotes;
+    } else if (ch === ',' && !inQuotes) {
+      result.push(current.trim());
+      current = '';
+    } else {
+      current += ch;
+    }
+  }
+  result.push(current.trim());
+  return result;
+}
+
+/**
+ * Decode whatever the caller handed us (string, Buffer, Uint8Array) to text
+ * and strip the UTF-8 BOM some Windows exports prepend.
+ */
+function toText(input) {
+  const text = typeof input === 'string' ? input : new TextDecoder('utf-8').decode(input);
+  return text.replace(/^\uFEFF/, '');
+}
+
+function parseCsvText(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (lines.length < 2) throw new Error('CSV file is empty or could not be parsed.');
+  const headers = parseRow(lines[0]);
+  const rows = [];
+  for (let i = 1; i < lines.length; i++) {
+    if (!lines[i].trim()) continue;
+    const values = parseRow(lines[i]);
+    const row = {};
+    headers.forEach((h, idx) => { row[h] = values[idx] ?? ''; });
+    rows.push(row);
+  }
+  return { rows, headers };
+}
+
+function findColumn(headers, keywords, exclude = []) {
+  for (const keyword of keywords) {
+    const isStart = keyword.startsWith('^');
+    const kw = isStart ? keyword.slice(1).toLowerCase() : keyword.toLowerCase();
+    const match = headers.find(h => {
+      const hl = h.toLowerCase();
+      if (exclude.some(ex => hl.includes(ex))) return false;
+      return isStart ? hl.startsWith(kw) : hl.includes(kw);
+    });
+    if (match) return match;
+  }
+  return null;
+}
+
+function findTimingColumns(headers) {
+  return headers.filter(h => {
+    const lower = h.toLowerCase();
+    const hasTimingWord = TIMING_KEYWORDS.some(kw => lower.includes(kw));
+    const hasCylWord    = CYLINDER_KEYWORDS.some(kw => lower.includes(kw));
+    const isMisfire     = MISFIRE_KEYWORDS.some(kw => lower.includes(kw));
+    return hasTimingWord && hasCylWord && !isMisfire;
+  });
+}
+
+function findMisfireColumns(headers) {
+  return headers.filter(h => {
+    const lower = h.toLowerCase();
+    return MISFIRE_KEYWORDS.some(kw => lower.includes(kw)) && CYLINDER_KEYWORDS.some(kw => lower.includes(kw));
+  });
+}
+
+function detectBoostUnit(columnName, sampleValues = []) {
+  if (!columnName) return 'psi';
+  const lower = columnName.toLowerCase();
+  // Unit explicitly in column name — most reliable
+  if (lower.includes('bar')) return 'bar';
+  if (lower.includes('kpa')) return 'kpa';
+  if (lower.includes('psi')) return 'psi';
+
+  // No unit in column name — infer from value range
+  // Bar gauge boost: 0.5–2.5, absolute: 1.0–3.0  → max < 5
+  // kPa absolute: 100–310                          → max > 50
+  // psi gauge: 0–35, absolute: 14–50              → max 5–50
+  const valid = sampleValues.filter(v => !isNaN(v) && v > 0);
+  if (valid.length > 0) {
+    const maxVal = Math.max(...valid);
+    if (maxVal > 50) return 'kpa';
+    if (maxVal < 5)  return 'bar';
+  }
+  return 'psi';
+}
+
+/**
+ * Parse raw CSV into structured rows plus resolved column mapping.
+ * @param {string|Uint8Array} csvInput — file text, or a Buffer from multer
+ * @returns {{ rows: object[], columns: object, timingColumns: string[], misfireColumns: string[], boostUnit: string }}
+ */
+export function parseCsv(csvInput) {
+  const { rows, headers } = parseCsvText(toText(csvInput));
+
+  const columns = {};
+  for (const [key, keywords] of Object.entries(COLUMN_MAP)) {
+    columns[key] = findColumn(headers, keywords, COLUMN_EXCLUDE[key] ?? []);
+  }
+
+  const timingColumns = findTimingColumns(headers);
+  const misfireColumns = findMisfireColumns(headers);
+
+  // Sample boost values for unit detection when column name has no unit label
+  const boostSamples = columns.boost
+    ? rows.slice(0, 50).map(r => parseFloat(r[columns.boost])).filter(v => !isNaN(v))
+    : [];
+  const boostUnit = detectBoostUnit(columns.boost, boostSamples);
+
+  return { rows, columns, timingColumns, misfireColumns, boostUnit };
+}
+
+export function num(row, col) {
+  if (!col || row[col] === undefined || row[col] === '') return NaN;
+  return parseFloat(row[col]);
+}
+
+/** Lambda to AFR for the fuel actually in the tank — 14.7 only holds for E0. */
+export function lambdaToAfr(lambda, stoich = 14.7) {
+  return lambda * stoich;
+}
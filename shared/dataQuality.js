@@ -0,0 +1,199 @@
+/**
+ * Data-quality pass for parsed datalogs.
+ *
+ * Isomorphic — no Node.js or DOM dependencies. Runs between parseCsv() and
+ * the metrics: logger dropouts, stuck sensors and one-row spikes are blanked
+ * in the rows so num() reads them as missing and no metric grades them. The
+ * time axis is checked for gaps and sample-rate changes, which are reported
+ * but left in place. The report says what was removed and where.
+ */
+
+import { num } from './csvParser.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// Channels checked for every kind of glitch
+const CHECKED_CHANNELS = ['rpm', 'afr', 'boost', 'iat', 'ambient_temp', 'oil_temp', 'coolant_temp', 'trans_temp',
+  'egt', 'cat_temp', 'hpfp', 'lpfp', 'speed'];
+
+// Channels where a one- or two-row excursion is the event being graded — a
+// lean blip at WOT, a fuel pressure dip — so only impossible readings are
+// dropped there. Timing corrections, misfire counters and driver inputs
+// aren't checked at all: a one-row knock event or throttle blip is real.
+const NO_SPIKE_CHANNELS = ['afr', 'hpfp', 'lpfp'];
+const SPIKE_MAX_ROWS = 2;          // rows away from the trend and straight back
+const SPIKE_RANGE_SHARE = 0.75;    // jump vs the channel's p5–p95 spread
+const SPIKE_MEDIAN_SHARE = 0.1;    // … or vs its median, for near-flat channels
+const SPIKE_SETTLE_SHARE = 0.25;   // rows either side agree within this share of the jump
+
+// Readings no running engine produces — the logger lost the channel
+const IMPOSSIBLE = {
+  rpm:  v => v < 0,
+  afr:  v => v <= 0,
+  hpfp: v => v <= 0,
+  lpfp: v => v <= 0,
+};
+
+// Live sensors that can't hold one exact value across a pull and back —
+// long enough that a steady WOT plateau on a quantized channel isn't caught
+const FROZEN_CHANNELS = ['afr', 'boost', 'iat', 'hpfp', 'lpfp'];
+const FROZEN_MIN_ROWS = 100;
+const FROZEN_RPM_SWEEP = 2000;
+
+// Time axis
+const GAP_FACTOR = 3;              // a step this many times the median is a logging gap
+const RATE_WINDOW_ROWS = 20;       // rows per sample-rate window
+const RATE_CHANGE_SHARE = 0.25;    // window rate this far off the previous one is a change
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+function roundN(v, n) { return parseFloat(v.toFixed(n)); }
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 0.5);
+}
+
+// ─── Channel Checks ──────────────────────────────────────────────────────────
+
+/**
+ * Rows that jump away from both neighbours by more than the channel's normal
+ * spread and come straight back. A real step (boost building, HPFP ramping
+ * at tip-in) never comes back, so it is never flagged.
+ */
+function findSpikes(values) {
+  const valid = values.filter(v => !isNaN(v)).sort((a, b) => a - b);
+  if (valid.length < 5) return [];
+  const spread = percentile(valid, 0.95) - percentile(valid, 0.05);
+  const limit = Math.max(spread * SPIKE_RANGE_SHARE, Math.abs(percentile(valid, 0.5)) * SPIKE_MEDIAN_SHARE);
+  if (limit <= 0) return [];
+
+  const spikes = [];
+  for (let i = 1; i < values.length - 1; i++) {
+    const prev = values[i - 1];
+    if (isNaN(prev) || isNaN(values[i])) continue;
+    for (let w = 1; w <= SPIKE_MAX_ROWS && i + w < values.length; w++) {
+      const next = values[i + w];
+      if (isNaN(next) || Math.abs(next - prev) > limit * SPIKE_SETTLE_SHARE) continue;
+      const span = values.slice(i, i + w);
+      if (span.every(v => Math.abs(v - prev) > limit && Math.abs(v - next) > limit)) {
+        for (let j = i; j < i + w; j++) spikes.push(j);
+        i += w - 1;
+        break;
+      }
+    }
+  }
+  return spikes;
+}
+
+/** Runs of one exact value held while RPM swept — the sensor stopped updating. */
+function findFrozen(values, rpm) {
+  const frozen = [];
+  let start = 0;
+  for (let i = 1; i <= values.length; i++) {
+    if (i < values.length && !isNaN(values[i]) && values[i] === values[start]) continue;
+    if (!isNaN(values[start]) && i - start >= FROZEN_MIN_ROWS) {
+      const sweep = rpm.slice(start, i).filter(v => !isNaN(v));
+      if (sweep.length && Math.max(...sweep) - Math.min(...sweep) >= FROZEN_RPM_SWEEP) {
+        for (let j = start; j < i; j++) frozen.push(j);
+      }
+    }
+    start = i;
+  }
+  return frozen;
+}
+
+// ─── Time Axis ───────────────────────────────────────────────────────────────
+
+function checkTimeAxis(rows, timeCol) {
+  const times = rows.map(r => num(r, timeCol)).filter(v => !isNaN(v));
+  const steps = times.slice(1).map((t, i) => t - times[i]);
+  const forward = steps.filter(dt => dt > 0);
+  if (forward.length === 0) return { sample_rate_hz: null, gaps: [], rate_changes: [] };
+
+  const typical = median(forward);
+  const gaps = [];
+  steps.forEach((dt, i) => {
+    if (dt > typical * GAP_FACTOR) gaps.push({ time: roundN(times[i], 2), seconds: roundN(dt, 2) });
+  });
+
+  // Compare the median step window to window; gap steps are left out so one gap isn't a rate change
+  const rateChanges = [];
+  let lastHz = null;
+  for (let w = 0; w < steps.length; w += RATE_WINDOW_ROWS) {
+    const window = steps.slice(w, w + RATE_WINDOW_ROWS).filter(dt => dt > 0 && dt <= typical * GAP_FACTOR);
+    if (window.length < RATE_WINDOW_ROWS / 2) continue;
+    const hz = 1 / median(window);
+    if (lastHz !== null && Math.abs(hz - lastHz) / lastHz > RATE_CHANGE_SHARE) {
+      rateChanges.push({ time: roundN(times[w], 2), from_hz: roundN(lastHz, 1), to_hz: roundN(hz, 1) });
+    }
+    lastHz = hz;
+  }
+
+  return { sample_rate_hz: roundN(1 / typical, 1), gaps, rate_changes: rateChanges };
+}
+
+// ─── Data Quality ────────────────────────────────────────────────────────────
+
+/**
+ * Find and blank glitched samples in place, then report them.
+ * @param {object[]} rows     parseCsv() rows — flagged cells are set to ''
+ * @param {object}   columns  parseCsv() column map
+ * @returns {object} { sample_rate_hz, channels[], excluded_samples, gaps[], rate_changes[], status, note }
+ */
+export function checkDataQuality(rows, columns) {
+  const rpm = rows.map(r => num(r, columns.rpm));
+  const channels = [];
+
+  for (const key of CHECKED_CHANNELS) {
+    const col = columns[key];
+    if (!col) continue;
+    const values = rows.map(r => num(r, col));
+
+    const dropouts = IMPOSSIBLE[key] ? values.flatMap((v, i) => (!isNaN(v) && IMPOSSIBLE[key](v) ? [i] : [])) : [];
+    dropouts.forEach(i => { values[i] = NaN; });
+    const spikes = NO_SPIKE_CHANNELS.includes(key) ? [] : findSpikes(values);
+    const frozen = FROZEN_CHANNELS.includes(key) ? findFrozen(values, rpm) : [];
+
+    const excluded = new Set([...dropouts, ...spikes, ...frozen]);
+    if (excluded.size === 0) continue;
+    const firstTime = num(rows[Math.min(...excluded)], columns.time);
+    excluded.forEach(i => { rows[i][col] = ''; });
+    channels.push({
+      key,
+      column:      col,
+      dropouts:    dropouts.length,
+      spikes:      spikes.length,
+      frozen_rows: frozen.length,
+      excluded:    excluded.size,
+      first_time:  !isNaN(firstTime) ? roundN(firstTime, 2) : null,
+    });
+  }
+
+  const timeAxis = columns.time
+    ? checkTimeAxis(rows, columns.time)
+    : { sample_rate_hz: null, gaps: [], rate_changes: [] };
+  const excludedSamples = channels.reduce((sum, c) => sum + c.excluded, 0);
+
+  const notes = [];
+  if (excludedSamples > 0) {
+    notes.push(`Excluded ${excludedSamples} glitched sample${excludedSamples === 1 ? '' : 's'} from ${channels.map(c => c.column).join(', ')}.`);
+  }
+  if (timeAxis.gaps.length > 0) {
+    notes.push(`${timeAxis.gaps.length} gap${timeAxis.gaps.length === 1 ? '' : 's'} in the time axis.`);
+  }
+  if (timeAxis.rate_changes.length > 0) {
+    notes.push(`Sample rate changed ${timeAxis.rate_changes.length} time${timeAxis.rate_changes.length === 1 ? '' : 's'}.`);
+  }
+
+  return {
+    ...timeAxis,
+    channels,
+    excluded_samples: excludedSamples,
+    status: notes.length > 0 ? 'Caution' : 'Safe',
+    note:   notes.length > 0 ? notes.join(' ') : null,
+  };
+}
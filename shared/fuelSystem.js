@@ -0,0 +1,154 @@
+/**
+ * Fuel system capacity estimates for Ethos85.
+ *
+ * Isomorphic — no Node.js or DOM dependencies. Lets the Calculator warn
+ * before a fill whether the car's fuel system can feed the target blend at
+ * the expected power level, instead of finding out from an HPFP drop in a log.
+ *
+ * Each component is rated in crank hp it can support on E0. Ethanol needs
+ * more fuel for the same air (blendProperties().fuel_flow_factor), so at a
+ * given blend:
+ *   supported_hp = e0_hp / fuel_flow_factor
+ *
+ * The ratings are community rules of thumb for pump-gas/E85 BMW builds, not
+ * flow-bench numbers — treat the result as "worth checking", not a guarantee.
+ */
+
+import { blendProperties } from './blendMath.js';
+
+// ─── Component Ratings ───────────────────────────────────────────────────────
+
+// Stock component ratings per engine (crank hp on E0)
+export const ENGINE_FUEL_SYSTEMS = {
+  'B58 Gen1': { lpfp: 560, hpfp: 600, injectors: 650 },
+  'B58 Gen2': { lpfp: 600, hpfp: 700, injectors: 700 },
+  'S58':      { lpfp: 700, hpfp: 750, injectors: 800 },
+  'N55':      { lpfp: 450, hpfp: 500, injectors: 550 },
+  'N54':      { lpfp: 450, hpfp: 480, injectors: 550 },
+  'Other':    { lpfp: 560, hpfp: 600, injectors: 650 },
+};
+
+// Upgrades either scale the stock rating or replace it outright
+export const LPFP_OPTIONS = {
+  stock:   { label: 'Stock',                   scale: 1 },
+  boosted: { label: 'Stock + voltage booster', scale: 1.2 },
+  upgrade: { label: 'Upgraded in-tank pump',   hp: 900 },
+  dual:    { label: 'Dual pump / surge tank',  hp: 1200 },
+};
+
+export const HPFP_OPTIONS = {
+  stock:  { label: 'Stock',        scale: 1 },
+  stage1: { label: 'Stage 1 HPFP', scale: 1.3 },
+  stage2: { label: 'Stage 2 HPFP', scale: 1.6 },
+};
+
+export const INJECTOR_OPTIONS = {
+  stock:   { label: 'Stock',                 scale: 1 },
+  upgrade: { label: 'Upgraded DI injectors', hp: 1000 },
+};
+
+// Port injection carries part of the fuel outside the DI path. A shared kit
+// still draws from the LPFP; a dedicated one brings its own pump.
+export const PORT_INJECTION_OPTIONS = {
+  none:      { label: 'None',                       di_hp: 0,   lpfp_hp: 0 },
+  shared:    { label: 'PI kit (fed from LPFP)',     di_hp: 350, lpfp_hp: 0 },
+  dedicated: { label: 'PI kit with dedicated pump', di_hp: 350, lpfp_hp: 350 },
+};
+
+// Rough crank hp for common tune stages, used to prefill the power level
+export const TUNE_POWER_ESTIMATES = {
+  'Stock':         380,
+  'Stage 1':       430,
+  'Stage 2':       480,
+  'Stage 2+':      540,
+  'Custom E-tune': 560,
+};
+
+export const DEFAULT_FUEL_SYSTEM = {
+  engine:         'B58 Gen1',
+  lpfp:           'stock',
+  hpfp:           'stock',
+  injectors:      'stock',
+  port_injection: 'none',
+};
+
+const HEADROOM_CAUTION = 10; // % — less spare capacity than this is a Caution
+
+function rate(stockHp, option) {
+  return option.hp ?? stockHp * (option.scale ?? 1);
+}
+
+// ─── Capacity Check ──────────────────────────────────────────────────────────
+
+/**
+ * @param {object} profile   { engine, lpfp, hpfp, injectors, port_injection } — keys of the option maps
+ * @param {object} params
+ * @param {number} params.ethanol_percent  Target blend
+ * @param {number} params.target_hp        Expected crank hp on that blend
+ * @returns {{ ethanol_percent, target_hp, fuel_flow_factor, max_supported_hp, max_ethanol_percent,
+ *             limiting_component, components: object[], status: string, note: string }}
+ */
+export function checkFuelSystem(profile, { ethanol_percent, target_hp }) {
+  const p = { ...DEFAULT_FUEL_SYSTEM, ...profile };
+  const e = parseFloat(ethanol_percent);
+  const hp = parseFloat(target_hp);
+  if (isNaN(e) || e < 0 || e > 100) throw new Error('ethanol_percent must be 0–100.');
+  if (!(hp > 0)) throw new Error('target_hp must be greater than 0.');
+
+  const stock = ENGINE_FUEL_SYSTEMS[p.engine] ?? ENGINE_FUEL_SYSTEMS.Other;
+  const pi = PORT_INJECTION_OPTIONS[p.port_injection] ?? PORT_INJECTION_OPTIONS.none;
+  const lpfp = LPFP_OPTIONS[p.lpfp] ?? LPFP_OPTIONS.stock;
+  const hpfp = HPFP_OPTIONS[p.hpfp] ?? HPFP_OPTIONS.stock;
+  const injectors = INJECTOR_OPTIONS[p.injectors] ?? INJECTOR_OPTIONS.stock;
+
+  const flow = blendProperties([{ volume: 1, ethanol_percent: e }]).fuel_flow_factor;
+
+  const components = [
+    { id: 'lpfp',      label: 'LPFP',         option: lpfp.label,      e0_hp: rate(stock.lpfp, lpfp) + pi.lpfp_hp },
+    { id: 'hpfp',      label: 'HPFP',         option: hpfp.label,      e0_hp: rate(stock.hpfp, hpfp) + pi.di_hp },
+    { id: 'injectors', label: 'DI injectors', option: injectors.label, e0_hp: rate(stock.injectors, injectors) + pi.di_hp },
+  ].map(c => {
+    const supported = Math.round(c.e0_hp / flow);
+    const headroom = Math.round(((supported - hp) / hp) * 100);
+    return {
+      ...c,
+      e0_hp:            Math.round(c.e0_hp),
+      supported_hp:     supported,
+      headroom_percent: headroom,
+      status:           headroom < 0 ? 'Risk' : headroom < HEADROOM_CAUTION ? 'Caution' : 'Safe',
+    };
+  });
+
+  const limiting = components.reduce((min, c) => (c.supported_hp < min.supported_hp ? c : min));
+  const status = limiting.status;
+
+  // Highest blend the weakest part still supports at this power level
+  let maxEthanol = null;
+  for (let pct = 100; pct >= 0; pct -= 5) {
+    const f = blendProperties([{ volume: 1, ethanol_percent: pct }]).fuel_flow_factor;
+    if (components.every(c => c.e0_hp / f >= hp)) { maxEthanol = pct; break; }
+  }
+
+  let note;
+  if (status === 'Safe') {
+    note = `Fuel system should support E${e} at ~${hp} hp — the ${limiting.label} is the limit at ~${limiting.supported_hp} hp.`;
+  } else if (status === 'Caution') {
+    note = `E${e} at ~${hp} hp is close to the ${limiting.label} limit (~${limiting.supported_hp} hp). Log a pull and watch fuel pressure before going higher.`;
+  } else {
+    note = `The ${limiting.label} likely can't support E${e} at ~${hp} hp (~${limiting.supported_hp} hp max). ${
+      maxEthanol !== null ? `Stay at or below ~E${maxEthanol}` : 'Reduce power'
+    } or upgrade the ${limiting.label}.`;
+  }
+
+  return {
+    ethanol_percent:     e,
+    target_hp:           hp,
+    fuel_flow_factor:    flow,
+    max_supported_hp:    limiting.supported_hp,
+    max_ethanol_percent: maxEthanol,
+    limiting_component:  limiting.id,
+    components,
+    status,
+    note,
+  };
+}
@@ -0,0 +1,2347 @@
+/**
+ * Log analysis engine for Ethos85.
+ *
+ * Context-aware analysis — each metric only inspects rows where the car
+ * is actually under demand. Coasting and idle produce naturally extreme
+ * AFR/HPFP readings that are not safety concerns:
+ *
+ *   - During decel/coast, ECU cuts fuel → O2 sensor reads 18–22+ (not a real lean event)
+ *   - At idle, HPFP runs at 300–800 psi intentionally — not a pressure drop
+ *   - Light-throttle timing corrections are routine closed-loop adjustments
+ *
+ * Row classifications (derived from load + boost columns, Stock B58 limits):
+ *   COAST/IDLE: load < 50% and boost ≤ 2 psi  ← excluded from all metric analysis
+ *   DEMAND:     load ≥ 50% OR boost > 2 psi   ← AFR sample collection, HPFP checked here
+ *   WOT:        load ≥ 70% OR boost > 8 psi   ← AFR lean/rich events flagged here
+ *
+ * Every limit comes from a threshold profile (carDetails.thresholds), so a
+ * tuner can grade a race car and a daily driver differently.
+ *
+ * Mixture is graded in lambda, which means the same thing on every blend.
+ * Lambda logs are never converted; AFR logs are read against the blend's
+ * stoich (E40 is ~12.3:1). Stoich is only used to show AFR alongside lambda.
+ *
+ * Boost unit detection: if the CSV column header contains "bar" or "kpa",
+ * values are automatically converted to psi for all threshold comparisons.
+ */
+
+import { parseCsv, num, lambdaToAfr } from './csvParser.js'; // isomorphic — browser, server and api/
+import { resolveThresholds } from './thresholds.js';
+import { blendProperties } from './blendMath.js';
+import { resolveChassis } from './chassis.js';
+import { checkDataQuality } from './dataQuality.js';
+
+// ─── Constants ───────────────────────────────────────────────────────────────
+
+// Grading limits (load/boost gating, AFR, fuel pressure, IAT, timing, boost
+// control) come from the threshold profile — see shared/thresholds.js.
+
+// Boost control — structure of a deviation, not how much is too much
+const BOOST_SPOOL_RPM = 3000;     // below this, trailing target is just spool-up
+const BOOST_CREEP_RPM = 5000;     // overboost up top with the wastegate open is creep
+const BOOST_MIN_EVENTS = 3;       // rows before a deviation counts as a pattern
+const WGDC_OPEN_PCT = 5;          // wastegate effectively wide open
+
+// Per-cylinder knock — one cylinder carrying most of the pulls points at a
+// plug, coil or injector on that cylinder rather than fuel or tune.
+const KNOCK_RPM_BIN = 500;            // rpm per heat map column
+const SINGLE_CYL_MIN_EVENTS = 3;      // pull events before a pattern is meaningful
+const SINGLE_CYL_SHARE = 0.6;         // share of all pull events on one cylinder
+
+// Misfires — what happened around each one separates spark from fuel
+const MISFIRE_WINDOW_ROWS = 3;        // rows either side of a misfire checked for timing pulls and lambda swings
+const MISFIRE_LAMBDA_SWING_PCT = 5;   // unburnt charge makes the wideband swing lean for a moment
+const MISFIRE_SPREAD_CYLINDERS = 3;   // this many cylinders misfiring is the fuel system, not a plug
+const MISFIRE_COUNTER_HELD_SHARE = 0.5; // non-zero readings repeated row to row — a running counter, even across a reset
+
+// Throttle closure — the pedal is pinned but the ECU has shut the throttle,
+// which is how boost and torque limiters show up in a log.
+const PEDAL_PINNED_PCT = 95;
+const THROTTLE_CLOSED_PCT = 85;     // throttle angle reads ~100% at WOT
+const THROTTLE_MIN_ROWS = 2;        // a single row is sensor noise
+const TORQUE_AT_LIMIT = 0.97;       // actual torque this close to the limit is being capped
+const TORQUE_LIMIT_DROP = 0.95;     // limit below this share of its pull high was pulled down
+
+// Component-protection enrichment — without a time column, this many rows
+// stand in for the sustained-rich duration in the threshold profile
+const ENRICH_MIN_ROWS = 10;
+
+// Gears — 1st and 2nd run out of traction before they run out of boost, and
+// the ECU holds torque (and boost) down there on purpose.
+const TRACTION_LIMITED_GEAR = 2;
+const GEAR_RATIO_TOLERANCE = 0.08;  // RPM/speed within ±8% of a gear's ratio; outside it the clutch or converter is slipping
+const GEAR_MIN_SPEED_MPH = 5;
+const MAX_GEAR = 10;                // a logged gear channel reads 0 (neutral) to this, in whole numbers
+const INFERRED_GEAR_COL = 'Gear (inferred)';
+
+// Heat soak — compressor outlet temperature is estimated from the pressure
+// ratio (adiabatic compression at a typical efficiency) to grade the intercooler
+const COMPRESSOR_EFFICIENCY = 0.7;
+const AIR_GAMMA = 1.4;
+const ATMOSPHERE_PSI = 14.7;
+const RANKINE_OFFSET = 459.67;
+
+// Pull segmentation — a pull is a contiguous WOT run. Short lifts (gear
+// shifts) are bridged so one multi-gear pull isn't split in two.
+const PULL_MIN_ROWS = 5;      // shorter WOT runs are throttle stabs, not pulls
+const PULL_MAX_GAP_ROWS = 3;  // non-WOT rows tolerated inside a single pull
+
+// O2 sensors read 18–22+ during decel fuel cut regardless of blend.
+// Readings leaner than this (16.5:1 on gasoline) are excluded from analysis and the chart.
+const FUEL_CUT_LAMBDA = 1.12;
+
+// Unlabeled trims read as a multiplier only when every sample is within this of 1.0
+const TRIM_FACTOR_BAND = 0.1;
+
+// Profile AFR limits are gasoline AFR — as lambda they hold for every blend
+const GASOLINE_STOICH = 14.7;
+
+// Lambda vs target — error is (actual − target) / target, positive = lean
+const LAMBDA_ERROR_BINS = [-10, -5, -2, 2, 5, 10];   // % edges for the error histogram
+const LEAN_SUSTAINED_ROWS = 3;                        // consecutive lean rows before a stretch is a pattern
+
+// Power estimate — road load on a flat road at sea level. Drivetrain inertia
+// is ignored, so acceleration-based numbers read a little low in low gears.
+const AIR_DENSITY = 1.2;           // kg/m³
+const ROLLING_RESISTANCE = 0.015;
+const POWER_FIT_ROWS = 2;          // rows either side of each point in the acceleration fit
+const POWER_RPM_BIN = 250;         // rpm per dyno curve point
+const LB_TO_KG = 0.4536;
+const IN_TO_M = 0.0254;
+const SQFT_TO_SQM = 0.0929;
+const NM_TO_LBFT = 0.7376;
+const WATTS_PER_HP = 745.7;
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+const STATUS_RANK = { Safe: 0, Caution: 1, Risk: 2 };
+
+function worstStatus(...statuses) {
+  return statuses
+    .filter(Boolean)
+    .reduce((worst, s) => (STATUS_RANK[s] ?? 0) > (STATUS_RANK[worst] ?? 0) ? s : worst, 'Safe');
+}
+
+function roundN(v, n) { return parseFloat(v.toFixed(n)); }
+
+/**
+ * Normalize a boost value to psi from whatever unit the CSV uses.
+ */
+function normalizeBoostToPsi(v, unit) {
+  if (isNaN(v)) return NaN;
+  if (unit === 'bar') return v * 14.5038;
+  if (unit === 'kpa') return v * 0.14504;
+  return v;
+}
+
+/**
+ * Threshold profile limits plus the blend's stoich and lambda lean/rich limits.
+ * A 13.8:1 lean limit on gasoline is λ 0.94 — equally lean on E85 — so the
+ * limits convert once and stoich never enters the grading of a lambda log.
+ */
+function getThresholds(ethanolPercent = 10, limits = resolveThresholds()) {
+  const e = Math.min(100, Math.max(0, Number(ethanolPercent) || 10));
+  const { stoich_afr: stoich } = blendProperties([{ volume: 1, ethanol_percent: e }]);
+  return {
+    ...limits,
+    ethanol_percent: e,
+    stoich,
+    lean_risk: roundN(limits.afr_lean_risk / GASOLINE_STOICH, 3),
+    lean_caution: roundN(limits.afr_lean_caution / GASOLINE_STOICH, 3),
+    rich_risk: roundN(limits.afr_rich_risk / GASOLINE_STOICH, 3),
+    rich_caution: roundN(limits.afr_rich_caution / GASOLINE_STOICH, 3),
+  };
+}
+
+function isDemand(load, boost, pedal, throttle, thresholds) {
+  const l = isNaN(load) ? 0 : load;
+  const b = isNaN(boost) ? 0 : boost;
+  const p = isNaN(pedal) ? NaN : pedal;
+  const t = isNaN(throttle) ? NaN : throttle;
+
+  // If we have pedal/throttle data, reject if both are explicitly lifted (coasting/shifting)
+  if (!isNaN(p) && p < 1 && (!isNaN(t) ? t < 5 : true)) return false;
+
+  return l >= thresholds.load_demand || b > thresholds.boost_demand_psi;
+}
+
+function isWot(load, boost, pedal, throttle, thresholds) {
+  const l = isNaN(load) ? 0 : load;
+  const b = isNaN(boost) ? 0 : boost;
+  const p = isNaN(pedal) ? NaN : pedal;
+  const t = isNaN(throttle) ? NaN : throttle;
+
+  // Require actual driver intent for WOT to avoid fuel-cut coasting spikes
+  if (!isNaN(p) && p < 50) return false;
+  if (!isNaN(t) && t < 30) return false;
+
+  return l >= thresholds.load_wot || b > thresholds.boost_wot_psi;
+}
+
+// ─── AFR Analysis ────────────────────────────────────────────────────────────
+
+function lambdaErrorPct(lambda, target) {
+  return ((lambda - target) / target) * 100;
+}
+
+/**
+ * Grade one WOT mixture sample. With a requested lambda the tune's own target
+ * is the reference — B58 tunes command different lambda at every RPM — and the
+ * absolute lean limit stays as a backstop against a lean target.
+ * @returns {{ side: 'lean'|'rich'|null, status: string }}
+ */
+function gradeMixture(lambda, target, thresholds) {
+  if (!isNaN(target) && target > 0) {
+    const err = lambdaErrorPct(lambda, target);
+    if (err > thresholds.lambda_lean_risk_pct || lambda > thresholds.lean_risk) return { side: 'lean', status: 'Risk' };
+    if (err > thresholds.lambda_lean_caution_pct) return { side: 'lean', status: 'Caution' };
+    if (-err > thresholds.lambda_rich_caution_pct) return { side: 'rich', status: 'Caution' };
+    return { side: null, status: 'Safe' };
+  }
+  if (lambda > thresholds.lean_risk) return { side: 'lean', status: 'Risk' };
+  if (lambda > thresholds.lean_caution) return { side: 'lean', status: 'Caution' };
+  if (lambda < thresholds.rich_risk) return { side: 'rich', status: 'Risk' };
+  if (lambda < thresholds.rich_caution) return { side: 'rich', status: 'Caution' };
+  return { side: null, status: 'Safe' };
+}
+
+function analyzeAfr(rows, columns, isLambdaAfr, thresholds, boostUnit) {
+  const afrCol = columns.afr;
+  const loadCol = columns.load;
+  const boostCol = columns.boost;
+  const targetCol = columns.afr_target;
+  const pedalCol = columns.pedal;
+  const throttleCol = columns.throttle;
+  const mode = isLambdaAfr ? 'lambda' : 'afr';
+
+  if (!afrCol) {
+    return { mode, actual: null, target: null, lambda: null, target_lambda: null, stoich: thresholds.stoich, lean_events: 0, rich_events: 0, status: 'Safe', note: 'AFR column not found in log.' };
+  }
+
+  const { stoich } = thresholds;
+  const toLambda = v => isLambdaAfr ? v : v / stoich;
+
+  let status = 'Safe';
+  let worstLean = null;
+  let leanEvents = 0;
+  let richEvents = 0;
+  const demandSamples = [];
+  const targetSamples = [];
+
+  for (const row of rows) {
+    const rawAfr = num(row, afrCol);
+    if (isNaN(rawAfr)) continue;
+
+    const lambda = toLambda(rawAfr);
+    if (lambda >= FUEL_CUT_LAMBDA) continue;
+
+    const load = num(row, loadCol);
+    const boost = normalizeBoostToPsi(num(row, boostCol), boostUnit);
+    const pedal = num(row, pedalCol);
+    const throttle = num(row, throttleCol);
+
+    // Collect demand lambda samples and target readings only at meaningful load
+    if (isDemand(load, boost, pedal, throttle, thresholds)) {
+      demandSamples.push(lambda);
+      if (targetCol) {
+        const rawTarget = num(row, targetCol);
+        if (!isNaN(rawTarget)) targetSamples.push(toLambda(rawTarget));
+      }
+    }
+
+    // Only flag lean/rich at WOT — coasting λ 1.2+ is intentional fuel cut
+    if (isWot(load, boost, pedal, throttle, thresholds)) {
+      const grade = gradeMixture(lambda, toLambda(num(row, targetCol)), thresholds);
+      if (grade.side === 'lean') {
+        leanEvents++;
+        if (worstLean === null || lambda > worstLean) worstLean = lambda;
+      } else if (grade.side === 'rich') {
+        richEvents++;
+      }
+      status = worstStatus(status, grade.status);
+    }
+  }
+
+  const avgDemand = demandSamples.length
+    ? demandSamples.reduce((a, b) => a + b, 0) / demandSamples.length
+    : null;
+
+  const avgTarget = targetSamples.length
+    ? targetSamples.reduce((a, b) => a + b, 0) / targetSamples.length
+    : null;
+
+  // Show worst lean event if one occurred, otherwise avg lambda under demand
+  const display = worstLean ?? avgDemand;
+
+  let note = null;
+  if (leanEvents > 0) {
+    note = mode === 'lambda'
+      ? `${leanEvents} lean event(s) at WOT — peak λ ${roundN(worstLean, 3)}.`
+      : `${leanEvents} lean event(s) at WOT — peak ${roundN(worstLean * stoich, 2)}:1.`;
+  } else if (richEvents > 0) {
+    note = `${richEvents} rich event(s) at WOT.`;
+  }
+
+  // actual/target are AFR on this blend for display; lambda is what was graded
+  return {
+    mode,
+    actual: display !== null ? roundN(lambdaToAfr(display, stoich), 2) : null,
+    target: avgTarget !== null ? roundN(lambdaToAfr(avgTarget, stoich), 2) : null,
+    lambda: display !== null ? roundN(display, 3) : null,
+    target_lambda: avgTarget !== null ? roundN(avgTarget, 3) : null,
+    stoich,
+    lean_events: leanEvents,
+    rich_events: richEvents,
+    status,
+    note,
+  };
+}
+
+// ─── Component Protection Enrichment ─────────────────────────────────────────
+
+/**
+ * Long WOT stretches where lambda sits well below target (or below the
+ * absolute rich limit when no target is logged). That is the ECU adding fuel
+ * to cool the turbine and catalyst — "rich and slow" — and when EGT or
+ * catalyst temp is logged, the stretch is tied to the heat that caused it.
+ * @param {string|null} fallbackUnit  unit for EGT / cat headers without one (see engineTempUnit)
+ */
+function analyzeEnrichment(rows, columns, isLambdaAfr, thresholds, boostUnit, fallbackUnit) {
+  const { time: timeCol, afr: afrCol, afr_target: targetCol, egt: egtCol, cat_temp: catCol } = columns;
+  const toLambda = v => (isLambdaAfr ? v : v / thresholds.stoich);
+
+  // A partial pull or a cat channel in °F can peak where °C EGT would, so the
+  // values are no guide to the unit — with no fallback either, the channel isn't read
+  const tempReader = col => {
+    if (!col) return null;
+    const unit = detectTempUnit(col) ?? fallbackUnit;
+    if (!unit) return null;
+    return r => {
+      const v = num(r, col);
+      return unit === 'C' ? v * 9 / 5 + 32 : v;
+    };
+  };
+  const egtF = tempReader(egtCol);
+  const catF = tempReader(catCol);
+  const peakOf = (read, list) => {
+    if (!read) return null;
+    const vals = list.map(read).filter(v => !isNaN(v));
+    return vals.length ? roundN(Math.max(...vals), 0) : null;
+  };
+
+  const isRich = r => {
+    const boost = normalizeBoostToPsi(num(r, columns.boost), boostUnit);
+    if (!isWot(num(r, columns.load), boost, num(r, columns.pedal), num(r, columns.throttle), thresholds)) return false;
+    const lambda = toLambda(num(r, afrCol));
+    const target = toLambda(num(r, targetCol));
+    if (isNaN(lambda)) return false;
+    return target > 0 ? -lambdaErrorPct(lambda, target) > thresholds.lambda_rich_caution_pct : lambda < thresholds.rich_caution;
+  };
+
+  const stretches = [];
+  let start = -1;
+  for (let i = 0; i <= rows.length; i++) {
+    const rich = i < rows.length && isRich(rows[i]);
+    if (rich && start === -1) start = i;
+    if (!rich && start !== -1) {
+      stretches.push({ start, end: i - 1 });
+      start = -1;
+    }
+  }
+
+  const sustained = stretches.map(({ start, end }) => {
+    const stretch = rows.slice(start, end + 1);
+    const t0 = num(rows[start], timeCol);
+    const t1 = num(rows[end], timeCol);
+    const seconds = !isNaN(t0) && !isNaN(t1) ? t1 - t0 : null;
+    const long = seconds !== null ? seconds >= thresholds.enrichment_min_s : stretch.length >= ENRICH_MIN_ROWS;
+    if (!long) return null;
+
+    const lambdas = stretch.map(r => toLambda(num(r, afrCol))).filter(v => !isNaN(v));
+    const targets = stretch.map(r => toLambda(num(r, targetCol))).filter(v => !isNaN(v));
+    const minLambda = Math.min(...lambdas);
+    const avgTarget = targets.length ? targets.reduce((a, b) => a + b, 0) / targets.length : null;
+
+    return {
+      start_time: !isNaN(t0) ? roundN(t0, 2) : null,
+      seconds: seconds !== null ? roundN(seconds, 2) : null,
+      rows: stretch.length,
+      min_lambda: roundN(minLambda, 3),
+      target_lambda: avgTarget !== null ? roundN(avgTarget, 3) : null,
+      max_rich_pct: avgTarget !== null ? roundN(-lambdaErrorPct(minLambda, avgTarget), 1) : null,
+      peak_egt_f: peakOf(egtF, stretch),
+      peak_cat_f: peakOf(catF, stretch),
+    };
+  }).filter(Boolean);
+
+  const peakEgt = peakOf(egtF, rows);
+  const peakCat = peakOf(catF, rows);
+  const result = { stretches: sustained, longest: null, total_seconds: null, peak_egt_f: peakEgt, peak_cat_f: peakCat };
+  if (sustained.length === 0) {
+    let status = 'Safe';
+    if (peakEgt !== null && peakEgt >= thresholds.egt_risk_f) status = 'Risk';
+    else if (peakEgt !== null && peakEgt >= thresholds.egt_caution_f) status = 'Caution';
+    return { ...result, status, note: status !== 'Safe' ? `EGT peaked at ${peakEgt}°F under load.` : null };
+  }
+
+  const secs = sustained.map(s => s.seconds).filter(v => v !== null);
+  result.total_seconds = secs.length ? roundN(secs.reduce((a, b) => a + b, 0), 2) : null;
+  const hottest = Math.max(...sustained.map(s => s.peak_egt_f ?? -Infinity));
+  const status = hottest >= thresholds.egt_risk_f ? 'Risk' : 'Caution';
+
+  const longest = sustained.reduce((a, b) => ((b.seconds ?? b.rows) > (a.seconds ?? a.rows) ? b : a));
+  const duration = longest.seconds !== null ? `${longest.seconds}s` : `${longest.rows} rows`;
+  const depth = longest.target_lambda !== null
+    ? `λ ${longest.min_lambda} vs ${longest.target_lambda} target`
+    : `λ ${longest.min_lambda}`;
+  const heat = longest.peak_egt_f !== null ? ` with EGT at ${longest.peak_egt_f}°F` : '';
+
+  return {
+    ...result,
+    longest,
+    status,
+    note: `Sustained enrichment at WOT for ${duration} (${depth})${heat} — component protection.`,
+  };
+}
+
+// ─── Lambda vs Target ────────────────────────────────────────────────────────
+
+/**
+ * Per-row actual vs requested lambda under demand: error distribution, the
+ * longest stretch running lean of target, and lean/rich events by deviation.
+ */
+function analyzeLambdaDeviation(rows, columns, isLambdaAfr, thresholds, boostUnit) {
+  const { afr: afrCol, afr_target: targetCol, time: timeCol } = columns;
+  const empty = { samples: 0, mean_error_pct: null, max_lean_pct: null, max_rich_pct: null, histogram: [], longest_lean: null, lean_events: 0, rich_events: 0 };
+
+  if (!afrCol || !targetCol) {
+    return { ...empty, status: 'Safe', note: 'No lambda/AFR target column — deviation from target not checked.' };
+  }
+
+  const toLambda = v => isLambdaAfr ? v : v / thresholds.stoich;
+  const edges = LAMBDA_ERROR_BINS;
+  const counts = new Array(edges.length + 1).fill(0);
+  const errors = [];
+  let maxLean = 0;
+  let maxRich = 0;
+  let leanEvents = 0;
+  let richEvents = 0;
+  let stretch = null;
+  let longest = null;
+
+  const closeStretch = () => {
+    if (stretch && (!longest || stretch.rows > longest.rows)) longest = stretch;
+    stretch = null;
+  };
+
+  for (const row of rows) {
+    const lambda = toLambda(num(row, afrCol));
+    const target = toLambda(num(row, targetCol));
+    const demand = isDemand(
+      num(row, columns.load), normalizeBoostToPsi(num(row, columns.boost), boostUnit), num(row, columns.pedal), num(row, columns.throttle), thresholds
+    );
+    if (!demand || isNaN(lambda) || isNaN(target) || target <= 0 || lambda >= FUEL_CUT_LAMBDA) {
+      closeStretch();
+      continue;
+    }
+
+    const err = lambdaErrorPct(lambda, target);
+    errors.push(err);
+    counts[edges.filter(e => err > e).length]++;
+    if (err > maxLean) maxLean = err;
+    if (-err > maxRich) maxRich = -err;
+
+    if (err > thresholds.lambda_lean_caution_pct) {
+      leanEvents++;
+      const t = num(row, timeCol);
+      if (!stretch) stretch = { rows: 0, start_time: isNaN(t) ? null : roundN(t, 2), end_time: null, max_pct: 0 };
+      stretch.rows++;
+      stretch.end_time = isNaN(t) ? null : roundN(t, 2);
+      stretch.max_pct = Math.max(stretch.max_pct, err);
+    } else {
+      closeStretch();
+      if (-err > thresholds.lambda_rich_caution_pct) richEvents++;
+    }
+  }
+  closeStretch();
+
+  if (errors.length === 0) return { ...empty, status: 'Safe', note: 'No lambda target samples under demand.' };
+
+  const histogram = counts.map((count, i) => ({
+    from:  i === 0 ? null : edges[i - 1],
+    to:    i === edges.length ? null : edges[i],
+    count,
+    pct:   roundN((count / errors.length) * 100, 1),
+  }));
+
+  const longestLean = longest && {
+    rows:       longest.rows,
+    seconds:    longest.start_time !== null && longest.end_time !== null ? roundN(longest.end_time - longest.start_time, 2) : null,
+    start_time: longest.start_time,
+    max_pct:    roundN(longest.max_pct, 1),
+  };
+
+  let status = 'Safe';
+  const notes = [];
+  const sustained = longestLean && longestLean.rows >= LEAN_SUSTAINED_ROWS;
+
+  if (sustained && longestLean.max_pct > thresholds.lambda_lean_risk_pct) {
+    status = 'Risk';
+    notes.push(`Ran up to ${longestLean.max_pct}% lean of target for ${longestLean.seconds !== null ? `${longestLean.seconds}s` : `${longestLean.rows} rows`} straight.`);
+  } else if (sustained || maxLean > thresholds.lambda_lean_risk_pct) {
+    status = 'Caution';
+    notes.push(`Lambda ran up to ${roundN(maxLean, 1)}% lean of target under load.`);
+  }
+  if (richEvents >= LEAN_SUSTAINED_ROWS) {
+    status = worstStatus(status, 'Caution');
+    notes.push(`Up to ${roundN(maxRich, 1)}% rich of target — check for a target/fuel-trim mismatch or a leaking injector.`);
+  }
+
+  return {
+    samples:        errors.length,
+    mean_error_pct: roundN(errors.reduce((a, b) => a + b, 0) / errors.length, 1),
+    max_lean_pct:   roundN(maxLean, 1),
+    max_rich_pct:   roundN(maxRich, 1),
+    histogram,
+    longest_lean:   longestLean,
+    lean_events:    leanEvents,
+    rich_events:    richEvents,
+    status,
+    note:           notes.length > 0 ? notes.join(' ') : null,
+  };
+}
+
+// ─── HPFP Analysis ───────────────────────────────────────────────────────────
+
+function analyzeHpfp(rows, columns, boostUnit, thresholds) {
+  const actualCol = columns.hpfp;
+  const targetCol = columns.hpfp_target;
+  const loadCol = columns.load;
+  const boostCol = columns.boost;
+  const pedalCol = columns.pedal;
+  const throttleCol = columns.throttle;
+
+  if (!actualCol) {
+    return { actual: null, target: null, max_drop_pct: null, status: 'Safe', note: 'HPFP column not found in log.' };
+  }
+
+  const demandRows = rows.filter(r => {
+    const load = num(r, loadCol);
+    const boost = normalizeBoostToPsi(num(r, boostCol), boostUnit);
+    const pedal = num(r, pedalCol);
+    const throttle = num(r, throttleCol);
+    return isDemand(load, boost, pedal, throttle, thresholds);
+  });
+
+  const sourceRows = demandRows.length >= 5 ? demandRows : rows;
+
+  const actuals = sourceRows.map(r => num(r, actualCol)).filter(v => !isNaN(v) && v > 0);
+  if (actuals.length === 0) {
+    return { actual: null, target: null, max_drop_pct: null, status: 'Safe', note: 'No valid HPFP readings during engine demand.' };
+  }
+
+  const avgActual = actuals.reduce((a, b) => a + b, 0) / actuals.length;
+  const peakActual = Math.max(...actuals);
+
+  let avgTarget = null;
+  if (targetCol) {
+    const targets = sourceRows.map(r => num(r, targetCol)).filter(v => !isNaN(v) && v > 0);
+    if (targets.length) avgTarget = targets.reduce((a, b) => a + b, 0) / targets.length;
+  }
+
+  let maxDropPct = 0;
+  let worstActual = null;
+
+  if (targetCol) {
+    // Check the entire log for crashes, but only when target pressure is
+    // high enough (e.g. > 1000 psi) to ignore normal idle fluctuations.
+    for (const row of rows) {
+      const a = num(row, actualCol);
+      const t = num(row, targetCol);
+      if (isNaN(a) || isNaN(t) || t <= 1000 || a <= 0) continue;
+
+      const dropPct = ((t - a) / t) * 100;
+      if (dropPct > maxDropPct) { maxDropPct = dropPct; worstActual = a; }
+    }
+  } else {
+    for (const a of actuals) {
+      const dropPct = ((peakActual - a) / peakActual) * 100;
+      if (dropPct > maxDropPct) { maxDropPct = dropPct; worstActual = a; }
+    }
+  }
+
+  let status = 'Safe';
+  let note = null;
+
+  if (maxDropPct >= thresholds.hpfp_drop_risk_pct) {
+    status = 'Risk';
+    note = `HPFP dropped ${roundN(maxDropPct, 1)}% below ${avgTarget ? 'target' : 'session peak'} during engine demand.`;
+  } else if (maxDropPct >= thresholds.hpfp_drop_caution_pct) {
+    status = 'Caution';
+    note = `HPFP dipped ${roundN(maxDropPct, 1)}% under load — monitor closely.`;
+  }
+
+  // When there's a meaningful drop, show the worst actual (matches chart dot).
+  // When safe, show the avg so the user sees typical operating pressure.
+  const displayActual = (status !== 'Safe' && worstActual !== null)
+    ? roundN(worstActual, 0)
+    : roundN(avgActual, 0);
+
+  return {
+    actual: displayActual,
+    avgActual: roundN(avgActual, 0),
+    target: avgTarget ? roundN(avgTarget, 0) : roundN(peakActual, 0),
+    max_drop_pct: roundN(maxDropPct, 1),
+    status,
+    note,
+  };
+}
+
+// ─── LPFP Analysis ───────────────────────────────────────────────────────────
+
+/**
+ * Low-pressure pumps are logged in bar on some platforms and psi on others;
+ * read the unit from the header, falling back to the value range.
+ */
+function detectLpfpUnit(colName, samples) {
+  const lower = colName.toLowerCase();
+  if (lower.includes('bar')) return 'bar';
+  if (lower.includes('kpa')) return 'kpa';
+  if (lower.includes('psi')) return 'psi';
+  const max = Math.max(...samples);
+  if (max > 200) return 'kpa';
+  if (max < 15) return 'bar';
+  return 'psi';
+}
+
+/**
+ * The HPFP can only hold pressure if the low side feeds it. Flags LPFP sag
+ * during demand, a pump running at full duty, and whether the sag lines up
+ * with an HPFP drop — which makes the low side, not the HPFP, the culprit.
+ */
+function analyzeLpfp(rows, columns, boostUnit, thresholds) {
+  const { lpfp: actualCol, lpfp_target: targetCol, lpfp_duty: dutyCol, hpfp: hpfpCol, hpfp_target: hpfpTargetCol } = columns;
+
+  if (!actualCol) {
+    return { actual: null, target: null, max_sag_pct: null, max_duty: null, hpfp_linked: null, status: 'Safe', note: 'LPFP column not found in log.' };
+  }
+
+  const demandRows = rows.filter(r => isDemand(
+    num(r, columns.load), normalizeBoostToPsi(num(r, columns.boost), boostUnit), num(r, columns.pedal), num(r, columns.throttle), thresholds
+  ));
+  const actuals = demandRows.map(r => num(r, actualCol)).filter(v => !isNaN(v) && v > 0);
+  if (actuals.length === 0) {
+    return { actual: null, target: null, max_sag_pct: null, max_duty: null, hpfp_linked: null, status: 'Safe', note: 'No valid LPFP readings during engine demand.' };
+  }
+
+  const unit = detectLpfpUnit(actualCol, actuals);
+  const toPsi = v => normalizeBoostToPsi(v, unit);
+  const peakActual = Math.max(...actuals);
+
+  let maxSagPct = 0;
+  let worstActual = null;
+  let maxDuty = null;
+  let linkedRows = 0;
+  const targets = [];
+
+  for (const r of demandRows) {
+    const a = num(r, actualCol);
+    if (isNaN(a) || a <= 0) continue;
+    const t = num(r, targetCol);
+    if (!isNaN(t) && t > 0) targets.push(t);
+    const reference = !isNaN(t) && t > 0 ? t : peakActual;
+    const sagPct = ((reference - a) / reference) * 100;
+    if (sagPct > maxSagPct) { maxSagPct = sagPct; worstActual = a; }
+
+    const duty = num(r, dutyCol);
+    if (!isNaN(duty)) maxDuty = Math.max(maxDuty ?? 0, duty);
+
+    // Same row: low side sagging while the HPFP misses its target
+    const hp = num(r, hpfpCol);
+    const hpt = num(r, hpfpTargetCol);
+    if (sagPct >= thresholds.lpfp_sag_caution_pct && hpt > 1000 && ((hpt - hp) / hpt) * 100 >= thresholds.hpfp_drop_caution_pct) linkedRows++;
+  }
+
+  const avgActual = actuals.reduce((a, b) => a + b, 0) / actuals.length;
+  const avgTarget = targets.length ? targets.reduce((a, b) => a + b, 0) / targets.length : null;
+  const saturated = maxDuty !== null && maxDuty >= thresholds.lpfp_duty_max_pct;
+  const hpfpLinked = hpfpCol && hpfpTargetCol ? linkedRows > 0 : null;
+
+  let status = 'Safe';
+  const notes = [];
+
+  if (maxSagPct >= thresholds.lpfp_sag_risk_pct) {
+    status = 'Risk';
+    notes.push(`LPFP sagged ${roundN(maxSagPct, 1)}% below ${avgTarget ? 'target' : 'session peak'} during engine demand.`);
+  } else if (maxSagPct >= thresholds.lpfp_sag_caution_pct) {
+    status = 'Caution';
+    notes.push(`LPFP dipped ${roundN(maxSagPct, 1)}% under load — the low side is near its limit.`);
+  }
+  if (saturated) {
+    status = worstStatus(status, 'Caution');
+    notes.push(`LPFP duty reached ${roundN(maxDuty, 0)}% — the pump has no headroom for more ethanol or power.`);
+  }
+  if (hpfpLinked) {
+    notes.push('The HPFP drop coincides with LPFP sag — fix the low side before blaming the HPFP.');
+  }
+
+  const displayActual = status !== 'Safe' && worstActual !== null ? worstActual : avgActual;
+
+  return {
+    actual: roundN(toPsi(displayActual), 1),
+    avgActual: roundN(toPsi(avgActual), 1),
+    target: roundN(toPsi(avgTarget ?? peakActual), 1),
+    max_sag_pct: roundN(maxSagPct, 1),
+    max_duty: maxDuty !== null ? roundN(maxDuty, 0) : null,
+    hpfp_linked: hpfpLinked,
+    status,
+    note: notes.length > 0 ? notes.join(' ') : null,
+  };
+}
+
+// ─── Fuel Trims ──────────────────────────────────────────────────────────────
+
+/**
+ * Trims are logged either as percent (±25) or as a multiplier (0.75–1.25).
+ * The header decides when it can. Unlabeled, small percent trims look just
+ * like a multiplier, so the multiplier reading needs every trim in the log —
+ * `trimSamples`, one array per trim column — clustered tightly around 1.0.
+ */
+function trimScale(colName, trimSamples) {
+  const lower = colName.toLowerCase();
+  if (lower.includes('%')) return 'pct';
+  if (lower.includes('factor') || lower.includes('mult')) return 'factor';
+  const logged = trimSamples.filter(s => s.length > 0);
+  return logged.length > 0 && logged.every(s => s.every(v => Math.abs(v - 1) <= TRIM_FACTOR_BAND)) ? 'factor' : 'pct';
+}
+
+/** Ethanol % whose stoich matches — blend stoich falls steadily from E0 to E100. */
+function ethanolForStoich(stoich) {
+  let lo = 0;
+  let hi = 100;
+  for (let i = 0; i < 20; i++) {
+    const mid = (lo + hi) / 2;
+    if (blendProperties([{ volume: 1, ethanol_percent: mid }]).stoich_afr > stoich) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/**
+ * Closed-loop fuel trims. Positive trims mean the ECU is adding fuel — on a
+ * flex-fuel tune that usually means more ethanol than it was told, so the
+ * trims imply the blend actually in the tank:
+ *   implied stoich = entered stoich / (1 + trim)
+ */
+function analyzeFuelTrims(rows, columns, isLambdaAfr, thresholds, boostUnit) {
+  const { stft: stftCol, ltft: ltftCol, fuel_adapt_add: addCol, afr: afrCol } = columns;
+  const entered = thresholds.ethanol_percent;
+  const empty = {
+    samples: 0, stft_mean: null, ltft_mean: null, combined_mean: null, max_abs_stft: null, max_abs_ltft: null,
+    additive_max: null, entered_ethanol: entered, implied_ethanol: null, ethanol_delta: null,
+  };
+  if (!stftCol && !ltftCol) return { ...empty, status: 'Safe', note: 'No fuel trim columns found in log.' };
+
+  const toLambda = v => isLambdaAfr ? v : v / thresholds.stoich;
+
+  // Trims only mean something in closed loop — WOT runs open loop, fuel cut has no fuel to trim
+  const closedLoop = rows.filter(r => {
+    const boost = normalizeBoostToPsi(num(r, columns.boost), boostUnit);
+    if (isWot(num(r, columns.load), boost, num(r, columns.pedal), num(r, columns.throttle), thresholds)) return false;
+    return !(toLambda(num(r, afrCol)) >= FUEL_CUT_LAMBDA);
+  });
+
+  const rawTrims = [stftCol, ltftCol].filter(Boolean).map(col => closedLoop.map(r => num(r, col)).filter(v => !isNaN(v)));
+  const read = col => {
+    if (!col) return null;
+    const raw = closedLoop.map(r => num(r, col));
+    const scale = trimScale(col, rawTrims);
+    return raw.map(v => (isNaN(v) ? NaN : scale === 'factor' ? (v - 1) * 100 : v));
+  };
+  const stft = read(stftCol);
+  const ltft = read(ltftCol);
+
+  const combined = [];
+  const stftVals = [];
+  const ltftVals = [];
+  for (let i = 0; i < closedLoop.length; i++) {
+    const st = stft ? stft[i] : NaN;
+    const lt = ltft ? ltft[i] : NaN;
+    if (isNaN(st) && isNaN(lt)) continue;
+    if (!isNaN(st)) stftVals.push(st);
+    if (!isNaN(lt)) ltftVals.push(lt);
+    combined.push((isNaN(st) ? 0 : st) + (isNaN(lt) ? 0 : lt));
+  }
+  if (combined.length === 0) return { ...empty, status: 'Safe', note: 'No closed-loop fuel trim samples in log.' };
+
+  const mean = vals => (vals.length ? vals.reduce((a, b) => a + b, 0) / vals.length : null);
+  const maxAbs = vals => (vals.length ? Math.max(...vals.map(Math.abs)) : null);
+  const combinedMean = mean(combined);
+  const maxAbsLtft = maxAbs(ltftVals);
+
+  const additive = addCol ? rows.map(r => num(r, addCol)).filter(v => !isNaN(v)) : [];
+
+  const impliedStoich = thresholds.stoich / (1 + combinedMean / 100);
+  const implied = Math.round(ethanolForStoich(impliedStoich));
+  const delta = implied - entered;
+
+  // Sustained correction — the mean of both trims, or a long-term trim that has walked off
+  const level = Math.max(Math.abs(combinedMean), maxAbsLtft ?? 0);
+  let status = 'Safe';
+  const notes = [];
+  if (level >= thresholds.fuel_trim_risk_pct) {
+    status = 'Risk';
+    notes.push(`Fuel trims are correcting ${roundN(combinedMean, 1)}% — the ECU is near its correction limit. Check for vacuum/boost leaks, a failing injector or the wrong ethanol setting.`);
+  } else if (level >= thresholds.fuel_trim_caution_pct) {
+    status = 'Caution';
+    notes.push(`Fuel trims are correcting ${roundN(combinedMean, 1)}% in closed loop.`);
+  }
+  if (Math.abs(delta) >= thresholds.ethanol_mismatch_pct) {
+    status = worstStatus(status, 'Caution');
+    notes.push(`Trims imply ~E${implied}, not the E${entered} entered — test your ethanol content before trusting the blend math.`);
+  }
+
+  return {
+    samples: combined.length,
+    stft_mean: stftVals.length ? roundN(mean(stftVals), 1) : null,
+    ltft_mean: ltftVals.length ? roundN(mean(ltftVals), 1) : null,
+    combined_mean: roundN(combinedMean, 1),
+    max_abs_stft: stftVals.length ? roundN(maxAbs(stftVals), 1) : null,
+    max_abs_ltft: maxAbsLtft !== null ? roundN(maxAbsLtft, 1) : null,
+    additive_max: additive.length ? roundN(maxAbs(additive), 2) : null,
+    entered_ethanol: entered,
+    implied_ethanol: implied,
+    ethanol_delta: delta,
+    status,
+    note: notes.length > 0 ? notes.join(' ') : null,
+  };
+}
+
+// ─── Temperature unit detection ──────────────────────────────────────────────
+
+/**
+ * Read a temperature unit directly from the column header.
+ * BM3/MHD export headers like "Intake Air Temp [°F]" or "IAT [°C]".
+ * Returns 'F', 'C', or null when ambiguous (no unit marker in the name).
+ */
+function detectTempUnit(colName) {
+  if (!colName) return null;
+  const lower = colName.toLowerCase();
+  if (lower.includes('°f') || lower.includes('[f]') || lower.includes('(f)') ||
+      lower.includes('_f]') || lower.includes(' f]') || lower.includes('_fahrenheit')) return 'F';
+  if (lower.includes('°c') || lower.includes('[c]') || lower.includes('(c)') ||
+      lower.includes('_c]') || lower.includes(' c]') || lower.includes('_celsius')) return 'C';
+  return null;
+}
+
+// ─── IAT Analysis ────────────────────────────────────────────────────────────
+
+/**
+ * Unit detection — column name is checked first (most reliable).
+ * BM3/MHD embed the unit in the header, e.g. "Intake Air Temp [°F]".
+ * Pure value-based guessing is used only when the name gives no clue:
+ *   - any value > 100 → must be Fahrenheit (100°C = boiling water, impossible for IAT)
+ *   - otherwise default Celsius (BMW ECU / MHD export metric by default)
+ */
+function iatUnit(iatCol, values) {
+  return detectTempUnit(iatCol) ?? (values.every(v => v <= 100) ? 'C' : 'F');
+}
+
+function analyzeIat(rows, columns, boostUnit, thresholds) {
+  const iatCol    = columns.iat;
+  const loadCol   = columns.load;
+  const boostCol  = columns.boost;
+  const pedalCol  = columns.pedal;
+  const throttleCol = columns.throttle;
+
+  if (!iatCol) {
+    return { value: null, unit: 'F', peak_f: null, status: 'Safe', note: 'IAT column not found in log.' };
+  }
+
+  const allValues = rows.map(r => num(r, iatCol)).filter(v => !isNaN(v));
+  if (allValues.length === 0) {
+    return { value: null, unit: 'F', peak_f: null, status: 'Safe', note: 'No valid IAT readings.' };
+  }
+
+  const unit = iatUnit(iatCol, allValues);
+  const toF  = v => unit === 'C' ? v * 9 / 5 + 32 : v;
+
+  // Filter to demand rows only — same pattern as HPFP.
+  // Idle / heat-soak-at-rest readings are excluded so we report what the
+  // engine actually sees during a pull, not a traffic-jam soak spike.
+  const demandRows = rows.filter(r => {
+    const load    = num(r, loadCol);
+    const boost   = normalizeBoostToPsi(num(r, boostCol), boostUnit);
+    const pedal   = num(r, pedalCol);
+    const throttle = num(r, throttleCol);
+    return isDemand(load, boost, pedal, throttle, thresholds);
+  });
+
+  // Fall back to all rows if there are too few demand samples
+  const sourceValues = demandRows.length >= 5
+    ? demandRows.map(r => num(r, iatCol)).filter(v => !isNaN(v))
+    : allValues;
+
+  if (sourceValues.length === 0) {
+    return { value: null, unit, peak_f: null, status: 'Safe', note: 'No valid IAT readings during engine demand.' };
+  }
+
+  const maxRaw = Math.max(...sourceValues);
+  const peakF  = roundN(toF(maxRaw), 1);
+  const context = demandRows.length >= 5 ? 'under load' : 'session peak';
+
+  let status = 'Safe';
+  let note   = null;
+
+  if (peakF >= thresholds.iat_risk_f) {
+    status = 'Risk';
+    note   = `Peak IAT of ${Math.round(peakF)}°F ${context} exceeds safe operating threshold.`;
+  } else if (peakF >= thresholds.iat_caution_f) {
+    status = 'Caution';
+    note   = `Peak IAT of ${Math.round(peakF)}°F ${context} is elevated — consider heat soak risk.`;
+  }
+
+  return {
+    value:  roundN(maxRaw, 1),
+    unit,
+    peak_f: peakF,
+    status,
+    note,
+  };
+}
+
+// ─── Heat Soak ───────────────────────────────────────────────────────────────
+
+/**
+ * Intercooler efficiency from the pressure ratio: the compressor outlet
+ * temperature is estimated, then efficiency is how much of the heat above
+ * ambient the intercooler took back out. Null below ~1 psi of boost.
+ */
+function intercoolerEfficiency(boostPsi, iatF, ambientF) {
+  const ratio = (boostPsi + ATMOSPHERE_PSI) / ATMOSPHERE_PSI;
+  if (isNaN(ratio) || isNaN(iatF) || isNaN(ambientF) || ratio < 1.05) return null;
+  const ambientR = ambientF + RANKINE_OFFSET;
+  const outletF = ambientR * (1 + (ratio ** ((AIR_GAMMA - 1) / AIR_GAMMA) - 1) / COMPRESSOR_EFFICIENCY) - RANKINE_OFFSET;
+  return roundN(Math.min(100, Math.max(0, ((outletF - iatF) / (outletF - ambientF)) * 100)), 0);
+}
+
+/**
+ * IAT across a session: where each pull starts and peaks, how far it
+ * recovers in the gap before the next one, and — when ambient is logged —
+ * the delta over ambient and an intercooler efficiency estimate at peak boost.
+ * `pullRanges` are detectPulls() ranges. Null without an IAT column or pulls.
+ */
+function analyzeHeatSoak(rows, columns, pullRanges, boostUnit, thresholds) {
+  const { iat: iatCol, ambient_temp: ambientCol, time: timeCol } = columns;
+  if (!iatCol || pullRanges.length === 0) return null;
+
+  const rawIat = rows.map(r => num(r, iatCol));
+  const validIat = rawIat.filter(v => !isNaN(v));
+  if (validIat.length === 0) return null;
+
+  const unit = iatUnit(iatCol, validIat);
+  const toF = (v, u) => (u === 'C' ? v * 9 / 5 + 32 : v);
+  const iatF = rawIat.map(v => toF(v, unit));
+  // An unlabeled ambient column is read in the IAT's unit — the ranges overlap too much to guess
+  const ambientUnit = ambientCol ? detectTempUnit(ambientCol) ?? unit : null;
+  const ambientF = rows.map(r => (ambientCol ? toF(num(r, ambientCol), ambientUnit) : NaN));
+  const time = i => num(rows[i], timeCol);
+  const mean = list => list.reduce((a, b) => a + b, 0) / list.length;
+
+  const pulls = pullRanges.map(({ start, end }, idx) => {
+    const span = [];
+    for (let i = start; i <= end; i++) if (!isNaN(iatF[i])) span.push(i);
+    if (span.length === 0) return null;
+    const peakRow = span.reduce((a, i) => (iatF[i] > iatF[a] ? i : a));
+    const ambients = span.map(i => ambientF[i]).filter(v => !isNaN(v));
+    const ambient = ambients.length ? mean(ambients) : null;
+    const boostRow = span.reduce((a, i) => {
+      const b = normalizeBoostToPsi(num(rows[i], columns.boost), boostUnit);
+      return isNaN(b) || b <= normalizeBoostToPsi(num(rows[a], columns.boost), boostUnit) ? a : i;
+    });
+    const startTime = time(start);
+
+    return {
+      pull:              idx + 1,
+      start_time:        !isNaN(startTime) ? roundN(startTime, 2) : null,
+      start_f:           roundN(iatF[span[0]], 1),
+      peak_f:            roundN(iatF[peakRow], 1),
+      rise_f:            roundN(iatF[peakRow] - iatF[span[0]], 1),
+      ambient_f:         ambient !== null ? roundN(ambient, 1) : null,
+      delta_f:           ambient !== null ? roundN(iatF[peakRow] - ambient, 1) : null,
+      ic_efficiency_pct: ambient !== null
+        ? intercoolerEfficiency(normalizeBoostToPsi(num(rows[boostRow], columns.boost), boostUnit), iatF[boostRow], isNaN(ambientF[boostRow]) ? ambient : ambientF[boostRow])
+        : null,
+    };
+  }).filter(Boolean);
+  if (pulls.length === 0) return null;
+
+  // Recovery — from the end of one pull to the coolest point before the next
+  const recoveries = [];
+  for (let p = 0; p < pullRanges.length - 1; p++) {
+    const from = pullRanges[p].end;
+    const to = pullRanges[p + 1].start;
+    let coolest = from;
+    for (let i = from + 1; i < to; i++) if (iatF[i] < iatF[coolest]) coolest = i;
+    if (isNaN(iatF[from]) || coolest === from) continue;
+    const seconds = time(coolest) - time(from);
+    const recovered = iatF[from] - iatF[coolest];
+    recoveries.push({
+      after_pull:      p + 1,
+      seconds:         !isNaN(seconds) ? roundN(seconds, 1) : null,
+      from_f:          roundN(iatF[from], 1),
+      to_f:            roundN(iatF[coolest], 1),
+      recovered_f:     roundN(recovered, 1),
+      rate_f_per_min:  !isNaN(seconds) && seconds > 0 ? roundN((recovered / seconds) * 60, 1) : null,
+    });
+  }
+
+  const first = pulls[0];
+  const last = pulls[pulls.length - 1];
+  const creep = pulls.length > 1 ? roundN(last.start_f - first.start_f, 1) : null;
+  const deltas = pulls.map(p => p.delta_f).filter(v => v !== null);
+  const efficiencies = pulls.map(p => p.ic_efficiency_pct).filter(v => v !== null);
+  const minEfficiency = efficiencies.length ? Math.min(...efficiencies) : null;
+
+  const notes = [];
+  if (creep !== null && creep >= thresholds.iat_soak_creep_f) {
+    notes.push(`IAT at the start of each pull crept up ${creep}°F over ${pulls.length} pulls — heat soak is building.`);
+  }
+  if (minEfficiency !== null && minEfficiency < thresholds.ic_efficiency_min_pct) {
+    notes.push(`Intercooler efficiency fell to an estimated ${minEfficiency}%.`);
+  }
+
+  return {
+    unit,
+    pulls,
+    recoveries,
+    creep_f:           creep,
+    creep_per_pull_f:  creep !== null ? roundN(creep / (pulls.length - 1), 1) : null,
+    max_delta_f:       deltas.length ? Math.max(...deltas) : null,
+    min_ic_efficiency_pct: minEfficiency,
+    status:            notes.length > 0 ? 'Caution' : 'Safe',
+    note:              notes.length > 0 ? notes.join(' ') : null,
+  };
+}
+
+// ─── Engine Temperatures ─────────────────────────────────────────────────────
+
+const ENGINE_TEMP_CHANNELS = [
+  ['oil',     'oil_temp',     'Oil'],
+  ['coolant', 'coolant_temp', 'Coolant'],
+  ['trans',   'trans_temp',   'Transmission'],
+];
+
+/**
+ * Oil, coolant and transmission temperatures over the whole session — heat
+ * builds lap after lap on track, so cool-down rows count too. Each pull is
+ * also checked at its first row: boost on cold oil wears bearings long before
+ * anything reads as hot.
+ *
+ * A header without a unit takes `fallbackUnit` (see engineTempUnit). Warm oil
+ * in °C and cold oil in °F overlap, so the size of the values is no guide —
+ * with no fallback either, the channel is left ungraded.
+ * @param {Array} pullStarts     [{ id, row }] — first row of each pull
+ * @param {string|null} fallbackUnit  'F' | 'C' | null
+ */
+function analyzeEngineTemps(rows, columns, pullStarts, thresholds, fallbackUnit) {
+  const result = { oil: null, coolant: null, trans: null, cold_pulls: [] };
+  const valuesF = {};
+  const notes = [];
+  const ungraded = [];
+  let status = 'Safe';
+
+  for (const [name, key, label] of ENGINE_TEMP_CHANNELS) {
+    const col = columns[key];
+    if (!col) continue;
+    const raw = rows.map(r => num(r, col));
+    const valid = raw.filter(v => !isNaN(v));
+    if (valid.length === 0) continue;
+
+    const unit = detectTempUnit(col) ?? fallbackUnit;
+    if (!unit) {
+      ungraded.push(col);
+      continue;
+    }
+    const toF = v => (unit === 'C' ? v * 9 / 5 + 32 : v);
+    valuesF[name] = raw.map(toF);
+
+    const peakF = roundN(toF(Math.max(...valid)), 1);
+    let channelStatus = 'Safe';
+    if (peakF >= thresholds[`${name}_risk_f`]) {
+      channelStatus = 'Risk';
+      notes.push(`${label} temp peaked at ${Math.round(peakF)}°F — past the ${thresholds[`${name}_risk_f`]}°F limit.`);
+    } else if (peakF >= thresholds[`${name}_caution_f`]) {
+      channelStatus = 'Caution';
+      notes.push(`${label} temp reached ${Math.round(peakF)}°F — running hot.`);
+    }
+    status = worstStatus(status, channelStatus);
+    result[name] = { column: col, unit, min_f: roundN(toF(Math.min(...valid)), 1), peak_f: peakF, status: channelStatus };
+  }
+
+  if (!result.oil && !result.coolant && !result.trans) {
+    const note = ungraded.length > 0
+      ? `${ungraded.join(', ')} not graded — no unit in the header or the log's other temperatures. Set your units in Settings.`
+      : 'No oil, coolant or transmission temperature columns found in log.';
+    return { ...result, status: 'Safe', note };
+  }
+  if (ungraded.length > 0) notes.push(`${ungraded.join(', ')} not graded — unit unknown.`);
+
+  const startF = (name, row) => {
+    const v = valuesF[name]?.[row];
+    return v === undefined || isNaN(v) ? null : roundN(v, 1);
+  };
+  for (const { id, row } of pullStarts) {
+    const oil = startF('oil', row);
+    const coolant = startF('coolant', row);
+    if ((oil !== null && oil < thresholds.oil_warm_f) || (coolant !== null && coolant < thresholds.coolant_warm_f)) {
+      const time = num(rows[row], columns.time);
+      result.cold_pulls.push({ pull: id, time: !isNaN(time) ? roundN(time, 2) : null, oil_f: oil, coolant_f: coolant });
+    }
+  }
+  if (result.cold_pulls.length > 0) {
+    status = worstStatus(status, 'Caution');
+    const ids = result.cold_pulls.map(p => p.pull);
+    notes.unshift(`Pull${ids.length > 1 ? 's' : ''} ${ids.join(', ')} started before the engine was warm.`);
+  }
+
+  return { ...result, status, note: notes.length > 0 ? notes.join(' ') : null };
+}
+
+/**
+ * Unit for engine temperature headers that don't carry one: the log's
+ * labeled IAT or ambient column first, then the user's units setting.
+ * @param {string} [units]  carDetails.units — 'US' | 'Metric'
+ */
+function engineTempUnit(columns, units) {
+  const fromLog = detectTempUnit(columns.iat) ?? detectTempUnit(columns.ambient_temp);
+  if (fromLog) return fromLog;
+  if (units === 'US') return 'F';
+  if (units === 'Metric') return 'C';
+  return null;
+}
+
+// ─── Timing Correction Analysis ──────────────────────────────────────────────
+
+function cylinderNumber(col, idx) {
+  const m = col.match(/cyl(?:inder)?[\s_#]*(\d+)/i);
+  return m ? parseInt(m[1], 10) : idx + 1;
+}
+
+function analyzeTimingCorrections(rows, timingColumns, columns, boostUnit, thresholds) {
+  if (timingColumns.length === 0) {
+    return {
+      max_correction: null,
+      cylinders: 'No timing correction columns found.',
+      pull_events: 0,
+      per_cylinder: [],
+      single_cylinder: null,
+      heat_map: null,
+      status: 'Safe',
+      note: null,
+    };
+  }
+
+  const loadCol = columns.load;
+  const boostCol = columns.boost;
+  const pedalCol = columns.pedal;
+  const throttleCol = columns.throttle;
+  const rpmCol = columns.rpm;
+
+  let worstDeg = 0;
+  let worstCyl = null;
+  let pullEvents = 0;
+
+  const cyls = timingColumns.map((col, idx) => ({
+    cylinder: cylinderNumber(col, idx),
+    column: col,
+    samples: 0,
+    pull_events: 0,
+    worst: 0,
+    pullSum: 0,
+    pullCount: 0,
+    worst_rpm: null,
+    worst_load: null,
+    bins: new Map(),   // rpm bin → { worst, events }
+  }));
+
+  for (const row of rows) {
+    const load = num(row, loadCol);
+    const boost = normalizeBoostToPsi(num(row, boostCol), boostUnit);
+    const pedal = num(row, pedalCol);
+    const throttle = num(row, throttleCol);
+    const rpm = num(row, rpmCol);
+
+    const l = isNaN(load) ? 0 : load;
+    const b = isNaN(boost) ? 0 : boost;
+    const p = isNaN(pedal) ? NaN : pedal;
+    const t = isNaN(throttle) ? NaN : throttle;
+
+    if (!isNaN(p) && p < 1 && (!isNaN(t) ? t < 5 : true)) continue;
+    if (l < thresholds.load_timing && b <= thresholds.boost_demand_psi) continue;
+
+    const bin = isNaN(rpm) ? null : Math.floor(rpm / KNOCK_RPM_BIN) * KNOCK_RPM_BIN;
+
+    for (const cyl of cyls) {
+      const val = num(row, cyl.column);
+      if (isNaN(val)) continue;
+      cyl.samples++;
+      if (val < worstDeg) {
+        worstDeg = val;
+        worstCyl = cyl.column;
+      }
+      if (val < 0) {
+        cyl.pullSum += val;
+        cyl.pullCount++;
+      }
+      if (val < cyl.worst) {
+        cyl.worst = val;
+        cyl.worst_rpm = isNaN(rpm) ? null : Math.round(rpm);
+        cyl.worst_load = isNaN(load) ? null : roundN(load, 1);
+      }
+      const isEvent = val <= thresholds.timing_caution_deg;
+      if (isEvent) {
+        pullEvents++;
+        cyl.pull_events++;
+      }
+      if (bin !== null) {
+        const cell = cyl.bins.get(bin) ?? { worst: 0, events: 0 };
+        cell.worst = Math.min(cell.worst, val);
+        if (isEvent) cell.events++;
+        cyl.bins.set(bin, cell);
+      }
+    }
+  }
+
+  let status = 'Safe';
+  if (worstDeg <= thresholds.timing_risk_deg) status = 'Risk';
+  else if (worstDeg <= thresholds.timing_caution_deg) status = 'Caution';
+
+  const cylLabel = worstCyl
+    ? `${roundN(worstDeg, 1)}° on ${worstCyl}`
+    : 'No corrections observed under load';
+
+  const perCylinder = cyls.map(c => ({
+    cylinder:    c.cylinder,
+    column:      c.column,
+    samples:     c.samples,
+    pull_events: c.pull_events,
+    worst:       roundN(c.worst, 2),
+    mean_pull:   c.pullCount > 0 ? roundN(c.pullSum / c.pullCount, 2) : 0,
+    worst_rpm:   c.worst_rpm,
+    worst_load:  c.worst_load,
+  }));
+
+  // One cylinder carrying most of the pull events on a multi-cylinder log
+  let singleCylinder = null;
+  if (cyls.length > 1 && pullEvents >= SINGLE_CYL_MIN_EVENTS) {
+    const top = perCylinder.reduce((a, c) => (c.pull_events > a.pull_events ? c : a));
+    const share = top.pull_events / pullEvents;
+    if (share >= SINGLE_CYL_SHARE) {
+      singleCylinder = {
+        cylinder:  top.cylinder,
+        share_pct: Math.round(share * 100),
+        note:      `Cylinder ${top.cylinder} accounts for ${Math.round(share * 100)}% of timing pulls — ` +
+                   `check its spark plug gap and swap its ignition coil with another cylinder to see if the knock follows.`,
+      };
+    }
+  }
+
+  // Cylinder × RPM grid of the worst correction seen in each cell
+  const allBins = [...new Set(cyls.flatMap(c => [...c.bins.keys()]))].sort((a, b) => a - b);
+  const heatMap = allBins.length > 0
+    ? {
+        rpm_bins: allBins,
+        bin_size: KNOCK_RPM_BIN,
+        rows: cyls.map(c => ({
+          cylinder: c.cylinder,
+          cells: allBins.map(bin => {
+            const cell = c.bins.get(bin);
+            return cell ? { worst: roundN(cell.worst, 2), events: cell.events } : null;
+          }),
+        })),
+      }
+    : null;
+
+  const notes = [
+    status !== 'Safe' ? `Worst timing pull under load: ${cylLabel}.` : null,
+    singleCylinder?.note,
+  ].filter(Boolean);
+
+  return {
+    max_correction: roundN(worstDeg, 2),
+    cylinders: cylLabel,
+    pull_events: pullEvents,
+    per_cylinder: perCylinder,
+    single_cylinder: singleCylinder,
+    heat_map: heatMap,
+    status,
+    note: notes.length > 0 ? notes.join(' ') : null,
+  };
+}
+
+// ─── Misfires ────────────────────────────────────────────────────────────────
+
+/**
+ * Misfires per row from a counter column. Loggers record either a running
+ * counter or a per-sample count; a running counter is differenced so each
+ * misfire is counted once. Running counters get reset (DTC clear, ECU
+ * restart) — they drop rather than climb, then hold their new value, where a
+ * per-sample count falls straight back to zero. A drop is a reset and the
+ * count restarts from the new value.
+ */
+function misfireCounts(rows, col) {
+  const values = rows.map(r => num(r, col));
+  const valid = values.filter(v => !isNaN(v));
+  let afterNonZero = 0;
+  let held = 0;
+  for (let i = 1; i < valid.length; i++) {
+    if (valid[i - 1] <= 0) continue;
+    afterNonZero++;
+    if (valid[i] === valid[i - 1]) held++;
+  }
+  const cumulative = valid.every((v, i) => i === 0 || v >= valid[i - 1])
+    || (afterNonZero > 0 && held / afterNonZero >= MISFIRE_COUNTER_HELD_SHARE);
+
+  let prev = NaN;
+  return values.map(v => {
+    if (isNaN(v)) return 0;
+    let count = Math.max(0, v);
+    if (cumulative) count = isNaN(prev) ? 0 : v >= prev ? v - prev : v;
+    prev = v;
+    return count;
+  });
+}
+
+/**
+ * Misfires per cylinder under load, cross-referenced with what happened around
+ * each one. A blown-out spark hits one or two cylinders at high boost with the
+ * mixture on target, often with a timing pull on the same cylinder. A fueling
+ * problem hits several cylinders, or arrives with the mixture already lean or
+ * fuel pressure down.
+ */
+function analyzeMisfires(rows, misfireColumns, timingColumns, columns, isLambdaAfr, thresholds, boostUnit) {
+  const empty = { total: 0, load_total: 0, per_cylinder: [], lean_share: null, hpfp_low_share: null, cause: null };
+  if (misfireColumns.length === 0) return { ...empty, status: 'Safe', note: 'No misfire counter columns found in log.' };
+
+  const { afr: afrCol, afr_target: targetCol, hpfp: hpfpCol, hpfp_target: hpfpTargetCol } = columns;
+  const toLambda = v => (isLambdaAfr ? v : v / thresholds.stoich);
+  const lambdaAt = r => {
+    const l = toLambda(num(r, afrCol));
+    return l < FUEL_CUT_LAMBDA ? l : NaN;
+  };
+  const demand = rows.map(r => isDemand(
+    num(r, columns.load), normalizeBoostToPsi(num(r, columns.boost), boostUnit), num(r, columns.pedal), num(r, columns.throttle), thresholds,
+  ));
+  const timingByCylinder = new Map(timingColumns.map((col, idx) => [cylinderNumber(col, idx), col]));
+  const windowAt = i => rows.slice(Math.max(0, i - MISFIRE_WINDOW_ROWS), i + MISFIRE_WINDOW_ROWS + 1);
+
+  const misfireRows = new Set();
+  const perCylinder = misfireColumns.map((col, idx) => {
+    const cylinder = cylinderNumber(col, idx);
+    const timingCol = timingByCylinder.get(cylinder);
+    let total = 0;
+    let loadEvents = 0;
+    let withTimingPull = 0;
+    let withLambdaSwing = 0;
+
+    misfireCounts(rows, col).forEach((n, i) => {
+      if (n <= 0) return;
+      total += n;
+      if (!demand[i]) return;
+      loadEvents += n;
+      misfireRows.add(i);
+
+      const window = windowAt(i);
+      if (timingCol && window.some(r => num(r, timingCol) <= thresholds.timing_caution_deg)) withTimingPull += n;
+      const lambdas = window.map(lambdaAt).filter(v => !isNaN(v));
+      if (lambdas.length > 1) {
+        const low = Math.min(...lambdas);
+        if (((Math.max(...lambdas) - low) / low) * 100 >= MISFIRE_LAMBDA_SWING_PCT) withLambdaSwing += n;
+      }
+    });
+
+    return { cylinder, column: col, total, load_events: loadEvents, with_timing_pull: withTimingPull, with_lambda_swing: withLambdaSwing };
+  });
+
+  const total = perCylinder.reduce((a, c) => a + c.total, 0);
+  const loadTotal = perCylinder.reduce((a, c) => a + c.load_events, 0);
+  if (loadTotal === 0) {
+    return {
+      ...empty,
+      total,
+      per_cylinder: perCylinder,
+      status: 'Safe',
+      note: total > 0 ? `${total} misfire(s) logged, none under load.` : null,
+    };
+  }
+
+  // The fuel going into each misfire — rows just before it, so the misfire's own lean spike doesn't count
+  const rowsAtMisfire = [...misfireRows];
+  const leanRows = rowsAtMisfire.filter(i => {
+    const before = rows.slice(Math.max(0, i - MISFIRE_WINDOW_ROWS), i);
+    const lambdas = before.map(lambdaAt).filter(v => !isNaN(v));
+    const targets = before.map(r => toLambda(num(r, targetCol))).filter(v => !isNaN(v));
+    if (lambdas.length === 0) return false;
+    const avg = vals => vals.reduce((a, b) => a + b, 0) / vals.length;
+    return gradeMixture(avg(lambdas), targets.length ? avg(targets) : NaN, thresholds).side === 'lean';
+  }).length;
+  const hpfpLowRows = hpfpCol && hpfpTargetCol
+    ? rowsAtMisfire.filter(i => {
+      const actual = num(rows[i], hpfpCol);
+      const target = num(rows[i], hpfpTargetCol);
+      return target > 0 && ((target - actual) / target) * 100 >= thresholds.hpfp_drop_caution_pct;
+    }).length
+    : null;
+
+  const leanShare = leanRows / rowsAtMisfire.length;
+  const hpfpLowShare = hpfpLowRows !== null ? hpfpLowRows / rowsAtMisfire.length : null;
+  const hit = perCylinder.filter(c => c.load_events > 0);
+  const cause = leanShare >= 0.5 || hpfpLowShare >= 0.5 || hit.length >= MISFIRE_SPREAD_CYLINDERS ? 'fueling' : 'ignition';
+
+  const worst = Math.max(...hit.map(c => c.load_events));
+  let status = 'Safe';
+  if (worst >= thresholds.misfire_risk_count) status = 'Risk';
+  else if (worst >= thresholds.misfire_caution_count) status = 'Caution';
+
+  return {
+    total,
+    load_total: loadTotal,
+    per_cylinder: perCylinder,
+    lean_share: roundN(leanShare, 2),
+    hpfp_low_share: hpfpLowShare !== null ? roundN(hpfpLowShare, 2) : null,
+    cause,
+    status,
+    note: `${loadTotal} misfire(s) under load on cylinder${hit.length > 1 ? 's' : ''} ${hit.map(c => c.cylinder).join(', ')} — ` +
+      (cause === 'ignition' ? 'looks like blown-out spark.' : 'looks like a fueling problem.'),
+  };
+}
+
+// ─── Boost Control ───────────────────────────────────────────────────────────
+
+/**
+ * Boost actual vs target during WOT. Overboost is the safety concern;
+ * underboost, creep and a saturated wastegate point at hardware (boost leak,
+ * wastegate flapper, turbo at its limit) rather than the tune.
+ */
+function analyzeBoost(rows, columns, boostUnit, thresholds) {
+  const { boost: boostCol, boost_target: targetCol, wgdc: wgdcCol, rpm: rpmCol, load: loadCol, pedal: pedalCol, throttle: throttleCol } = columns;
+
+  const empty = {
+    actual: null, target: null, max_over_psi: null, max_under_psi: null,
+    overboost_events: 0, underboost_events: 0, creep_events: 0, wgdc_saturated_events: 0,
+  };
+  if (!boostCol) return { ...empty, status: 'Safe', note: 'Boost column not found in log.' };
+
+  let peak = -Infinity;
+  let peakTarget = -Infinity;
+  let maxOver = 0;
+  let maxUnder = 0;
+  let overEvents = 0;
+  let underEvents = 0;
+  let creepEvents = 0;
+  let saturatedEvents = 0;
+  let wotRows = 0;
+
+  for (const r of rows) {
+    const boost = normalizeBoostToPsi(num(r, boostCol), boostUnit);
+    if (!isWot(num(r, loadCol), boost, num(r, pedalCol), num(r, throttleCol), thresholds)) continue;
+    if (isNaN(boost)) continue;
+    wotRows++;
+    peak = Math.max(peak, boost);
+
+    const rpm = num(r, rpmCol);
+    const wgdc = num(r, wgdcCol);
+    const target = normalizeBoostToPsi(num(r, targetCol), boostUnit);
+    const gear = num(r, columns.gear);
+    const tractionLimited = gear > 0 && gear <= TRACTION_LIMITED_GEAR;
+
+    if (!isNaN(wgdc) && wgdc >= thresholds.wgdc_saturated_pct) saturatedEvents++;
+    if (isNaN(target)) continue;
+
+    peakTarget = Math.max(peakTarget, target);
+    const err = boost - target;
+    if (err > maxOver) maxOver = err;
+    if (err > thresholds.boost_over_caution_psi) {
+      overEvents++;
+      const wastegateOpen = isNaN(wgdc) || wgdc <= WGDC_OPEN_PCT;
+      if (!isNaN(rpm) && rpm >= BOOST_CREEP_RPM && wastegateOpen) creepEvents++;
+    }
+    // Low gears run below target by design — the ECU limits torque for traction
+    if (!tractionLimited && (isNaN(rpm) || rpm >= BOOST_SPOOL_RPM) && -err > thresholds.boost_under_caution_psi) {
+      underEvents++;
+      if (-err > maxUnder) maxUnder = -err;
+    }
+  }
+
+  if (wotRows === 0) return { ...empty, status: 'Safe', note: 'No WOT boost samples in log.' };
+
+  const hasTarget = peakTarget > -Infinity;
+  let status = 'Safe';
+  const notes = [];
+
+  if (hasTarget && maxOver >= thresholds.boost_over_risk_psi && overEvents >= BOOST_MIN_EVENTS) {
+    status = 'Risk';
+    notes.push(`Overboost of ${roundN(maxOver, 1)} psi above target.`);
+  } else if (hasTarget && overEvents >= BOOST_MIN_EVENTS) {
+    status = 'Caution';
+    notes.push(`Boost ran up to ${roundN(maxOver, 1)} psi over target.`);
+  }
+  if (creepEvents >= BOOST_MIN_EVENTS) {
+    status = worstStatus(status, 'Caution');
+    notes.push('Boost creeps above target at high RPM with the wastegate open — check wastegate flapper/actuator or go to a larger wastegate port.');
+  }
+  if (hasTarget && underEvents >= BOOST_MIN_EVENTS) {
+    status = worstStatus(status, 'Caution');
+    notes.push(`Underboost of up to ${roundN(maxUnder, 1)} psi once spooled — pressure-test for a boost leak.`);
+  }
+  if (saturatedEvents >= BOOST_MIN_EVENTS) {
+    status = worstStatus(status, 'Caution');
+    notes.push(`Wastegate duty saturated (≥${thresholds.wgdc_saturated_pct}%) — the turbo is at its limit, or there is a boost leak.`);
+  }
+  if (!hasTarget) notes.push('No boost target column — over/underboost not checked.');
+
+  return {
+    actual: roundN(peak, 1),
+    target: hasTarget ? roundN(peakTarget, 1) : null,
+    max_over_psi: hasTarget ? roundN(maxOver, 1) : null,
+    max_under_psi: hasTarget ? roundN(maxUnder, 1) : null,
+    overboost_events: overEvents,
+    underboost_events: underEvents,
+    creep_events: creepEvents,
+    wgdc_saturated_events: saturatedEvents,
+    status,
+    note: notes.length > 0 ? notes.join(' ') : null,
+  };
+}
+
+// ─── Power Estimate ──────────────────────────────────────────────────────────
+
+/** Least-squares slope of y over x. */
+function slope(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let cov = 0;
+  let varX = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (xs[i] - mx) * (ys[i] - my);
+    varX += (xs[i] - mx) ** 2;
+  }
+  return varX > 0 ? cov / varX : NaN;
+}
+
+/**
+ * Wheel power from how fast RPM climbs. Road speed comes from RPM through the
+ * gear and final drive; the force to accelerate the car plus drag and rolling
+ * resistance, times speed, is power at the wheels. Points are dropped where
+ * the fit window crosses a shift or the car is not accelerating.
+ */
+function accelerationPoints(rows, columns, chassis) {
+  const { time: timeCol, rpm: rpmCol, gear: gearCol } = columns;
+  const mass = chassis.weight_lb * LB_TO_KG;
+  const tireRadius = (chassis.tire_diameter_in * IN_TO_M) / 2;
+  const dragArea = chassis.drag_cd * chassis.frontal_area_sqft * SQFT_TO_SQM;
+
+  const samples = rows.map(r => {
+    const t = num(r, timeCol);
+    const rpm = num(r, rpmCol);
+    const gear = Math.round(num(r, gearCol));
+    const ratio = chassis.gear_ratios[gear - 1];
+    if (isNaN(t) || isNaN(rpm) || !ratio) return null;
+    return { t, rpm, gear, speed: (rpm * Math.PI / 30) * tireRadius / (ratio * chassis.final_drive) };
+  });
+
+  const points = [];
+  for (let i = POWER_FIT_ROWS; i < samples.length - POWER_FIT_ROWS; i++) {
+    const s = samples[i];
+    const window = samples.slice(i - POWER_FIT_ROWS, i + POWER_FIT_ROWS + 1);
+    if (!s || window.some(w => !w || w.gear !== s.gear)) continue;
+
+    const accel = slope(window.map(w => w.t), window.map(w => w.speed));
+    if (!(accel > 0)) continue;
+
+    const force = mass * accel + 0.5 * AIR_DENSITY * dragArea * s.speed ** 2 + ROLLING_RESISTANCE * mass * 9.81;
+    const hp = (force * s.speed) / WATTS_PER_HP;
+    points.push({ rpm: s.rpm, hp, tq: (hp * 5252) / s.rpm });
+  }
+  return points;
+}
+
+/** Crank power straight from the ECU's torque model. */
+function torquePoints(rows, columns) {
+  const { rpm: rpmCol, torque: torqueCol } = columns;
+  const toLbFt = /\bnm\b/.test(torqueCol.toLowerCase()) ? NM_TO_LBFT : 1;
+  const points = [];
+  for (const r of rows) {
+    const rpm = num(r, rpmCol);
+    const tq = num(r, torqueCol) * toLbFt;
+    if (!(rpm > 0) || !(tq > 0)) continue;
+    points.push({ rpm, hp: (tq * rpm) / 5252, tq });
+  }
+  return points;
+}
+
+/**
+ * Dyno-style HP/TQ curve for one pull. A logged torque channel is preferred
+ * (crank figures); otherwise power is estimated at the wheels from RPM vs
+ * time, which needs a gear column and the vehicle's chassis data.
+ * @returns {object|null} { source, basis, peak_hp, peak_hp_rpm, peak_tq, peak_tq_rpm, curve[{rpm,hp,tq}] }
+ */
+function estimatePower(rows, columns, chassis) {
+  if (!columns.rpm) return null;
+
+  let source;
+  let points;
+  if (columns.torque) {
+    source = 'torque';
+    points = torquePoints(rows, columns);
+  } else if (columns.time && columns.gear) {
+    source = 'acceleration';
+    points = accelerationPoints(rows, columns, chassis);
+  } else {
+    return null;
+  }
+  if (points.length < PULL_MIN_ROWS) return null;
+
+  const bins = new Map();
+  for (const p of points) {
+    const rpm = Math.round(p.rpm / POWER_RPM_BIN) * POWER_RPM_BIN;
+    const bin = bins.get(rpm) ?? { hp: 0, tq: 0, n: 0 };
+    bin.hp += p.hp;
+    bin.tq += p.tq;
+    bin.n++;
+    bins.set(rpm, bin);
+  }
+  const curve = [...bins.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([rpm, b]) => ({ rpm, hp: Math.round(b.hp / b.n), tq: Math.round(b.tq / b.n) }));
+
+  const peakHp = curve.reduce((best, p) => (p.hp > best.hp ? p : best));
+  const peakTq = curve.reduce((best, p) => (p.tq > best.tq ? p : best));
+
+  return {
+    source,
+    basis: source === 'torque' ? 'crank' : 'wheel',
+    peak_hp: peakHp.hp,
+    peak_hp_rpm: peakHp.rpm,
+    peak_tq: peakTq.tq,
+    peak_tq_rpm: peakTq.rpm,
+    curve,
+  };
+}
+
+// ─── Throttle Closure ────────────────────────────────────────────────────────
+
+/**
+ * Row ranges where the pedal is pinned at WOT load/boost but the throttle is
+ * partly shut. Throttle is left out of the WOT gate — it's the thing closing.
+ */
+function throttleClosureStretches(rows, columns, boostUnit, thresholds) {
+  const { load: loadCol, boost: boostCol, pedal: pedalCol, throttle: throttleCol } = columns;
+  if (!pedalCol || !throttleCol) return [];
+
+  const stretches = [];
+  let start = -1;
+  for (let i = 0; i <= rows.length; i++) {
+    const r = rows[i];
+    const closed = i < rows.length &&
+      num(r, pedalCol) >= PEDAL_PINNED_PCT &&
+      num(r, throttleCol) < THROTTLE_CLOSED_PCT &&
+      isWot(num(r, loadCol), normalizeBoostToPsi(num(r, boostCol), boostUnit), num(r, pedalCol), NaN, thresholds);
+    if (closed && start === -1) start = i;
+    if (!closed && start !== -1) {
+      if (i - start >= THROTTLE_MIN_ROWS) stretches.push({ start, end: i - 1 });
+      start = -1;
+    }
+  }
+  return stretches;
+}
+
+/**
+ * Each closure is tied to the channel that explains it: a torque limit the
+ * ECU is holding to (or pulled down mid-pull), or boost already at target
+ * with the throttle trimming the overshoot.
+ */
+function analyzeThrottleClosure(rows, columns, boostUnit, thresholds) {
+  const { time: timeCol, throttle: throttleCol, boost: boostCol, boost_target: targetCol, torque: torqueCol, torque_limit: limitCol } = columns;
+  const torqueUnit = limitCol ? (/\bnm\b/i.test(limitCol) ? 'Nm' : /lb/i.test(limitCol) ? 'lb-ft' : null) : null;
+  if (!columns.pedal || !throttleCol) {
+    return { events: [], torque_unit: torqueUnit, status: 'Safe', note: 'Pedal and throttle columns are both needed to spot throttle closure.' };
+  }
+
+  // Highest torque limit seen at WOT — a limit well below it was pulled down
+  const limits = limitCol
+    ? rows.filter(r => num(r, columns.pedal) >= PEDAL_PINNED_PCT).map(r => num(r, limitCol)).filter(v => !isNaN(v))
+    : [];
+  const limitHigh = limits.length ? Math.max(...limits) : NaN;
+
+  const events = throttleClosureStretches(rows, columns, boostUnit, thresholds).map(({ start, end }) => {
+    let k = start;
+    for (let i = start; i <= end; i++) {
+      if (num(rows[i], throttleCol) < num(rows[k], throttleCol)) k = i;
+    }
+    const r = rows[k];
+    const boost = normalizeBoostToPsi(num(r, boostCol), boostUnit);
+    const target = normalizeBoostToPsi(num(r, targetCol), boostUnit);
+    const torque = num(r, torqueCol);
+    const limit = num(r, limitCol);
+
+    let cause = 'unknown';
+    if (!isNaN(limit) && ((!isNaN(torque) && torque >= limit * TORQUE_AT_LIMIT) || limit < limitHigh * TORQUE_LIMIT_DROP)) {
+      cause = 'torque_limit';
+    } else if (!isNaN(boost) && !isNaN(target) && boost >= target) {
+      cause = 'boost_limit';
+    }
+
+    const startTime = num(rows[start], timeCol);
+    const endTime = num(rows[end], timeCol);
+    return {
+      start_time: !isNaN(startTime) ? roundN(startTime, 2) : null,
+      end_time: !isNaN(endTime) ? roundN(endTime, 2) : null,
+      rows: end - start + 1,
+      min_throttle: roundN(num(r, throttleCol), 1),
+      boost_psi: !isNaN(boost) ? roundN(boost, 1) : null,
+      boost_target_psi: !isNaN(target) ? roundN(target, 1) : null,
+      torque: !isNaN(torque) ? roundN(torque, 0) : null,
+      torque_limit: !isNaN(limit) ? roundN(limit, 0) : null,
+      cause,
+    };
+  });
+
+  if (events.length === 0) return { events, torque_unit: torqueUnit, status: 'Safe', note: null };
+
+  const count = cause => events.filter(e => e.cause === cause).length;
+  const parts = [
+    count('torque_limit') && `${count('torque_limit')} at a torque limit`,
+    count('boost_limit') && `${count('boost_limit')} holding boost at target`,
+    count('unknown') && `${count('unknown')} with no limiter channel to explain it`,
+  ].filter(Boolean);
+
+  return {
+    events,
+    torque_unit: torqueUnit,
+    status: 'Caution',
+    note: `Throttle closed ${events.length} time${events.length > 1 ? 's' : ''} with the pedal pinned — ${parts.join(', ')}.`,
+  };
+}
+
+// ─── Chart Data ──────────────────────────────────────────────────────────────
+
+function buildChartData(rows, columns, isLambdaAfr, boostUnit, maxPoints = 150, thresholds, timingColumns = []) {
+  const { time: timeCol, afr: afrCol, afr_target: targetCol, boost: boostCol, boost_target: boostTargetCol, load: loadCol, pedal: pedalCol, throttle: throttleCol, hpfp: hpfpCol, hpfp_target: hpfpTargetCol } = columns;
+  const { stoich } = thresholds;
+  const toLambda = v => isLambdaAfr ? v : v / stoich;
+
+  // Pre-compute HPFP session peak for fallback when no target column exists
+  let hpfpPeak = null;
+  if (hpfpCol && !hpfpTargetCol) {
+    const actuals = rows.map(r => num(r, hpfpCol)).filter(v => !isNaN(v) && v > 0);
+    if (actuals.length) hpfpPeak = Math.max(...actuals);
+  }
+
+  // Find the single worst HPFP drop row — only that one point gets flagged on the chart
+  let worstHpfpRowIdx = -1;
+  if (hpfpCol) {
+    let worstDrop = 0;
+    for (let j = 0; j < rows.length; j++) {
+      const a = num(rows[j], hpfpCol);
+      if (isNaN(a) || a <= 0) continue;
+      let dropPct = 0;
+      if (hpfpTargetCol) {
+        const t = num(rows[j], hpfpTargetCol);
+        if (!isNaN(t) && t > 1000) dropPct = ((t - a) / t) * 100;
+      } else if (hpfpPeak !== null) {
+        dropPct = ((hpfpPeak - a) / hpfpPeak) * 100;
+      }
+      if (dropPct > worstDrop) { worstDrop = dropPct; worstHpfpRowIdx = j; }
+    }
+    // Only mark if it actually crossed the risk threshold
+    if (worstDrop < thresholds.hpfp_drop_risk_pct) worstHpfpRowIdx = -1;
+  }
+
+  // Closure rows are flagged from the same stretches the analysis reports
+  const closureRows = new Set();
+  for (const { start, end } of throttleClosureStretches(rows, columns, boostUnit, thresholds)) {
+    for (let j = start; j <= end; j++) closureRows.add(j);
+  }
+
+  const step = Math.max(1, Math.floor(rows.length / maxPoints));
+  const chartData = [];
+
+  for (let i = 0; i < rows.length; i += step) {
+    const row = rows[i];
+    const rawAfr = num(row, afrCol);
+    const rawTarget = num(row, targetCol);
+    const rawBoost = num(row, boostCol);
+    const rawTime = num(row, timeCol);
+
+    const boostPsi = normalizeBoostToPsi(rawBoost, boostUnit);
+
+    const lambda = !isNaN(rawAfr) ? toLambda(rawAfr) : NaN;
+    const inRange = !isNaN(lambda) && lambda < FUEL_CUT_LAMBDA;
+    const targetLambda = toLambda(rawTarget);
+
+    let isLeanWarning = false;
+    // Only the downsampled chunk that contains the single worst HPFP row gets flagged
+    const isHpfpWarning = worstHpfpRowIdx >= i && worstHpfpRowIdx < i + step;
+    let isTimingWarning = false;
+    let isOverboostWarning = false;
+    let isThrottleClosure = false;
+
+    // Scan all rows in this downsample chunk so we don't skip critical warnings
+    for (let j = i; j < i + step && j < rows.length; j++) {
+      const r = rows[j];
+      const l = num(r, loadCol);
+      const p = num(r, pedalCol);
+      const th = num(r, throttleCol);
+      const bPsi = normalizeBoostToPsi(num(r, boostCol), boostUnit);
+
+      if (!isLeanWarning) {
+        const lam = toLambda(num(r, afrCol));
+        if (isWot(l, bPsi, p, th, thresholds) && gradeMixture(lam, toLambda(num(r, targetCol)), thresholds).side === 'lean') isLeanWarning = true;
+      }
+
+      // HPFP: handled outside the inner loop — only the worst row's chunk is flagged
+
+      if (closureRows.has(j)) isThrottleClosure = true;
+
+      if (!isOverboostWarning && boostTargetCol) {
+        const bt = normalizeBoostToPsi(num(r, boostTargetCol), boostUnit);
+        if (isWot(l, bPsi, p, th, thresholds) && bPsi - bt > thresholds.boost_over_caution_psi) isOverboostWarning = true;
+      }
+
+      if (!isTimingWarning && timingColumns.length > 0) {
+        const pl = isNaN(p) ? NaN : p;
+        const pth = isNaN(th) ? NaN : th;
+        if ((isNaN(pl) || pl >= 1 || (isNaN(pth) || pth >= 5)) && (l >= thresholds.load_timing || bPsi > thresholds.boost_demand_psi)) {
+          for (const col of timingColumns) {
+            const pull = num(r, col);
+            if (!isNaN(pull) && pull <= thresholds.timing_caution_deg) isTimingWarning = true;
+          }
+        }
+      }
+    }
+
+    const rawHpfpActual = num(row, hpfpCol);
+    const rawHpfpTarget = num(row, hpfpTargetCol);
+    const boostTargetPsi = normalizeBoostToPsi(num(row, boostTargetCol), boostUnit);
+    const gear = Math.round(num(row, columns.gear));
+
+    chartData.push({
+      time: !isNaN(rawTime) ? roundN(rawTime, 2) : String(i),
+      afrActual: inRange ? roundN(lambdaToAfr(lambda, stoich), 2) : undefined,
+      afrTarget: !isNaN(targetLambda) ? roundN(lambdaToAfr(targetLambda, stoich), 2) : undefined,
+      lambdaActual: inRange ? roundN(lambda, 3) : undefined,
+      lambdaTarget: !isNaN(targetLambda) ? roundN(targetLambda, 3) : undefined,
+      boost: !isNaN(boostPsi) ? roundN(boostPsi, 1) : undefined,
+      boostTarget: !isNaN(boostTargetPsi) ? roundN(boostTargetPsi, 1) : undefined,
+      hpfpActual: (!isNaN(rawHpfpActual) && rawHpfpActual > 0) ? roundN(rawHpfpActual, 0) : undefined,
+      hpfpTarget: (!isNaN(rawHpfpTarget) && rawHpfpTarget > 0) ? roundN(rawHpfpTarget, 0) : undefined,
+      gear: gear > 0 ? gear : undefined,
+      isLeanWarning,
+      isHpfpWarning,
+      isTimingWarning,
+      isOverboostWarning,
+      isThrottleClosure,
+    });
+  }
+
+  return chartData;
+}
+
+// ─── Gears ───────────────────────────────────────────────────────────────────
+
+// BMW ECUs log road speed in km/h unless the header says otherwise
+function detectSpeedUnit(colName) {
+  return /mph/i.test(colName) ? 'mph' : 'kmh';
+}
+
+/**
+ * A real gear channel reads small whole numbers. Anything else — a gearbox
+ * temperature or a ratio that slipped past the header match — is rejected so
+ * the gear is inferred instead.
+ */
+function isGearChannel(rows, col) {
+  const values = rows.map(r => num(r, col)).filter(v => !isNaN(v));
+  return values.some(v => v >= 1) && values.every(v => Number.isInteger(v) && v >= 0 && v <= MAX_GEAR);
+}
+
+/**
+ * Gear per row from RPM ÷ road speed against the vehicle's gearing, for logs
+ * with no gear column. Rows that match no gear (shifting, clutch in,
+ * converter slip, standing still) get NaN.
+ */
+function inferGears(rows, columns, chassis) {
+  const { rpm: rpmCol, speed: speedCol } = columns;
+  const toMps = detectSpeedUnit(speedCol) === 'mph' ? 0.44704 : 1 / 3.6;
+  const tireRadius = (chassis.tire_diameter_in * IN_TO_M) / 2;
+
+  return rows.map(r => {
+    const rpm = num(r, rpmCol);
+    const speed = num(r, speedCol) * toMps;
+    if (!(rpm > 0) || !(speed >= GEAR_MIN_SPEED_MPH * 0.44704)) return NaN;
+
+    const ratio = ((rpm * Math.PI) / 30) * tireRadius / (speed * chassis.final_drive);
+    let gear = NaN;
+    let bestErr = Infinity;
+    chassis.gear_ratios.forEach((g, i) => {
+      const err = Math.abs(ratio / g - 1);
+      if (err < bestErr) { bestErr = err; gear = i + 1; }
+    });
+    return bestErr <= GEAR_RATIO_TOLERANCE ? gear : NaN;
+  });
+}
+
+/**
+ * AFR, boost, timing and HPFP for each gear on its own, so a traction-limited
+ * 2nd-gear pull isn't averaged in with 4th. Only gears that saw WOT are listed.
+ */
+function analyzeByGear(rows, columns, timingColumns, isLambdaAfr, thresholds, boostUnit) {
+  if (!columns.gear) return [];
+
+  const byGear = new Map();
+  for (const r of rows) {
+    const gear = Math.round(num(r, columns.gear));
+    if (!(gear > 0)) continue;
+    if (!byGear.has(gear)) byGear.set(gear, []);
+    byGear.get(gear).push(r);
+  }
+
+  return [...byGear.entries()]
+    .sort((a, b) => a[0] - b[0])
+    .map(([gear, gearRows]) => {
+      const wotRows = gearRows.filter(r => isWot(
+        num(r, columns.load), normalizeBoostToPsi(num(r, columns.boost), boostUnit), num(r, columns.pedal), num(r, columns.throttle), thresholds,
+      )).length;
+      if (wotRows === 0) return null;
+
+      const afr = analyzeAfr(gearRows, columns, isLambdaAfr, thresholds, boostUnit);
+      const boost = analyzeBoost(gearRows, columns, boostUnit, thresholds);
+      const timing = analyzeTimingCorrections(gearRows, timingColumns, columns, boostUnit, thresholds);
+      const hpfp = analyzeHpfp(gearRows, columns, boostUnit, thresholds);
+
+      return {
+        gear,
+        wot_rows: wotRows,
+        traction_limited: gear <= TRACTION_LIMITED_GEAR,
+        status: worstStatus(afr.status, boost.status, timing.status, hpfp.status),
+        afr: { actual: afr.actual, lambda: afr.lambda, status: afr.status },
+        boost: { actual: boost.actual, target: boost.target, max_over_psi: boost.max_over_psi, status: boost.status },
+        timing: { max_correction: timing.max_correction, status: timing.status },
+        hpfp: { actual: hpfp.actual, max_drop_pct: hpfp.max_drop_pct, status: hpfp.status },
+      };
+    })
+    .filter(Boolean);
+}
+
+// ─── Pull Segmentation ───────────────────────────────────────────────────────
+
+/**
+ * Find individual WOT pulls using the same isWot gate the metrics use.
+ * Returns inclusive row-index ranges: [{ start, end }].
+ */
+function detectPulls(rows, columns, boostUnit, thresholds) {
+  const { load: loadCol, boost: boostCol, pedal: pedalCol, throttle: throttleCol } = columns;
+  const ranges = [];
+  let start = -1;
+  let lastWot = -1;
+
+  for (let i = 0; i < rows.length; i++) {
+    const r = rows[i];
+    const boost = normalizeBoostToPsi(num(r, boostCol), boostUnit);
+    if (!isWot(num(r, loadCol), boost, num(r, pedalCol), num(r, throttleCol), thresholds)) continue;
+
+    if (start === -1) {
+      start = i;
+    } else if (i - lastWot - 1 > PULL_MAX_GAP_ROWS) {
+      ranges.push({ start, end: lastWot });
+      start = i;
+    }
+    lastWot = i;
+  }
+  if (start !== -1) ranges.push({ start, end: lastWot });
+
+  return ranges.filter(r => r.end - r.start + 1 >= PULL_MIN_ROWS);
+}
+
+/**
+ * Run every metric over each pull on its own, so one bad pull in a
+ * five-pull session stands out instead of being averaged into the verdict.
+ */
+function analyzePulls(rows, columns, timingColumns, misfireColumns, isLambdaAfr, thresholds, boostUnit, chassis, tempUnit) {
+  return detectPulls(rows, columns, boostUnit, thresholds).map(({ start, end }, idx) => {
+    const pullRows = rows.slice(start, end + 1);
+
+    const afr = analyzeAfr(pullRows, columns, isLambdaAfr, thresholds, boostUnit);
+    const lambdaDeviation = analyzeLambdaDeviation(pullRows, columns, isLambdaAfr, thresholds, boostUnit);
+    const hpfp = analyzeHpfp(pullRows, columns, boostUnit, thresholds);
+    const iat = analyzeIat(pullRows, columns, boostUnit, thresholds);
+    const timing = analyzeTimingCorrections(pullRows, timingColumns, columns, boostUnit, thresholds);
+    const boost = analyzeBoost(pullRows, columns, boostUnit, thresholds);
+    const lpfp = analyzeLpfp(pullRows, columns, boostUnit, thresholds);
+    const fuelTrims = analyzeFuelTrims(pullRows, columns, isLambdaAfr, thresholds, boostUnit);
+    const engineTemps = analyzeEngineTemps(pullRows, columns, [{ id: idx + 1, row: 0 }], thresholds, tempUnit);
+    const throttleClosure = analyzeThrottleClosure(pullRows, columns, boostUnit, thresholds);
+    const misfires = analyzeMisfires(pullRows, misfireColumns, timingColumns, columns, isLambdaAfr, thresholds, boostUnit);
+    const enrichment = analyzeEnrichment(pullRows, columns, isLambdaAfr, thresholds, boostUnit, tempUnit);
+
+    const startTime = num(rows[start], columns.time);
+    const endTime = num(rows[end], columns.time);
+    const rpms = pullRows.map(r => num(r, columns.rpm)).filter(v => !isNaN(v) && v > 0);
+    const gears = columns.gear
+      ? [...new Set(pullRows.map(r => num(r, columns.gear)).filter(g => !isNaN(g) && g > 0))].sort((a, b) => a - b)
+      : null;
+
+    return {
+      id: idx + 1,
+      start_row: start,
+      end_row: end,
+      start_time: !isNaN(startTime) ? roundN(startTime, 2) : null,
+      end_time: !isNaN(endTime) ? roundN(endTime, 2) : null,
+      duration_s: !isNaN(startTime) && !isNaN(endTime) ? roundN(endTime - startTime, 2) : null,
+      rpm_min: rpms.length ? Math.round(Math.min(...rpms)) : null,
+      rpm_max: rpms.length ? Math.round(Math.max(...rpms)) : null,
+      gears,
+      row_count: pullRows.length,
+      status: worstStatus(afr.status, lambdaDeviation.status, enrichment.status, hpfp.status, lpfp.status, fuelTrims.status, iat.status, engineTemps.status, timing.status, misfires.status, boost.status, throttleClosure.status),
+      metrics: {
+        afr,
+        lambdaDeviation,
+        enrichment,
+        hpfp,
+        lpfp,
+        fuelTrims,
+        iat,
+        engineTemps,
+        timingCorrections: timing,
+        misfires,
+        boost,
+        throttleClosure,
+      },
+      notes: [afr.note, lambdaDeviation.note, enrichment.note, hpfp.note, lpfp.note, fuelTrims.note, iat.note, engineTemps.note, timing.note, misfires.note, boost.note, throttleClosure.note].filter(Boolean),
+      power: estimatePower(pullRows, columns, chassis),
+      chartData: buildChartData(pullRows, columns, isLambdaAfr, boostUnit, 150, thresholds, timingColumns),
+    };
+  });
+}
+
+// ─── Key Points ──────────────────────────────────────────────────────────────
+
+function buildKeyPoints({ afr, enrichment, hpfp, lpfp, fuelTrims, iat, heatSoak, engineTemps, timing, misfires, boost, throttleClosure }, carDetails, thresholds) {
+  const points = [];
+  const ethanol = Number(carDetails.ethanol) || 10;
+  const engine = carDetails.engine || 'B58';
+
+  // AFR context
+  if (afr.actual !== null) {
+    const verdictText =
+      afr.status === 'Safe' ? 'well within safe range.'
+        : afr.status === 'Caution' ? 'slightly lean — monitor for lean events and consider a tune revision.'
+          : 'dangerously lean — stop high-load driving and review the tune immediately.';
+    const reading = afr.mode === 'lambda' ? `λ ${afr.lambda} (~${afr.actual}:1)` : `${afr.actual}:1`;
+    points.push(
+      `For E${ethanol} fuel, stoichiometric AFR is ~${thresholds.stoich}:1 (λ 1.0). ` +
+      `WOT average in this log: ${reading} — ${verdictText}`
+    );
+  } else if (afr.note?.includes('not found')) {
+    points.push('No AFR column detected — verify your export includes lambda or AFR data.');
+  }
+
+  // Enrichment context — why the ECU went rich, and what it costs
+  if (enrichment.stretches.length > 0) {
+    const hot = enrichment.stretches.find(s => s.peak_egt_f !== null && s.peak_egt_f >= thresholds.egt_caution_f);
+    const cause = hot
+      ? `That is past the ${thresholds.egt_caution_f}°F EGT limit${hot.peak_cat_f !== null ? `, with the catalyst at ${hot.peak_cat_f}°F` : ''} — the ECU is dumping fuel to protect the turbo and cat.`
+      : 'No EGT channel confirms it, but sustained enrichment this deep is the ECU protecting the turbo and cat.';
+    points.push(
+      `${enrichment.note} ${cause} ` +
+      'Rich mixture costs power; retarded timing late in the pull pushes heat into the exhaust — ask your tuner about the EGT model and timing up top.'
+    );
+  } else if (enrichment.status !== 'Safe') {
+    points.push(`${enrichment.note} Watch for component-protection enrichment on longer pulls.`);
+  }
+
+  // HPFP context
+  if (hpfp.actual !== null) {
+    const isHighEthanol = ethanol >= 40;
+    if (hpfp.status !== 'Safe') {
+      const fuelNote = lpfp.hpfp_linked
+        ? `LPFP sagged to ${lpfp.actual} psi at the same time — the low side is starving the HPFP${isHighEthanol ? ` on E${ethanol}` : ''}.`
+        : lpfp.hpfp_linked === false
+          ? `LPFP held pressure, so the HPFP itself is the limit — check HPFP cam lobe wear or consider an HPFP upgrade.`
+          : isHighEthanol
+            ? `High-ethanol blends demand higher fuel flow — ensure your LPFP (low-side pump) is upgraded for E${ethanol}.`
+            : `Check LPFP health, fuel filter condition, and HPFP cam lobe wear.`;
+      points.push(
+        `HPFP dropped to ${hpfp.actual} psi (avg ${hpfp.avgActual} psi) — a ${hpfp.max_drop_pct}% drop vs target. ${fuelNote}`
+      );
+    } else if (isHighEthanol) {
+      points.push(
+        `HPFP at ${hpfp.actual} psi under load — acceptable for E${ethanol}. ` +
+        `If you increase ethanol further, confirm your LPFP can support the higher flow demand.`
+      );
+    }
+  }
+
+  // LPFP context — only on its own when it didn't already explain an HPFP drop
+  if (lpfp.status !== 'Safe' && !(hpfp.status !== 'Safe' && lpfp.hpfp_linked)) {
+    points.push(lpfp.note);
+  }
+
+  // Fuel trim context
+  if (fuelTrims.status !== 'Safe' && fuelTrims.note) {
+    points.push(fuelTrims.note);
+  }
+
+  // Timing context
+  if (timing.max_correction !== null && timing.max_correction < thresholds.timing_caution_deg) {
+    const isHighEthanol = ethanol >= 30;
+    const pullNote = isHighEthanol
+      ? `On E${ethanol}, knock retard is unexpected — check for heat soak, misfires, or a faulty knock sensor.`
+      : `On E${ethanol}, consider raising ethanol content or adding water-methanol injection to reduce knock sensitivity.`;
+    points.push(`Timing correction of ${timing.max_correction}° under load. ${pullNote}`);
+  }
+  if (timing.single_cylinder) {
+    points.push(timing.single_cylinder.note);
+  }
+
+  // Misfire context — spark or fuel decides what to fix first
+  if (misfires.cause) {
+    const hit = misfires.per_cylinder.filter(c => c.load_events > 0);
+    const cylinders = `cylinder${hit.length > 1 ? 's' : ''} ${hit.map(c => c.cylinder).join(', ')}`;
+    if (misfires.cause === 'ignition') {
+      const withPull = hit.some(c => c.with_timing_pull > 0) ? ', timing pulls on the same cylinder' : '';
+      points.push(
+        `${misfires.load_total} misfire(s) under load on ${cylinders}${withPull} and the mixture on target — a blown-out spark, not fuel. ` +
+        'Gap the plugs tighter or go one heat range colder, and swap the coil to another cylinder to see if the misfire follows.'
+      );
+    } else {
+      const reasons = [
+        misfires.lean_share >= 0.5 && 'the mixture lean of target going in',
+        misfires.hpfp_low_share >= 0.5 && 'HPFP pressure below target',
+        hit.length >= MISFIRE_SPREAD_CYLINDERS && `${hit.length} cylinders misfiring`,
+      ].filter(Boolean);
+      const injectorNote = engine.includes('N54') ? ' N54 piezo injectors are a frequent culprit.' : '';
+      points.push(
+        `${misfires.load_total} misfire(s) under load on ${cylinders} with ${reasons.join(' and ')} — a fueling problem, not ignition. ` +
+        `Check LPFP/HPFP capacity and the injectors for E${ethanol} before touching plugs.${injectorNote}`
+      );
+    }
+  }
+
+  // Boost context
+  if (boost.status !== 'Safe' && boost.note) {
+    points.push(boost.note);
+  }
+
+  // Throttle closure context — one line per cause, with what to do about it
+  const closures = throttleClosure.events;
+  const firstOf = cause => closures.find(e => e.cause === cause);
+  if (firstOf('torque_limit')) {
+    const e = firstOf('torque_limit');
+    points.push(
+      `Throttle closed to ${e.min_throttle}% at ${e.start_time}s with torque capped at ${e.torque_limit}${throttleClosure.torque_unit ? ` ${throttleClosure.torque_unit}` : ''}. ` +
+      'The ECU or transmission torque limit is cutting the pull short — raise the limit tables in the tune or expect power to flatten there.'
+    );
+  }
+  if (firstOf('boost_limit')) {
+    const e = firstOf('boost_limit');
+    points.push(
+      `Throttle closed to ${e.min_throttle}% at ${e.start_time}s with boost at ${e.boost_psi} psi vs ${e.boost_target_psi} target — ` +
+      'the throttle is reining in boost the wastegate could not hold. Check wastegate control before raising boost.'
+    );
+  }
+  if (firstOf('unknown')) {
+    const e = firstOf('unknown');
+    points.push(
+      `Throttle closed to ${e.min_throttle}% at ${e.start_time ?? '—'}s with the pedal pinned and nothing logged to explain it — ` +
+      'add torque limit and boost target channels to the log to find the limiter.'
+    );
+  }
+
+  // IAT context
+  const intercoolerNote =
+    engine.includes('S58') ? 'The S58 generates significant heat — an upgraded charge cooler is strongly recommended.' :
+      engine.includes('N55') || engine.includes('N54') ? 'N-series engines benefit from an upgraded FMIC at sustained high IAT.' :
+        'A front-mount intercooler (FMIC) or upgraded top-mount will help significantly.';
+  const iatPoint = iat.value !== null && iat.status !== 'Safe';
+  if (iatPoint) {
+    points.push(`Peak IAT of ${iat.peak_f}°F indicates heat soak. ${intercoolerNote}`);
+  }
+
+  // Heat soak across the session — the intercooler advice is only given once
+  if (heatSoak && heatSoak.status !== 'Safe') {
+    const parts = [];
+    if (heatSoak.creep_f !== null && heatSoak.creep_f >= thresholds.iat_soak_creep_f) {
+      const slowest = heatSoak.recoveries
+        .filter(r => r.rate_f_per_min !== null)
+        .reduce((a, r) => (!a || r.rate_f_per_min < a.rate_f_per_min ? r : a), null);
+      parts.push(
+        `Each pull started ~${heatSoak.creep_per_pull_f}°F hotter than the last (+${heatSoak.creep_f}°F by pull ${heatSoak.pulls.length})` +
+        (slowest ? `, and IAT only recovered ${slowest.recovered_f}°F (${slowest.rate_f_per_min}°F/min) after pull ${slowest.after_pull}.` : '.') +
+        ' Give the car a longer cool-down between runs or the tune will pull timing for heat.'
+      );
+    }
+    if (heatSoak.min_ic_efficiency_pct !== null && heatSoak.min_ic_efficiency_pct < thresholds.ic_efficiency_min_pct) {
+      parts.push(
+        `Intercooler efficiency estimated at ${heatSoak.min_ic_efficiency_pct}% — IAT ran up to ${heatSoak.max_delta_f}°F over ambient.`
+      );
+    }
+    points.push(`${parts.join(' ')}${iatPoint ? '' : ` ${intercoolerNote}`}`);
+  }
+
+  // Engine temperature context
+  const isS58 = engine.includes('S58');
+  const isN5x = engine.includes('N55') || engine.includes('N54');
+  if (engineTemps.cold_pulls.length > 0) {
+    const first = engineTemps.cold_pulls[0];
+    const reading = first.oil_f !== null ? `oil at ${Math.round(first.oil_f)}°F` : `coolant at ${Math.round(first.coolant_f)}°F`;
+    const warmNote =
+      isS58 ? 'The S58 coolant gauge reads warm well before the oil is — go by oil temp.' :
+        isN5x ? 'Cold-oil boost is hardest on N5x turbo bearings and rod bearings.' :
+          'B58 oil lags coolant by several minutes — a warm coolant reading is not enough.';
+    points.push(
+      `Pull ${first.pull} started with ${reading}. Wait for oil to reach ${thresholds.oil_warm_f}°F before WOT. ${warmNote}`
+    );
+  }
+  if (engineTemps.oil && engineTemps.oil.status !== 'Safe') {
+    const oilNote =
+      isS58 ? 'The stock S58 cooling copes with most track days — this hot means cool-down laps are overdue or ducting is blocked.' :
+        isN5x ? 'N5x engines run hot oil on track — an upgraded oil cooler is the standard fix.' :
+          'Track B58s benefit from an auxiliary or upgraded oil cooler; add cool-down laps between sessions.';
+    points.push(`Oil reached ${Math.round(engineTemps.oil.peak_f)}°F. ${oilNote}`);
+  }
+  if (engineTemps.coolant && engineTemps.coolant.status !== 'Safe') {
+    const coolantNote =
+      isS58 ? 'The S58 will derate power to protect itself — check the auxiliary radiators and electric pump.' :
+        isN5x ? 'The N5x electric water pump and thermostat are common failures — check both.' :
+          'The B58 runs warm in efficiency mode, but this hot under load points at the electric water pump or thermostat.';
+    points.push(`Coolant reached ${Math.round(engineTemps.coolant.peak_f)}°F. ${coolantNote}`);
+  }
+  if (engineTemps.trans && engineTemps.trans.status !== 'Safe') {
+    const isDct = /dct|clutch/i.test(engineTemps.trans.column);
+    const transNote = isDct
+      ? 'The DCT limits torque to protect its clutches — let it cool before the next launch or pull.'
+      : 'The ZF 8HP pulls torque to protect itself when hot — a transmission cooler helps on track.';
+    points.push(`Transmission reached ${Math.round(engineTemps.trans.peak_f)}°F. ${transNote}`);
+  }
+
+  return points;
+}
+
+// ─── Main Entry ──────────────────────────────────────────────────────────────
+
+/**
+ * @param {string|Uint8Array} csvInput — file contents: FileReader string in the
+ *                                        browser, multer Buffer on the server
+ * @param {string} filename
+ * @param {object} carDetails  — { ethanol, engine, tuneStage, units, thresholds, chassis } from the UI form;
+ *                               units is the 'US' | 'Metric' setting for unlabeled temps,
+ *                               thresholds is a profile for resolveThresholds(),
+ *                               chassis the vehicle's for resolveChassis()
+ * @returns {object} Structured analysis result
+ */
+export function analyzeLog(csvInput, filename, carDetails = {}) {
+  const { rows, columns, timingColumns, misfireColumns, boostUnit } = parseCsv(csvInput);
+  const { thresholds: profile, chassis: vehicleChassis, ...details } = carDetails;
+
+  // Dropouts, stuck sensors and spikes are blanked before anything reads the rows
+  const dataQuality = checkDataQuality(rows, columns);
+
+  const sampleAfrs = rows
+    .slice(0, 30)
+    .map(r => num(r, columns.afr))
+    .filter(v => !isNaN(v));
+  const isLambdaAfr = sampleAfrs.length > 0 && sampleAfrs.every(v => v < 3.0);
+
+  const limits = resolveThresholds(profile);
+  const thresholds = getThresholds(details.ethanol, limits);
+  const chassis = resolveChassis(vehicleChassis);
+
+  // No usable gear column — infer one from RPM vs road speed so every gear-aware check can use it
+  if (columns.gear && !isGearChannel(rows, columns.gear)) columns.gear = null;
+  let gearSource = columns.gear ? 'column' : null;
+  if (!columns.gear && columns.speed && columns.rpm) {
+    const gears = inferGears(rows, columns, chassis);
+    if (gears.some(g => !isNaN(g))) {
+      rows.forEach((r, i) => { r[INFERRED_GEAR_COL] = isNaN(gears[i]) ? '' : String(gears[i]); });
+      columns.gear = INFERRED_GEAR_COL;
+      gearSource = 'inferred';
+    }
+  }
+
+  const afr = analyzeAfr(rows, columns, isLambdaAfr, thresholds, boostUnit);
+  const lambdaDeviation = analyzeLambdaDeviation(rows, columns, isLambdaAfr, thresholds, boostUnit);
+  const hpfp = analyzeHpfp(rows, columns, boostUnit, thresholds);
+  const iat = analyzeIat(rows, columns, boostUnit, thresholds);
+  const timing = analyzeTimingCorrections(rows, timingColumns, columns, boostUnit, thresholds);
+  const boost = analyzeBoost(rows, columns, boostUnit, thresholds);
+  const lpfp = analyzeLpfp(rows, columns, boostUnit, thresholds);
+  const fuelTrims = analyzeFuelTrims(rows, columns, isLambdaAfr, thresholds, boostUnit);
+  const pullRanges = detectPulls(rows, columns, boostUnit, thresholds);
+  const pullStarts = pullRanges.map(({ start }, i) => ({ id: i + 1, row: start }));
+  const heatSoak = analyzeHeatSoak(rows, columns, pullRanges, boostUnit, thresholds);
+  const tempUnit = engineTempUnit(columns, details.units);
+  const engineTemps = analyzeEngineTemps(rows, columns, pullStarts, thresholds, tempUnit);
+  const throttleClosure = analyzeThrottleClosure(rows, columns, boostUnit, thresholds);
+  const misfires = analyzeMisfires(rows, misfireColumns, timingColumns, columns, isLambdaAfr, thresholds, boostUnit);
+  const enrichment = analyzeEnrichment(rows, columns, isLambdaAfr, thresholds, boostUnit, tempUnit);
+  const overall = worstStatus(afr.status, lambdaDeviation.status, enrichment.status, hpfp.status, lpfp.status, fuelTrims.status, iat.status, heatSoak?.status, engineTemps.status, timing.status, misfires.status, boost.status, throttleClosure.status);
+  const pulls = analyzePulls(rows, columns, timingColumns, misfireColumns, isLambdaAfr, thresholds, boostUnit, chassis, tempUnit);
+  const byGear = analyzeByGear(rows, columns, timingColumns, isLambdaAfr, thresholds, boostUnit);
+
+  // Headline figure is the strongest pull — the curves for every pull live on pulls[].power
+  const best = pulls.filter(p => p.power).reduce((a, p) => (!a || p.power.peak_hp > a.power.peak_hp ? p : a), null);
+  const power = best ? { pull_id: best.id, default_chassis: !vehicleChassis, ...best.power } : null;
+
+  const keyPoints = buildKeyPoints({ afr, enrichment, hpfp, lpfp, fuelTrims, iat, heatSoak, engineTemps, timing, misfires, boost, throttleClosure }, details, thresholds);
+
+  return {
+    filename,
+    row_count: rows.length,
+    status: overall,
+    carDetails: details,
+    thresholds: limits,
+    detectedColumns: { ...columns, boostUnit, timingColumns, misfireColumns },
+    metrics: {
+      afr,
+      lambdaDeviation,
+      enrichment,
+      hpfp,
+      lpfp,
+      fuelTrims,
+      iat,
+      engineTemps,
+      timingCorrections: timing,
+      misfires,
+      boost,
+      throttleClosure,
+    },
+    chartData: buildChartData(rows, columns, isLambdaAfr, boostUnit, 150, thresholds, timingColumns),
+    pulls,
+    gears: { source: gearSource, breakdown: byGear },
+    heatSoak,
+    power,
+    keyPoints,
+    data_quality: dataQuality,
+    summary: {
+      afr_status: afr.status,
+      lambda_deviation_status: lambdaDeviation.status,
+      enrichment_status: enrichment.status,
+      hpfp_status: hpfp.status,
+      lpfp_status: lpfp.status,
+      fuel_trim_status: fuelTrims.status,
+      iat_status: iat.status,
+      heat_soak_status: heatSoak?.status ?? 'Safe',
+      engine_temp_status: engineTemps.status,
+      timing_status: timing.status,
+      misfire_status: misfires.status,
+      boost_status: boost.status,
+      throttle_status: throttleClosure.status,
+      overall_safety_score: overall,
+      pull_count: pulls.length,
+      notes: [afr.note, lambdaDeviation.note, enrichment.note, hpfp.note, lpfp.note, fuelTrims.note, iat.note, heatSoak?.note, engineTemps.note, timing.note, misfires.note, boost.note, throttleClosure.note].filter(Boolean),
+    },
+  };
+}
@@ -0,0 +1,176 @@
+/**
+ * Safety threshold profiles for Ethos85 log analysis.
+ *
+ * Isomorphic — no Node.js or DOM dependencies. Every limit analyzeLog()
+ * grades against lives here so tuners can run tighter or looser limits per
+ * car. A profile is { name, ...limits }; any limit it leaves out falls back
+ * to the named preset, or to the default preset for a custom name.
+ *
+ * AFR limits are gasoline AFR — the analyzer grades them as lambda (÷ 14.7),
+ * so one profile works on every blend.
+ */
+
+// ─── Fields ──────────────────────────────────────────────────────────────────
+
+// Display metadata for the Settings editor, grouped as the editor shows them
+export const THRESHOLD_FIELDS = [
+  { key: 'load_demand',             group: 'Demand Detection', label: 'Demand load',            unit: '%' },
+  { key: 'load_wot',                group: 'Demand Detection', label: 'WOT load',               unit: '%' },
+  { key: 'boost_demand_psi',        group: 'Demand Detection', label: 'Demand boost',           unit: 'psi' },
+  { key: 'boost_wot_psi',           group: 'Demand Detection', label: 'WOT boost',              unit: 'psi' },
+  { key: 'load_timing',             group: 'Demand Detection', label: 'Timing check load',      unit: '%' },
+  { key: 'afr_lean_caution',        group: 'AFR (gasoline)',   label: 'Lean caution',           unit: ':1' },
+  { key: 'afr_lean_risk',           group: 'AFR (gasoline)',   label: 'Lean risk',              unit: ':1' },
+  { key: 'afr_rich_caution',        group: 'AFR (gasoline)',   label: 'Rich caution',           unit: ':1' },
+  { key: 'afr_rich_risk',           group: 'AFR (gasoline)',   label: 'Rich risk',              unit: ':1' },
+  { key: 'lambda_lean_caution_pct', group: 'Lambda vs Target', label: 'Lean of target caution', unit: '%' },
+  { key: 'lambda_lean_risk_pct',    group: 'Lambda vs Target', label: 'Lean of target risk',    unit: '%' },
+  { key: 'lambda_rich_caution_pct', group: 'Lambda vs Target', label: 'Rich of target caution', unit: '%' },
+  { key: 'hpfp_drop_caution_pct',   group: 'Fuel Pressure',    label: 'HPFP drop caution',      unit: '%' },
+  { key: 'hpfp_drop_risk_pct',      group: 'Fuel Pressure',    label: 'HPFP drop risk',         unit: '%' },
+  { key: 'lpfp_sag_caution_pct',    group: 'Fuel Pressure',    label: 'LPFP sag caution',       unit: '%' },
+  { key: 'lpfp_sag_risk_pct',       group: 'Fuel Pressure',    label: 'LPFP sag risk',          unit: '%' },
+  { key: 'lpfp_duty_max_pct',       group: 'Fuel Pressure',    label: 'LPFP max duty',          unit: '%' },
+  { key: 'fuel_trim_caution_pct',   group: 'Fuel Trims',       label: 'Trim caution',           unit: '%' },
+  { key: 'fuel_trim_risk_pct',      group: 'Fuel Trims',       label: 'Trim risk',              unit: '%' },
+  { key: 'ethanol_mismatch_pct',    group: 'Fuel Trims',       label: 'Ethanol mismatch',       unit: 'E%' },
+  { key: 'iat_caution_f',           group: 'Temperature',      label: 'IAT caution',            unit: '°F' },
+  { key: 'iat_risk_f',              group: 'Temperature',      label: 'IAT risk',               unit: '°F' },
+  { key: 'iat_soak_creep_f',        group: 'Temperature',      label: 'IAT heat-soak creep',    unit: '°F' },
+  { key: 'ic_efficiency_min_pct',   group: 'Temperature',      label: 'Intercooler efficiency', unit: '%' },
+  { key: 'oil_warm_f',              group: 'Temperature',      label: 'Oil warm-up min',        unit: '°F' },
+  { key: 'coolant_warm_f',          group: 'Temperature',      label: 'Coolant warm-up min',    unit: '°F' },
+  { key: 'oil_caution_f',           group: 'Temperature',      label: 'Oil caution',            unit: '°F' },
+  { key: 'oil_risk_f',              group: 'Temperature',      label: 'Oil risk',               unit: '°F' },
+  { key: 'coolant_caution_f',       group: 'Temperature',      label: 'Coolant caution',        unit: '°F' },
+  { key: 'coolant_risk_f',          group: 'Temperature',      label: 'Coolant risk',           unit: '°F' },
+  { key: 'trans_caution_f',         group: 'Temperature',      label: 'Transmission caution',   unit: '°F' },
+  { key: 'trans_risk_f',            group: 'Temperature',      label: 'Transmission risk',      unit: '°F' },
+  { key: 'enrichment_min_s',        group: 'Enrichment',       label: 'Sustained rich',         unit: 's' },
+  { key: 'egt_caution_f',           group: 'Enrichment',       label: 'EGT caution',            unit: '°F' },
+  { key: 'egt_risk_f',              group: 'Enrichment',       label: 'EGT risk',               unit: '°F' },
+  { key: 'timing_caution_deg',      group: 'Timing',           label: 'Correction caution',     unit: '°' },
+  { key: 'timing_risk_deg',         group: 'Timing',           label: 'Correction risk',        unit: '°' },
+  { key: 'misfire_caution_count',   group: 'Timing',           label: 'Misfires caution',       unit: 'per cyl' },
+  { key: 'misfire_risk_count',      group: 'Timing',           label: 'Misfires risk',          unit: 'per cyl' },
+  { key: 'boost_over_caution_psi',  group: 'Boost',            label: 'Overboost caution',      unit: 'psi' },
+  { key: 'boost_over_risk_psi',     group: 'Boost',            label: 'Overboost risk',         unit: 'psi' },
+  { key: 'boost_under_caution_psi', group: 'Boost',            label: 'Underboost caution',     unit: 'psi' },
+  { key: 'wgdc_saturated_pct',      group: 'Boost',            label: 'Wastegate saturated',    unit: '%' },
+];
+
+// ─── Presets ─────────────────────────────────────────────────────────────────
+
+const STOCK_B58 = {
+  load_demand:             50,
+  load_wot:                70,
+  boost_demand_psi:        2,
+  boost_wot_psi:           8,
+  load_timing:             40,
+  afr_lean_caution:        13.0,
+  afr_lean_risk:           13.8,
+  afr_rich_caution:        10.8,
+  afr_rich_risk:           10.0,
+  lambda_lean_caution_pct: 4,
+  lambda_lean_risk_pct:    8,
+  lambda_rich_caution_pct: 8,
+  hpfp_drop_caution_pct:   10,
+  hpfp_drop_risk_pct:      20,
+  lpfp_sag_caution_pct:    10,
+  lpfp_sag_risk_pct:       20,
+  lpfp_duty_max_pct:       95,
+  fuel_trim_caution_pct:   10,
+  fuel_trim_risk_pct:      20,
+  ethanol_mismatch_pct:    10,
+  iat_caution_f:           120,
+  iat_risk_f:              140,
+  iat_soak_creep_f:        15,
+  ic_efficiency_min_pct:   60,
+  oil_warm_f:              175,
+  coolant_warm_f:          160,
+  oil_caution_f:           260,
+  oil_risk_f:              280,
+  coolant_caution_f:       230,
+  coolant_risk_f:          240,
+  trans_caution_f:         230,
+  trans_risk_f:            250,
+  enrichment_min_s:        1.0,
+  egt_caution_f:           1650,
+  egt_risk_f:              1750,
+  timing_caution_deg:      -2.0,
+  timing_risk_deg:         -4.0,
+  misfire_caution_count:   1,
+  misfire_risk_count:      5,
+  boost_over_caution_psi:  2,
+  boost_over_risk_psi:     4,
+  boost_under_caution_psi: 3,
+  wgdc_saturated_pct:      95,
+};
+
+export const THRESHOLD_PRESETS = {
+  'Stock B58': STOCK_B58,
+  // Tighter limits for a daily driver or an unproven tune
+  'Conservative': {
+    ...STOCK_B58,
+    afr_lean_caution:        12.6,
+    afr_lean_risk:           13.4,
+    lambda_lean_caution_pct: 3,
+    lambda_lean_risk_pct:    6,
+    hpfp_drop_caution_pct:   7,
+    hpfp_drop_risk_pct:      15,
+    lpfp_sag_caution_pct:    7,
+    lpfp_sag_risk_pct:       15,
+    iat_caution_f:           110,
+    iat_risk_f:              130,
+    oil_caution_f:           250,
+    oil_risk_f:              270,
+    timing_caution_deg:      -1.5,
+    timing_risk_deg:         -3.0,
+    boost_over_caution_psi:  1.5,
+    boost_over_risk_psi:     3,
+  },
+  // Built fuel system on E85 — more pressure swing and heat are expected
+  'Race E85': {
+    ...STOCK_B58,
+    afr_lean_caution:        13.4,
+    afr_lean_risk:           14.2,
+    lambda_lean_caution_pct: 5,
+    lambda_lean_risk_pct:    10,
+    hpfp_drop_caution_pct:   12,
+    hpfp_drop_risk_pct:      25,
+    lpfp_sag_caution_pct:    12,
+    lpfp_sag_risk_pct:       25,
+    iat_caution_f:           130,
+    iat_risk_f:              150,
+    oil_caution_f:           270,
+    oil_risk_f:              290,
+    trans_caution_f:         240,
+    trans_risk_f:            260,
+    timing_caution_deg:      -3.0,
+    timing_risk_deg:         -5.0,
+    boost_over_caution_psi:  3,
+    boost_over_risk_psi:     5,
+    boost_under_caution_psi: 4,
+  },
+};
+
+export const DEFAULT_THRESHOLD_PRESET = 'Stock B58';
+
+// ─── Resolution ──────────────────────────────────────────────────────────────
+
+/**
+ * Fill a (possibly partial) profile out to every limit. Non-numeric values
+ * are ignored so a half-typed Settings field never reaches the analyzer.
+ * @param {object} [profile]  { name, ...limits } — name may be a preset or custom
+ * @returns {object} { name, ...every limit in THRESHOLD_FIELDS }
+ */
+export function resolveThresholds(profile = {}) {
+  const name = profile?.name || DEFAULT_THRESHOLD_PRESET;
+  const base = THRESHOLD_PRESETS[name] ?? THRESHOLD_PRESETS[DEFAULT_THRESHOLD_PRESET];
+  const resolved = { name };
+  for (const { key } of THRESHOLD_FIELDS) {
+    const v = parseFloat(profile?.[key]);
+    resolved[key] = isNaN(v) ? base[key] : v;
+  }
+  return resolved;
+}
@@ -1,6 +1,6 @@
 /**
  * API client for Ethos85.
- * Blend calculation and log analysis now run fully client-side via src/utils/.
+ * Blend calculation and log analysis now run fully client-side via shared/.
  * This file is kept for any future server-dependent features.
  */
 
@@ -0,0 +1,65 @@
+import { ShieldAlert } from 'lucide-react';
+
+/**
+ * What the data-quality pass dropped before grading: per-channel dropouts,
+ * spikes and frozen stretches, plus gaps and sample-rate changes in the time
+ * axis. `report` is analysis.data_quality.
+ */
+const DataQuality = ({ report }) => {
+  const { channels, gaps, rate_changes: rateChanges } = report;
+
+  return (
+    <div className="bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none">
+      <h3 className="text-sm font-bold text-gray-800 dark:text-gray-200 mb-4 flex items-center gap-2">
+        <ShieldAlert size={16} className="text-brand-500" /> Data Quality
+        {report.sample_rate_hz !== null && (
+          <span className="text-[11px] font-medium text-gray-400 dark:text-gray-500">· logged at {report.sample_rate_hz} Hz</span>
+        )}
+      </h3>
+
+      <p className="mb-4 text-xs text-yellow-700 dark:text-yellow-400 bg-yellow-500/10 border border-yellow-500/20 rounded-lg px-3 py-2">
+        {report.note} Excluded samples are left out of every metric and the chart.
+      </p>
+
+      {channels.length > 0 && (
+        <div className="overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead>
+              <tr className="text-left text-[10px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wide">
+                <th className="pb-2 pr-4">Channel</th>
+                <th className="pb-2 pr-4">Dropouts</th>
+                <th className="pb-2 pr-4">Spikes</th>
+                <th className="pb-2 pr-4">Frozen</th>
+                <th className="pb-2">First at</th>
+              </tr>
+            </thead>
+            <tbody className="text-gray-700 dark:text-gray-300">
+              {channels.map(c => (
+                <tr key={c.key} className="border-t border-gray-200 dark:border-white/5">
+                  <td className="py-2 pr-4 font-semibold text-gray-800 dark:text-gray-100">{c.column}</td>
+                  <td className="py-2 pr-4">{c.dropouts || '—'}</td>
+                  <td className="py-2 pr-4">{c.spikes || '—'}</td>
+                  <td className="py-2 pr-4">{c.frozen_rows ? `${c.frozen_rows} rows` : '—'}</td>
+                  <td className="py-2">{c.first_time !== null ? `${c.first_time}s` : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {(gaps.length > 0 || rateChanges.length > 0) && (
+        <ul className="mt-3 space-y-1 text-[11px] text-gray-400 dark:text-gray-500">
+          {gaps.map(g => (
+            <li key={`gap-${g.time}`}>No samples for {g.seconds}s after {g.time}s</li>
+          ))}
+          {rateChanges.map(r => (
+            <li key={`rate-${r.time}`}>Sample rate changed from {r.from_hz} Hz to {r.to_hz} Hz around {r.time}s</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default DataQuality;
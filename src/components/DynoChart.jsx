@@ -0,0 +1,75 @@
+import { Gauge } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+
+const PULL_COLORS = ['#14b8a6', '#3b82f6', '#a855f7', '#f97316', '#eab308', '#f43f5e'];
+
+/**
+ * Dyno-style HP/TQ vs RPM, one pair of curves per pull (HP solid, TQ dashed).
+ * `pulls` is analysis.pulls; `selected` dims every other pull when one is picked.
+ * `defaultChassis` is set when the log was analyzed without vehicle chassis data.
+ */
+const DynoChart = ({ pulls, selected, defaultChassis }) => {
+  const withPower = pulls.map((p, i) => ({ ...p, index: i })).filter(p => p.power);
+  const { basis, source } = withPower[0].power;
+  const unit = basis === 'crank' ? 'hp' : 'whp';
+
+  const opacity = (p) => (selected === null || selected === p.index ? 1 : 0.2);
+
+  return (
+    <div className="bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none">
+      <h3 className="text-sm font-bold text-gray-800 dark:text-gray-200 mb-1 flex items-center gap-2">
+        <Gauge size={16} className="text-brand-500" /> Estimated Power
+      </h3>
+      <p className="mb-4 text-[11px] text-gray-400 dark:text-gray-500">
+        {source === 'torque'
+          ? 'Crank figures from the logged torque channel.'
+          : 'Wheel figures estimated from RPM vs time using the vehicle\'s weight, gearing and drag — compare pulls on the same road, not against a dyno sheet.'}
+      </p>
+
+      {defaultChassis && source !== 'torque' && (
+        <p className="mb-4 text-xs text-yellow-700 dark:text-yellow-400 bg-yellow-500/10 border border-yellow-500/20 rounded-lg px-3 py-2">
+          No chassis data on this vehicle — using G20 M340i weight and gearing. Add yours to the vehicle for a closer estimate.
+        </p>
+      )}
+
+      <div className="h-[300px] w-full bg-gray-50/50 dark:bg-surface-300/30 rounded-lg p-2 border border-gray-200 dark:border-white/5">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart margin={{ top: 10, right: 10, left: -10, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#27272A" vertical={false} />
+            <XAxis type="number" dataKey="rpm" domain={['dataMin', 'dataMax']} stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} tickFormatter={v => `${(v / 1000).toFixed(1)}k`} />
+            <YAxis yAxisId="hp" stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} domain={['auto', 'auto']} />
+            <YAxis yAxisId="tq" orientation="right" stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} domain={['auto', 'auto']} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#18181B', borderColor: '#27272A', color: '#F4F4F5', borderRadius: '8px', fontSize: '12px' }}
+              itemStyle={{ color: '#F4F4F5' }}
+              labelFormatter={v => `${v} rpm`}
+            />
+            <Legend iconType="circle" wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} />
+            {withPower.map(p => (
+              <Line key={`hp-${p.id}`} yAxisId="hp" data={p.power.curve} dataKey="hp" name={`Pull ${p.id} ${unit}`}
+                stroke={PULL_COLORS[p.index % PULL_COLORS.length]} strokeOpacity={opacity(p)} strokeWidth={2} dot={false} />
+            ))}
+            {withPower.map(p => (
+              <Line key={`tq-${p.id}`} yAxisId="tq" data={p.power.curve} dataKey="tq" name={`Pull ${p.id} lb-ft`}
+                stroke={PULL_COLORS[p.index % PULL_COLORS.length]} strokeOpacity={opacity(p)} strokeWidth={1.5} strokeDasharray="4 4" dot={false} />
+            ))}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+        {withPower.map(p => (
+          <div key={p.id} className="bg-gray-50 dark:bg-surface-300/40 border border-gray-200 dark:border-white/5 rounded-lg px-3 py-2">
+            <p className="text-[10px] font-bold uppercase tracking-wide" style={{ color: PULL_COLORS[p.index % PULL_COLORS.length] }}>Pull {p.id}</p>
+            <p className="text-sm font-bold text-gray-800 dark:text-gray-100">{p.power.peak_hp} {unit}</p>
+            <p className="text-[10px] text-gray-400 dark:text-gray-500">
+              @ {p.power.peak_hp_rpm} · {p.power.peak_tq} lb-ft @ {p.power.peak_tq_rpm}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default DynoChart;
@@ -0,0 +1,147 @@
+import { useState } from 'react';
+import { FlaskConical, Gauge, Save, X } from 'lucide-react';
+import { ethanolFromWaterTest } from '../../shared/blendMath';
+import { saveEthanolTest, saveStation } from '../utils/storage';
+
+const inputClass = 'w-full bg-slate-50 dark:bg-zinc-950 border border-slate-200 dark:border-white/10 focus:border-brand-400 dark:focus:border-brand-500 rounded-lg px-3 py-2 text-slate-900 dark:text-gray-100 text-sm outline-none transition-all';
+
+const METHODS = {
+  water: {
+    label: 'Water Tester',
+    icon: FlaskConical,
+    steps: [
+      'Fill the tester with water up to the water line (usually 10 ml).',
+      'Add fuel from the E85 pump up to the fuel line (usually 100 ml total).',
+      'Cap, shake for 30 seconds and let it settle for 2–3 minutes.',
+      'Read where the lower water/ethanol layer now ends.',
+    ],
+  },
+  sensor: {
+    label: 'Flex-Fuel Sensor',
+    icon: Gauge,
+    steps: [
+      'Fill up at the E85 pump, then drive a few miles so the sensor sees fresh fuel.',
+      'Read ethanol content from your gauge or the ECU ethanol channel.',
+      'If the tank was not empty, use the Calculator with that reading as the current blend instead.',
+    ],
+  },
+};
+
+/**
+ * Guided E85 content test. Saves the measured % per station and date and,
+ * when a saved station fuel is picked, updates that fuel for the solver.
+ */
+const EthanolTester = ({ stations, onSaved, onClose }) => {
+  const [method, setMethod] = useState('water');
+  const [water, setWater] = useState({ water_ml: 10, fuel_ml: 90, layer_ml: '' });
+  const [sensorReading, setSensorReading] = useState('');
+  const [fuelId, setFuelId] = useState('');
+  const [stationName, setStationName] = useState('');
+  const [date, setDate] = useState(() => new Date().toISOString().slice(0, 10));
+  const [error, setError] = useState(null);
+
+  let measured = null;
+  let readingError = null;
+  try {
+    if (method === 'water' && water.layer_ml !== '') measured = ethanolFromWaterTest(water);
+    if (method === 'sensor' && sensorReading !== '') measured = parseFloat(sensorReading);
+  } catch (err) {
+    readingError = err.message;
+  }
+
+  const save = () => {
+    if (readingError || measured === null || isNaN(measured) || measured < 0 || measured > 100) {
+      setError('Enter a reading first.');
+      return;
+    }
+    const fuel = stations.find(s => s.id === fuelId);
+    const updatedStations = fuel ? saveStation({ ...fuel, ethanol_percent: measured }) : null;
+    const tests = saveEthanolTest({
+      station:         fuel?.station || stationName.trim() || null,
+      fuel_id:         fuel?.id ?? null,
+      ethanol_percent: measured,
+      method,
+      date:            new Date(date).toISOString(),
+    });
+    onSaved(tests[0], updatedStations);
+  };
+
+  const { steps } = METHODS[method];
+
+  return (
+    <div className="bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/10 rounded-2xl p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <p className="text-sm font-bold text-slate-800 dark:text-gray-100">Test E85 Content</p>
+        <button onClick={onClose} className="text-slate-400 hover:text-slate-600 dark:hover:text-gray-200 transition-colors"><X size={16} /></button>
+      </div>
+
+      <div className="flex rounded-lg border border-slate-200 dark:border-white/10 overflow-hidden w-fit">
+        {Object.entries(METHODS).map(([id, { label, icon: Icon }]) => (
+          <button
+            key={id}
+            onClick={() => { setMethod(id); setError(null); }}
+            className={`flex items-center gap-1.5 px-3 py-1.5 text-xs font-bold transition-colors ${method === id ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
+          >
+            <Icon size={13} /> {label}
+          </button>
+        ))}
+      </div>
+
+      <ol className="space-y-1.5 text-xs text-slate-600 dark:text-gray-300 list-decimal list-inside">
+        {steps.map(step => <li key={step}>{step}</li>)}
+      </ol>
+
+      {method === 'water' ? (
+        <div className="grid grid-cols-3 gap-2">
+          {[['water_ml', 'Water (ml)'], ['fuel_ml', 'Fuel (ml)'], ['layer_ml', 'Layer line (ml)']].map(([name, label]) => (
+            <div key={name}>
+              <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">{label}</label>
+              <input type="number" step="0.5" className={inputClass} value={water[name]}
+                onChange={e => { setError(null); setWater(prev => ({ ...prev, [name]: e.target.value })); }} />
+            </div>
+          ))}
+        </div>
+      ) : (
+        <div>
+          <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">Sensor Reading (%)</label>
+          <input type="number" step="1" className={inputClass} value={sensorReading}
+            onChange={e => { setError(null); setSensorReading(e.target.value); }} />
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        <div>
+          <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">Station</label>
+          {stations.length > 0 && (
+            <select className={`${inputClass} mb-2`} value={fuelId} onChange={e => setFuelId(e.target.value)}>
+              <option value="">Other station…</option>
+              {stations.map(s => <option key={s.id} value={s.id}>{s.station || 'Any station'} · {s.name}</option>)}
+            </select>
+          )}
+          {!fuelId && (
+            <input className={inputClass} placeholder="Station name" value={stationName} onChange={e => setStationName(e.target.value)} />
+          )}
+        </div>
+        <div>
+          <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">Date</label>
+          <input type="date" className={inputClass} value={date} onChange={e => setDate(e.target.value)} />
+        </div>
+      </div>
+
+      <div className="flex items-center justify-between pt-1">
+        <p className="text-sm text-slate-500 dark:text-gray-400">
+          Measured: <span className="font-bold text-lg text-slate-900 dark:text-gray-100">{measured !== null && !readingError ? `E${measured}` : '—'}</span>
+        </p>
+        <button
+          onClick={save}
+          className="flex items-center gap-1.5 bg-slate-900 dark:bg-brand-500 hover:bg-slate-800 dark:hover:bg-brand-400 text-white px-4 py-2 rounded-lg text-xs font-bold transition-colors"
+        >
+          <Save size={13} /> Save Reading
+        </button>
+      </div>
+      {(readingError || error) && <p className="text-xs text-red-500 dark:text-red-400">{readingError || error}</p>}
+    </div>
+  );
+};
+
+export default EthanolTester;
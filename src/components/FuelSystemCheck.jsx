@@ -0,0 +1,129 @@
+import { useState } from 'react';
+import { Fuel, CheckCircle, AlertTriangle, SlidersHorizontal } from 'lucide-react';
+import {
+  checkFuelSystem, ENGINE_FUEL_SYSTEMS, LPFP_OPTIONS, HPFP_OPTIONS, INJECTOR_OPTIONS,
+  PORT_INJECTION_OPTIONS, TUNE_POWER_ESTIMATES, DEFAULT_FUEL_SYSTEM,
+} from '../../shared/fuelSystem';
+import { getFuelSystem, saveFuelSystem, saveVehicle } from '../utils/storage';
+
+const STATUS_COLOR = {
+  Safe:    'text-green-500 dark:text-green-400 bg-green-500/10 border-green-500/20',
+  Caution: 'text-yellow-600 dark:text-yellow-400 bg-yellow-500/10 border-yellow-500/20',
+  Risk:    'text-red-500 dark:text-red-400 bg-red-500/10 border-red-500/20',
+};
+
+const BAR_COLOR = { Safe: 'bg-green-500', Caution: 'bg-yellow-500', Risk: 'bg-red-500' };
+
+const inputClass = 'w-full bg-slate-50 dark:bg-zinc-950 border border-slate-200 dark:border-white/10 focus:border-brand-400 dark:focus:border-brand-500 rounded-lg px-2.5 py-1.5 text-slate-900 dark:text-gray-100 text-xs outline-none transition-all';
+
+const PROFILE_FIELDS = [
+  ['engine',         'Engine',         Object.fromEntries(Object.keys(ENGINE_FUEL_SYSTEMS).map(k => [k, { label: k }]))],
+  ['lpfp',           'LPFP',           LPFP_OPTIONS],
+  ['hpfp',           'HPFP',           HPFP_OPTIONS],
+  ['injectors',      'Injectors',      INJECTOR_OPTIONS],
+  ['port_injection', 'Port Injection', PORT_INJECTION_OPTIONS],
+];
+
+/**
+ * Pre-fill fuel system check: can this car's pumps and injectors feed
+ * `ethanolPercent` at the expected power level? With a garage vehicle the
+ * profile is that vehicle's mods; otherwise a standalone profile is saved.
+ */
+const FuelSystemCheck = ({ ethanolPercent, vehicle, onVehicleChange }) => {
+  const [standalone, setStandalone] = useState(() => getFuelSystem() ?? { ...DEFAULT_FUEL_SYSTEM, target_hp: TUNE_POWER_ESTIMATES['Stage 1'] });
+  const [editing, setEditing] = useState(false);
+
+  const profile = vehicle ? { ...vehicle.fuel_system, engine: vehicle.engine } : standalone;
+
+  const update = (name, value) => {
+    if (!vehicle) {
+      setStandalone(saveFuelSystem({ ...standalone, [name]: value }));
+      return;
+    }
+    const updated = name === 'engine'
+      ? { ...vehicle, engine: value }
+      : { ...vehicle, fuel_system: { ...vehicle.fuel_system, [name]: value } };
+    saveVehicle(updated);
+    onVehicleChange(updated);
+  };
+
+  let check = null;
+  try {
+    if (ethanolPercent !== '' && profile.target_hp) {
+      check = checkFuelSystem(profile, { ethanol_percent: ethanolPercent, target_hp: profile.target_hp });
+    }
+  } catch {
+    check = null;
+  }
+
+  return (
+    <div className="bg-white dark:bg-zinc-900 border border-slate-200 dark:border-white/5 rounded-2xl p-6 shadow-sm dark:shadow-none">
+      <div className="flex justify-between items-center mb-4 border-b border-slate-100 dark:border-white/5 pb-4">
+        <h2 className="text-base font-bold text-slate-900 dark:text-gray-100 flex items-center gap-2">
+          <Fuel size={17} className="text-brand-500" /> Fuel System Check
+        </h2>
+        <button
+          onClick={() => setEditing(!editing)}
+          className="flex items-center gap-1.5 text-xs font-bold text-slate-500 dark:text-gray-400 hover:text-slate-800 dark:hover:text-gray-200 transition-colors"
+        >
+          <SlidersHorizontal size={13} /> {editing ? 'Done' : 'Edit Profile'}
+        </button>
+      </div>
+
+      {editing && (
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-3 mb-5">
+          {PROFILE_FIELDS.map(([name, label, options]) => (
+            <div key={name}>
+              <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">{label}</label>
+              <select className={inputClass} value={profile[name]} onChange={e => update(name, e.target.value)}>
+                {Object.entries(options).map(([key, o]) => <option key={key} value={key}>{o.label}</option>)}
+              </select>
+            </div>
+          ))}
+          <div>
+            <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">Power Level (crank hp)</label>
+            <input type="number" step="10" className={inputClass} value={profile.target_hp}
+              onChange={e => update('target_hp', parseFloat(e.target.value) || '')} />
+            <div className="flex flex-wrap gap-1 mt-1.5">
+              {Object.entries(TUNE_POWER_ESTIMATES).map(([stage, hp]) => (
+                <button key={stage} onClick={() => update('target_hp', hp)}
+                  className="px-1.5 py-0.5 rounded text-[10px] font-semibold bg-slate-100 dark:bg-white/5 text-slate-500 dark:text-gray-400 hover:text-slate-800 dark:hover:text-gray-200 transition-colors">
+                  {stage}
+                </button>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
+      {check ? (
+        <div className="space-y-4">
+          <div className={`flex items-start gap-2 p-3 rounded-xl border text-sm ${STATUS_COLOR[check.status]}`}>
+            {check.status === 'Safe' ? <CheckCircle size={15} className="mt-0.5 shrink-0" /> : <AlertTriangle size={15} className="mt-0.5 shrink-0" />}
+            <p>{check.note}</p>
+          </div>
+          <div className="space-y-3">
+            {check.components.map(c => (
+              <div key={c.id}>
+                <div className="flex justify-between text-xs mb-1">
+                  <span className="font-bold text-slate-700 dark:text-gray-200">{c.label} <span className="font-medium text-slate-400 dark:text-gray-500">· {c.option}</span></span>
+                  <span className="font-semibold text-slate-500 dark:text-gray-400">~{c.supported_hp} hp on E{check.ethanol_percent}</span>
+                </div>
+                <div className="h-1.5 rounded-full bg-slate-100 dark:bg-white/5 overflow-hidden">
+                  <div className={`h-full rounded-full ${BAR_COLOR[c.status]}`} style={{ width: `${Math.min(100, (check.target_hp / c.supported_hp) * 100)}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+          <p className="text-[11px] text-slate-400 dark:text-gray-500">
+            Bars show ~{check.target_hp} hp demand against each part's estimated limit. Rules of thumb, not flow-bench data.
+          </p>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-400 dark:text-gray-500">Set a target ethanol % and power level to check your fuel system.</p>
+      )}
+    </div>
+  );
+};
+
+export default FuelSystemCheck;
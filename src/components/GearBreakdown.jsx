@@ -0,0 +1,69 @@
+import { Settings2 } from 'lucide-react';
+
+const ORDINALS = ['1st', '2nd', '3rd'];
+const ordinal = (gear) => ORDINALS[gear - 1] ?? `${gear}th`;
+
+function statusClass(status) {
+  if (status === 'Risk') return 'text-red-400';
+  if (status === 'Caution') return 'text-yellow-400';
+  return 'text-green-400';
+}
+
+/**
+ * WOT results split by gear. `gears` is analysis.gears — { source, breakdown };
+ * source is 'inferred' when the gear came from RPM vs road speed.
+ */
+const GearBreakdown = ({ gears, showLambda }) => {
+  const { source, breakdown } = gears;
+
+  return (
+    <div className="bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none">
+      <h3 className="text-sm font-bold text-gray-800 dark:text-gray-200 mb-4 flex items-center gap-2">
+        <Settings2 size={16} className="text-brand-500" /> By Gear
+        {source === 'inferred' && (
+          <span className="text-[11px] font-medium text-gray-400 dark:text-gray-500">· inferred from RPM vs road speed</span>
+        )}
+      </h3>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-xs">
+          <thead>
+            <tr className="text-left text-[10px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wide">
+              <th className="pb-2 pr-4">Gear</th>
+              <th className="pb-2 pr-4">{showLambda ? 'Lambda' : 'AFR'}</th>
+              <th className="pb-2 pr-4">Boost</th>
+              <th className="pb-2 pr-4">Timing</th>
+              <th className="pb-2 pr-4">HPFP</th>
+              <th className="pb-2">Status</th>
+            </tr>
+          </thead>
+          <tbody className="text-gray-700 dark:text-gray-300">
+            {breakdown.map(g => (
+              <tr key={g.gear} className="border-t border-gray-200 dark:border-white/5">
+                <td className="py-2 pr-4 font-semibold text-gray-800 dark:text-gray-100 whitespace-nowrap">
+                  {ordinal(g.gear)}
+                  {g.traction_limited && (
+                    <span className="ml-2 text-[10px] font-medium text-gray-400 dark:text-gray-500" title="Boost below target is expected here — the ECU limits torque for traction">traction-limited</span>
+                  )}
+                </td>
+                <td className={`py-2 pr-4 ${statusClass(g.afr.status)}`}>{(showLambda ? g.afr.lambda : g.afr.actual) ?? '—'}</td>
+                <td className={`py-2 pr-4 ${statusClass(g.boost.status)}`}>
+                  {g.boost.actual != null ? `${g.boost.actual} psi` : '—'}
+                  {g.boost.target != null && <span className="text-gray-400 dark:text-gray-500"> / {g.boost.target}</span>}
+                </td>
+                <td className={`py-2 pr-4 ${statusClass(g.timing.status)}`}>{g.timing.max_correction != null ? `${g.timing.max_correction}°` : '—'}</td>
+                <td className={`py-2 pr-4 ${statusClass(g.hpfp.status)}`}>
+                  {g.hpfp.actual != null ? `${g.hpfp.actual} psi` : '—'}
+                  {g.hpfp.max_drop_pct > 0 && <span className="text-gray-400 dark:text-gray-500"> · −{g.hpfp.max_drop_pct}%</span>}
+                </td>
+                <td className={`py-2 font-bold ${statusClass(g.status)}`}>{g.status}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default GearBreakdown;
@@ -0,0 +1,84 @@
+import { Thermometer } from 'lucide-react';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend } from 'recharts';
+
+/**
+ * IAT pull to pull: where each pull started and peaked against ambient, plus
+ * how far IAT recovered in each gap. `heatSoak` is analysis.heatSoak (°F);
+ * `metric` shows °C.
+ */
+const HeatSoakChart = ({ heatSoak, metric }) => {
+  const unit = metric ? '°C' : '°F';
+  const temp = (f) => (f == null ? null : Math.round(metric ? (f - 32) * 5 / 9 : f));
+  const delta = (f) => (f == null ? null : Math.round(metric ? f * 5 / 9 : f));
+  const hasAmbient = heatSoak.pulls.some(p => p.ambient_f !== null);
+
+  const data = heatSoak.pulls.map(p => ({
+    pull: `Pull ${p.pull}`,
+    start: temp(p.start_f),
+    peak: temp(p.peak_f),
+    ambient: temp(p.ambient_f),
+  }));
+
+  const stats = [
+    ['Start creep', heatSoak.creep_f !== null ? `+${delta(heatSoak.creep_f)}${unit}` : '—'],
+    ['Per pull', heatSoak.creep_per_pull_f !== null ? `+${delta(heatSoak.creep_per_pull_f)}${unit}` : '—'],
+    ['Over ambient', heatSoak.max_delta_f !== null ? `+${delta(heatSoak.max_delta_f)}${unit}` : '—'],
+    ['Intercooler', heatSoak.min_ic_efficiency_pct !== null ? `~${heatSoak.min_ic_efficiency_pct}%` : '—'],
+  ];
+
+  return (
+    <div className="bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none">
+      <h3 className="text-sm font-bold text-gray-800 dark:text-gray-200 mb-4 flex items-center gap-2">
+        <Thermometer size={16} className="text-brand-500" /> Heat Soak
+        <span className="text-[11px] font-medium text-gray-400 dark:text-gray-500">· IAT across {heatSoak.pulls.length} pulls</span>
+      </h3>
+
+      {heatSoak.note && (
+        <p className="mb-4 text-xs text-yellow-700 dark:text-yellow-400 bg-yellow-500/10 border border-yellow-500/20 rounded-lg px-3 py-2">{heatSoak.note}</p>
+      )}
+
+      <div className="h-[240px] w-full bg-gray-50/50 dark:bg-surface-300/30 rounded-lg p-2 border border-gray-200 dark:border-white/5">
+        <ResponsiveContainer width="100%" height="100%">
+          <LineChart data={data} margin={{ top: 10, right: 10, left: -10, bottom: 0 }}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#27272A" vertical={false} />
+            <XAxis dataKey="pull" stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} />
+            <YAxis stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} domain={['auto', 'auto']} unit={unit} />
+            <Tooltip
+              contentStyle={{ backgroundColor: '#18181B', borderColor: '#27272A', color: '#F4F4F5', borderRadius: '8px', fontSize: '12px' }}
+              itemStyle={{ color: '#F4F4F5' }}
+              formatter={v => `${v}${unit}`}
+            />
+            <Legend iconType="circle" wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} />
+            <Line type="monotone" dataKey="start" name="IAT at pull start" stroke="#3b82f6" strokeWidth={2} dot={{ r: 3 }} />
+            <Line type="monotone" dataKey="peak" name="Peak IAT" stroke="#f97316" strokeWidth={2} dot={{ r: 3 }} />
+            {hasAmbient && (
+              <Line type="monotone" dataKey="ambient" name="Ambient" stroke="#71717A" strokeWidth={1.5} strokeDasharray="4 4" dot={false} />
+            )}
+          </LineChart>
+        </ResponsiveContainer>
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {stats.map(([label, value]) => (
+          <div key={label} className="bg-gray-50 dark:bg-surface-300/40 border border-gray-200 dark:border-white/5 rounded-lg px-3 py-2">
+            <p className="text-[10px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wide">{label}</p>
+            <p className="text-sm font-bold text-gray-800 dark:text-gray-100">{value}</p>
+          </div>
+        ))}
+      </div>
+      {heatSoak.recoveries.length > 0 && (
+        <ul className="mt-3 space-y-1 text-[11px] text-gray-400 dark:text-gray-500">
+          {heatSoak.recoveries.map(r => (
+            <li key={r.after_pull}>
+              After pull {r.after_pull}: {temp(r.from_f)} → {temp(r.to_f)}{unit}
+              {r.seconds !== null && ` in ${r.seconds}s`}
+              {r.rate_f_per_min !== null && ` (${delta(r.rate_f_per_min)}${unit}/min)`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default HeatSoakChart;
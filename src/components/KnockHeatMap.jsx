@@ -0,0 +1,74 @@
+import { Flame } from 'lucide-react';
+
+// Cell shade by worst correction in the cell — thresholds match the analyzer's Caution/Risk degrees
+function cellClass(cell) {
+  if (!cell) return 'bg-gray-50 dark:bg-surface-300/40 text-transparent';
+  if (cell.worst <= -4) return 'bg-red-500/80 text-white';
+  if (cell.worst <= -2) return 'bg-yellow-500/70 text-gray-900';
+  if (cell.worst < 0) return 'bg-yellow-500/20 text-yellow-700 dark:text-yellow-300';
+  return 'bg-green-500/10 text-green-700 dark:text-green-400';
+}
+
+/**
+ * Cylinder × RPM grid of the worst timing correction under load, with a
+ * per-cylinder summary. `timing` is metrics.timingCorrections from analyzeLog.
+ */
+const KnockHeatMap = ({ timing }) => {
+  const { heat_map: map, per_cylinder: cylinders, single_cylinder: single } = timing;
+
+  return (
+    <div className="bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none">
+      <h3 className="text-sm font-bold text-gray-800 dark:text-gray-200 mb-4 flex items-center gap-2">
+        <Flame size={16} className="text-brand-500" /> Knock by Cylinder
+      </h3>
+
+      {single && (
+        <p className="mb-4 text-xs text-yellow-700 dark:text-yellow-400 bg-yellow-500/10 border border-yellow-500/20 rounded-lg px-3 py-2">{single.note}</p>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="text-[11px] font-semibold border-separate border-spacing-0.5">
+          <thead>
+            <tr>
+              <th className="text-left text-gray-400 dark:text-gray-500 font-semibold pr-2">Cyl</th>
+              {map.rpm_bins.map(bin => (
+                <th key={bin} className="text-gray-400 dark:text-gray-500 font-medium px-1 whitespace-nowrap">{(bin / 1000).toFixed(1)}k</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {map.rows.map(row => (
+              <tr key={row.cylinder}>
+                <td className="text-gray-500 dark:text-gray-400 pr-2">{row.cylinder}</td>
+                {row.cells.map((cell, i) => (
+                  <td
+                    key={map.rpm_bins[i]}
+                    title={cell ? `Cyl ${row.cylinder} @ ${map.rpm_bins[i]}–${map.rpm_bins[i] + map.bin_size} rpm: worst ${cell.worst}°, ${cell.events} pull event(s)` : 'No data'}
+                    className={`w-10 h-7 text-center rounded ${cellClass(cell)}`}
+                  >
+                    {cell ? cell.worst : '·'}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 sm:grid-cols-3 lg:grid-cols-6 gap-2">
+        {cylinders.map(c => (
+          <div key={c.column} className="bg-gray-50 dark:bg-surface-300/40 border border-gray-200 dark:border-white/5 rounded-lg px-3 py-2">
+            <p className="text-[10px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wide">Cyl {c.cylinder}</p>
+            <p className="text-sm font-bold text-gray-800 dark:text-gray-100">{c.worst}°</p>
+            <p className="text-[10px] text-gray-400 dark:text-gray-500">
+              {c.pull_events} events · avg {c.mean_pull}°
+              {c.worst < 0 && c.worst_rpm != null && ` · ${c.worst_rpm} rpm`}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default KnockHeatMap;
@@ -0,0 +1,74 @@
+import { Target } from 'lucide-react';
+
+// Bin label from its % edges — positive error is lean of target
+function binLabel({ from, to }) {
+  if (from === null) return `< ${to}%`;
+  if (to === null) return `> +${from}%`;
+  return `${from > 0 ? '+' : ''}${from} to ${to > 0 ? '+' : ''}${to}%`;
+}
+
+function barClass({ from, to }) {
+  if (from !== null && from >= 5) return 'bg-red-500/80';
+  if (from !== null && from >= 2) return 'bg-yellow-500/70';
+  if (to !== null && to <= -2) return 'bg-blue-500/60';
+  return 'bg-green-500/70';
+}
+
+/**
+ * Actual vs requested lambda under demand: error histogram plus the longest
+ * stretch spent lean of target. `deviation` is metrics.lambdaDeviation.
+ */
+const LambdaDeviation = ({ deviation }) => {
+  const { histogram, longest_lean: lean } = deviation;
+  const tallest = Math.max(...histogram.map(b => b.pct), 1);
+
+  const stats = [
+    ['Mean error', `${deviation.mean_error_pct > 0 ? '+' : ''}${deviation.mean_error_pct}%`],
+    ['Max lean',   `+${deviation.max_lean_pct}%`],
+    ['Max rich',   `-${deviation.max_rich_pct}%`],
+    ['Longest lean', lean ? (lean.seconds !== null ? `${lean.seconds}s` : `${lean.rows} rows`) : '—'],
+  ];
+
+  return (
+    <div className="bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none">
+      <h3 className="text-sm font-bold text-gray-800 dark:text-gray-200 mb-4 flex items-center gap-2">
+        <Target size={16} className="text-brand-500" /> Lambda vs Target
+        <span className="text-[11px] font-medium text-gray-400 dark:text-gray-500">· {deviation.samples} samples under load</span>
+      </h3>
+
+      {deviation.note && (
+        <p className="mb-4 text-xs text-yellow-700 dark:text-yellow-400 bg-yellow-500/10 border border-yellow-500/20 rounded-lg px-3 py-2">{deviation.note}</p>
+      )}
+
+      <div className="flex items-end gap-2 h-32">
+        {histogram.map(bin => (
+          <div key={binLabel(bin)} className="flex-1 flex flex-col items-center justify-end h-full" title={`${binLabel(bin)}: ${bin.count} samples`}>
+            <span className="text-[10px] font-semibold text-gray-500 dark:text-gray-400 mb-1">{bin.pct}%</span>
+            <div className={`w-full rounded-t ${barClass(bin)}`} style={{ height: `${(bin.pct / tallest) * 80}%` }} />
+          </div>
+        ))}
+      </div>
+      <div className="flex gap-2 mt-1.5 border-t border-gray-200 dark:border-white/5 pt-1.5">
+        {histogram.map(bin => (
+          <span key={binLabel(bin)} className="flex-1 text-center text-[10px] text-gray-400 dark:text-gray-500 whitespace-nowrap">{binLabel(bin)}</span>
+        ))}
+      </div>
+
+      <div className="mt-4 grid grid-cols-2 sm:grid-cols-4 gap-2">
+        {stats.map(([label, value]) => (
+          <div key={label} className="bg-gray-50 dark:bg-surface-300/40 border border-gray-200 dark:border-white/5 rounded-lg px-3 py-2">
+            <p className="text-[10px] font-bold text-gray-400 dark:text-gray-500 uppercase tracking-wide">{label}</p>
+            <p className="text-sm font-bold text-gray-800 dark:text-gray-100">{value}</p>
+          </div>
+        ))}
+      </div>
+      {lean?.start_time != null && (
+        <p className="mt-2 text-[11px] text-gray-400 dark:text-gray-500">
+          Longest lean stretch starts at {lean.start_time}s and peaks {lean.max_pct}% lean of target.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default LambdaDeviation;
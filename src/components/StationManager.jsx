@@ -0,0 +1,90 @@
+import { useState } from 'react';
+import { Plus, Trash2, MapPin } from 'lucide-react';
+import { convertVolume, VOLUME_UNITS } from '../../shared/blendMath';
+import { saveStation, removeStation } from '../utils/storage';
+
+const EMPTY_FUEL = { station: '', name: 'E85', ethanol_percent: 85, octane: 100, price_per_gallon: '', max_gallons: '' };
+
+// Stations are stored per / in US gallons; `units` volumes per US gallon
+const perUsGallon = units => convertVolume(1, 'us_gal', units);
+
+const inputClass = 'w-full bg-slate-50 dark:bg-zinc-950 border border-slate-200 dark:border-white/10 focus:border-brand-400 dark:focus:border-brand-500 rounded-lg px-2.5 py-1.5 text-slate-900 dark:text-gray-100 text-xs outline-none transition-all placeholder-slate-300 dark:placeholder-gray-600';
+
+/**
+ * Saved list of local fuels (one row per fuel per station) fed to solveBlend.
+ * Rows can be toggled off without deleting them, e.g. when a station is out.
+ * Price and pump limit are entered and shown in `units`, stored in US gallons.
+ */
+const StationManager = ({ stations, onChange, units = 'us_gal' }) => {
+  const [draft, setDraft] = useState(EMPTY_FUEL);
+  const unitLabel = VOLUME_UNITS[units].label;
+
+  const setField = (name, value) => setDraft(prev => ({ ...prev, [name]: value }));
+
+  const addFuel = () => {
+    const e = parseFloat(draft.ethanol_percent);
+    if (isNaN(e) || e < 0 || e > 100) return;
+    const price = parseFloat(draft.price_per_gallon);
+    const max = parseFloat(draft.max_gallons);
+    onChange(saveStation({
+      station:          draft.station.trim() || null,
+      name:             draft.name.trim() || `E${e}`,
+      ethanol_percent:  e,
+      octane:           parseFloat(draft.octane) || null,
+      price_per_gallon: price ? price * perUsGallon(units) : null,
+      max_gallons:      max ? convertVolume(max, units, 'us_gal') : null,
+    }));
+    setDraft(EMPTY_FUEL);
+  };
+
+  return (
+    <div className="space-y-3">
+      {stations.length === 0 ? (
+        <p className="text-xs text-slate-400 dark:text-gray-500">No saved fuels yet — add the pumps you fill from below.</p>
+      ) : (
+        <div className="space-y-2">
+          {stations.map(s => (
+            <div key={s.id} className={`flex items-center gap-3 p-2.5 rounded-xl border transition-colors ${s.enabled ? 'bg-slate-50 dark:bg-white/[0.03] border-slate-200 dark:border-white/10' : 'border-dashed border-slate-200 dark:border-white/5 opacity-50'}`}>
+              <input
+                type="checkbox"
+                checked={s.enabled}
+                onChange={e => onChange(saveStation({ ...s, enabled: e.target.checked }))}
+                className="accent-brand-500"
+              />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-bold text-slate-800 dark:text-gray-100 truncate">
+                  {s.name} <span className="text-xs font-medium text-slate-400 dark:text-gray-500">E{s.ethanol_percent}{s.octane ? ` · ${s.octane} oct` : ''}</span>
+                </p>
+                <p className="text-[11px] text-slate-400 dark:text-gray-500 flex items-center gap-1 truncate">
+                  <MapPin size={10} /> {s.station || 'Any station'}
+                  {s.price_per_gallon != null && ` · $${(s.price_per_gallon / perUsGallon(units)).toFixed(2)}/${unitLabel}`}
+                  {s.max_gallons != null && ` · max ${Math.round(convertVolume(s.max_gallons, 'us_gal', units) * 10) / 10} ${unitLabel}`}
+                </p>
+              </div>
+              <button onClick={() => onChange(removeStation(s.id))} className="text-slate-300 dark:text-gray-600 hover:text-red-400 transition-colors">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="grid grid-cols-6 gap-2 items-end">
+        <input className={`${inputClass} col-span-2`} placeholder="Station" value={draft.station} onChange={e => setField('station', e.target.value)} />
+        <input className={`${inputClass} col-span-2`} placeholder="Fuel name" value={draft.name} onChange={e => setField('name', e.target.value)} />
+        <input className={inputClass} type="number" placeholder="E%" title="Ethanol %" value={draft.ethanol_percent} onChange={e => setField('ethanol_percent', e.target.value)} />
+        <input className={inputClass} type="number" placeholder="Oct" title="Octane (AKI)" value={draft.octane} onChange={e => setField('octane', e.target.value)} />
+        <input className={`${inputClass} col-span-2`} type="number" step="0.01" placeholder={`$/${unitLabel}`} value={draft.price_per_gallon} onChange={e => setField('price_per_gallon', e.target.value)} />
+        <input className={`${inputClass} col-span-2`} type="number" step="0.1" placeholder={`Max ${unitLabel} (opt.)`} value={draft.max_gallons} onChange={e => setField('max_gallons', e.target.value)} />
+        <button
+          onClick={addFuel}
+          className="col-span-2 flex items-center justify-center gap-1 bg-slate-900 dark:bg-brand-500 hover:bg-slate-800 dark:hover:bg-brand-400 text-white py-1.5 rounded-lg text-xs font-bold transition-colors"
+        >
+          <Plus size={13} /> Add Fuel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default StationManager;
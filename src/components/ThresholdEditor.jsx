@@ -0,0 +1,112 @@
+import { useState } from 'react';
+import { Save, RotateCcw } from 'lucide-react';
+import { THRESHOLD_FIELDS, THRESHOLD_PRESETS, resolveThresholds } from '../../shared/thresholds';
+import { getVehicles, getThresholdProfile, saveThresholdProfile } from '../utils/storage';
+
+const DEFAULT_SCOPE = '';
+
+const inputClass = 'w-full bg-white dark:bg-[#121214] border border-gray-300 dark:border-white/10 rounded-lg px-2.5 py-1.5 text-gray-800 dark:text-gray-200 text-sm outline-none focus:border-brand-500 transition-colors shadow-sm dark:shadow-none';
+
+const GROUPS = [...new Set(THRESHOLD_FIELDS.map(f => f.group))];
+
+/**
+ * Safety threshold profile editor for Settings. Each garage vehicle can carry
+ * its own profile; "Default" applies to logs analyzed without a vehicle.
+ */
+const ThresholdEditor = () => {
+  const vehicles = getVehicles();
+  const [scope, setScope] = useState(DEFAULT_SCOPE);
+  const vehicle = vehicles.find(v => v.id === scope) ?? null;
+  const [draft, setDraft] = useState(() => resolveThresholds(getThresholdProfile(null)));
+  const [saved, setSaved] = useState(false);
+
+  const load = (profile) => { setDraft(resolveThresholds(profile)); setSaved(false); };
+
+  const changeScope = (id) => {
+    setScope(id);
+    load(getThresholdProfile(vehicles.find(v => v.id === id) ?? null));
+  };
+
+  const setLimit = (key, value) => {
+    setSaved(false);
+    // Editing a preset makes it a custom profile so the result never claims stock limits
+    setDraft(prev => ({
+      ...prev,
+      name: THRESHOLD_PRESETS[prev.name] ? `${prev.name} (custom)` : prev.name,
+      [key]: value,
+    }));
+  };
+
+  const save = () => {
+    saveThresholdProfile(resolveThresholds(draft), vehicle);
+    setSaved(true);
+  };
+
+  return (
+    <div className="space-y-5">
+      <div className="flex flex-col sm:flex-row gap-3">
+        <div className="flex-1">
+          <label className="block text-xs font-semibold text-gray-400 dark:text-gray-400 mb-1.5 uppercase tracking-wide">Applies To</label>
+          <select value={scope} onChange={e => changeScope(e.target.value)} className={inputClass}>
+            <option value={DEFAULT_SCOPE}>Default (no vehicle selected)</option>
+            {vehicles.map(v => <option key={v.id} value={v.id}>{v.name}</option>)}
+          </select>
+        </div>
+        <div className="flex-1">
+          <label className="block text-xs font-semibold text-gray-400 dark:text-gray-400 mb-1.5 uppercase tracking-wide">Profile Name</label>
+          <input value={draft.name} onChange={e => { setDraft(prev => ({ ...prev, name: e.target.value })); setSaved(false); }} className={inputClass} />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <span className="text-xs text-gray-400 dark:text-gray-500 mr-1">Start from:</span>
+        {Object.keys(THRESHOLD_PRESETS).map(name => (
+          <button
+            key={name}
+            onClick={() => load({ name })}
+            className={`px-3 py-1.5 text-xs font-semibold rounded-md border transition-colors ${draft.name === name
+              ? 'bg-brand-500/10 text-brand-400 border-brand-500/20'
+              : 'bg-gray-100 dark:bg-white/5 text-gray-600 dark:text-gray-300 border-gray-300 dark:border-white/10 hover:bg-gray-200 dark:hover:bg-white/10'
+            }`}
+          >
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {GROUPS.map(group => (
+        <div key={group} className="space-y-3">
+          <h3 className="text-xs font-bold text-brand-500 uppercase tracking-wider">{group}</h3>
+          <div className="grid grid-cols-2 md:grid-cols-3 gap-3 bg-gray-50/50 dark:bg-surface-300/30 border border-gray-200 dark:border-white/5 rounded-xl p-4">
+            {THRESHOLD_FIELDS.filter(f => f.group === group).map(f => (
+              <div key={f.key}>
+                <label className="block text-[11px] font-semibold text-gray-500 dark:text-gray-400 mb-1">
+                  {f.label} <span className="text-gray-400 dark:text-gray-500 font-medium">({f.unit})</span>
+                </label>
+                <input type="number" step="0.1" value={draft[f.key]} onChange={e => setLimit(f.key, e.target.value)} className={inputClass} />
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="pt-2 flex items-center justify-end gap-3">
+        {saved && <span className="text-xs font-medium text-green-500">Saved{vehicle ? ` for ${vehicle.name}` : ''}.</span>}
+        <button
+          onClick={() => load(getThresholdProfile(vehicle))}
+          className="flex items-center gap-1.5 text-xs font-medium bg-gray-100 dark:bg-white/5 hover:bg-gray-200 dark:hover:bg-white/10 border border-gray-300 dark:border-white/10 px-3 py-2 rounded-lg text-gray-700 dark:text-gray-300 transition-colors"
+        >
+          <RotateCcw size={13} /> Revert
+        </button>
+        <button
+          onClick={save}
+          className="flex items-center gap-1.5 bg-brand-500 hover:bg-brand-400 text-white px-5 py-2 rounded-lg text-sm font-semibold transition-colors shadow-lg shadow-brand-500/20"
+        >
+          <Save size={15} /> Save Profile
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ThresholdEditor;
@@ -0,0 +1,171 @@
+import { useState } from 'react';
+import { Car, Plus, Pencil, Trash2, X, Save } from 'lucide-react';
+import {
+  ENGINE_FUEL_SYSTEMS, TUNE_POWER_ESTIMATES, LPFP_OPTIONS, HPFP_OPTIONS, INJECTOR_OPTIONS,
+  PORT_INJECTION_OPTIONS, DEFAULT_FUEL_SYSTEM,
+} from '../../shared/fuelSystem';
+import { convertVolume, resolveUnits, VOLUME_UNITS } from '../../shared/blendMath';
+import { CHASSIS_FIELDS, DEFAULT_CHASSIS, resolveChassis } from '../../shared/chassis';
+import { getVehicles, saveVehicle, removeVehicle, setActiveVehicle, getFuelSystem, getSettings } from '../utils/storage';
+
+const FLASH_TOOLS = ['bootmod3', 'MHD', 'Other'];
+
+const MOD_FIELDS = [
+  ['lpfp',           'LPFP',           LPFP_OPTIONS],
+  ['hpfp',           'HPFP',           HPFP_OPTIONS],
+  ['injectors',      'Injectors',      INJECTOR_OPTIONS],
+  ['port_injection', 'Port Injection', PORT_INJECTION_OPTIONS],
+];
+
+const inputClass = 'w-full bg-slate-50 dark:bg-zinc-950 border border-slate-200 dark:border-white/10 focus:border-brand-400 dark:focus:border-brand-500 rounded-lg px-2.5 py-1.5 text-slate-900 dark:text-gray-100 text-xs outline-none transition-all';
+
+function newVehicle() {
+  // First vehicle inherits the standalone fuel system profile, if one was set up
+  const { engine, ...fuelSystem } = getFuelSystem() ?? { ...DEFAULT_FUEL_SYSTEM, target_hp: TUNE_POWER_ESTIMATES['Stage 1'] };
+  return { name: '', engine, tune_stage: 'Stage 1', tank_size: 13.7, flash_tool: 'bootmod3', fuel_system: fuelSystem, chassis: DEFAULT_CHASSIS };
+}
+
+/**
+ * Garage picker shared by the Log Analyzer and Calculator. Selecting a
+ * vehicle makes it the active one everywhere; tank size is stored in US
+ * gallons and edited in the unit chosen in Settings. Chassis data feeds the
+ * Log Analyzer's power estimate.
+ */
+const VehicleSelector = ({ vehicle, onChange }) => {
+  const units = resolveUnits(getSettings().units);
+  const vehicles = getVehicles();
+  const [draft, setDraft] = useState(null);
+
+  const select = (id) => {
+    setActiveVehicle(id);
+    onChange(getVehicles().find(v => v.id === id) ?? null);
+  };
+
+  const startEdit = (v) => {
+    const chassis = resolveChassis(v.chassis);
+    setDraft({
+      ...v,
+      tank_size: Math.round(convertVolume(v.tank_size, 'us_gal', units) * 10) / 10,
+      chassis:   { ...chassis, gear_ratios: chassis.gear_ratios.join(', ') },
+    });
+  };
+
+  const setField = (name, value) => setDraft(prev => ({ ...prev, [name]: value }));
+  const setMod = (name, value) => setDraft(prev => ({ ...prev, fuel_system: { ...prev.fuel_system, [name]: value } }));
+  const setChassis = (name, value) => setDraft(prev => ({ ...prev, chassis: { ...prev.chassis, [name]: value } }));
+
+  const save = () => {
+    const tank = parseFloat(draft.tank_size);
+    if (!(tank > 0)) return;
+    const entry = {
+      ...draft,
+      name:      draft.name.trim() || `${draft.engine} ${draft.tune_stage}`,
+      tank_size: convertVolume(tank, units, 'us_gal'),
+      chassis:   resolveChassis(draft.chassis),
+    };
+    const updated = saveVehicle(entry);
+    const saved = updated.find(v => v.id === entry.id) ?? updated[updated.length - 1];
+    setActiveVehicle(saved.id);
+    setDraft(null);
+    onChange(saved);
+  };
+
+  const remove = () => {
+    const updated = removeVehicle(draft.id);
+    setDraft(null);
+    onChange(updated[0] ?? null);
+  };
+
+  if (draft) {
+    return (
+      <div className="space-y-3 bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/10 rounded-xl p-4">
+        <div className="flex items-center justify-between">
+          <p className="text-sm font-bold text-slate-800 dark:text-gray-100">{draft.id ? 'Edit Vehicle' : 'Add Vehicle'}</p>
+          <button onClick={() => setDraft(null)} className="text-slate-400 hover:text-slate-600 dark:hover:text-gray-200 transition-colors"><X size={15} /></button>
+        </div>
+        <div className="grid grid-cols-2 gap-2">
+          <Field label="Name" className="col-span-2">
+            <input className={inputClass} placeholder="e.g. Daily M340i" value={draft.name} onChange={e => setField('name', e.target.value)} />
+          </Field>
+          <Field label="Engine">
+            <select className={inputClass} value={draft.engine} onChange={e => setField('engine', e.target.value)}>
+              {Object.keys(ENGINE_FUEL_SYSTEMS).map(o => <option key={o}>{o}</option>)}
+            </select>
+          </Field>
+          <Field label="Tune Stage">
+            <select className={inputClass} value={draft.tune_stage} onChange={e => setField('tune_stage', e.target.value)}>
+              {Object.keys(TUNE_POWER_ESTIMATES).map(o => <option key={o}>{o}</option>)}
+            </select>
+          </Field>
+          <Field label={`Tank Size (${VOLUME_UNITS[units].label})`}>
+            <input type="number" step="0.1" className={inputClass} value={draft.tank_size} onChange={e => setField('tank_size', e.target.value)} />
+          </Field>
+          <Field label="Flash Tool">
+            <select className={inputClass} value={draft.flash_tool} onChange={e => setField('flash_tool', e.target.value)}>
+              {FLASH_TOOLS.map(o => <option key={o}>{o}</option>)}
+            </select>
+          </Field>
+          {MOD_FIELDS.map(([name, label, options]) => (
+            <Field key={name} label={label}>
+              <select className={inputClass} value={draft.fuel_system[name]} onChange={e => setMod(name, e.target.value)}>
+                {Object.entries(options).map(([key, o]) => <option key={key} value={key}>{o.label}</option>)}
+              </select>
+            </Field>
+          ))}
+          <p className="col-span-2 pt-1 text-[10px] font-bold text-slate-400 dark:text-gray-500 uppercase tracking-wide">Chassis · for power estimates</p>
+          {CHASSIS_FIELDS.map(f => (
+            <Field key={f.key} label={`${f.label} (${f.unit})`}>
+              <input type="number" step="0.01" className={inputClass} value={draft.chassis[f.key]} onChange={e => setChassis(f.key, e.target.value)} />
+            </Field>
+          ))}
+          <Field label="Gear Ratios (1st, 2nd, …)" className="col-span-2">
+            <input className={inputClass} value={draft.chassis.gear_ratios} onChange={e => setChassis('gear_ratios', e.target.value)} />
+          </Field>
+        </div>
+        <div className="flex justify-between pt-1">
+          {draft.id ? (
+            <button onClick={remove} className="flex items-center gap-1 text-xs font-bold text-slate-400 hover:text-red-400 transition-colors">
+              <Trash2 size={13} /> Remove
+            </button>
+          ) : <span />}
+          <button
+            onClick={save}
+            className="flex items-center gap-1.5 bg-slate-900 dark:bg-brand-500 hover:bg-slate-800 dark:hover:bg-brand-400 text-white px-4 py-1.5 rounded-lg text-xs font-bold transition-colors"
+          >
+            <Save size={13} /> Save Vehicle
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="flex items-center gap-2">
+      <Car size={16} className="text-slate-400 dark:text-gray-500 shrink-0" />
+      {vehicles.length > 0 ? (
+        <select className={`${inputClass} flex-1`} value={vehicle?.id ?? ''} onChange={e => select(e.target.value)}>
+          {vehicles.map(v => <option key={v.id} value={v.id}>{v.name} · {v.engine} {v.tune_stage}</option>)}
+        </select>
+      ) : (
+        <p className="flex-1 text-xs text-slate-400 dark:text-gray-500">No saved vehicles — add one to skip re-entering engine, tune and tank size.</p>
+      )}
+      {vehicle && (
+        <button onClick={() => startEdit(vehicle)} title="Edit vehicle" className="p-1.5 text-slate-400 hover:text-slate-700 dark:hover:text-gray-200 transition-colors">
+          <Pencil size={14} />
+        </button>
+      )}
+      <button onClick={() => startEdit(newVehicle())} title="Add vehicle" className="p-1.5 text-slate-400 hover:text-slate-700 dark:hover:text-gray-200 transition-colors">
+        <Plus size={15} />
+      </button>
+    </div>
+  );
+};
+
+const Field = ({ label, className = '', children }) => (
+  <div className={className}>
+    <label className="block text-[10px] font-bold text-slate-500 dark:text-gray-400 mb-1 uppercase tracking-wide">{label}</label>
+    {children}
+  </div>
+);
+
+export default VehicleSelector;
@@ -1,45 +1,160 @@
 import { useState } from 'react';
-import { calculateBlend } from '../utils/blendMath';
-import { saveActiveBlend } from '../utils/storage';
-import { Droplet, Info, Settings2, AlertTriangle, ListOrdered } from 'lucide-react';
+import { calculateBlend, solveBlend, resolveUnits, convertVolume, VOLUME_UNITS } from '../../shared/blendMath';
+import { saveActiveBlend, getStations, getLatestEthanolTest, getTankState, recordFill, getSettings, getActiveVehicle } from '../utils/storage';
+import StationManager from '../components/StationManager';
+import EthanolTester from '../components/EthanolTester';
+import FuelSystemCheck from '../components/FuelSystemCheck';
+import VehicleSelector from '../components/VehicleSelector';
+import { Droplet, Info, Settings2, AlertTriangle, ListOrdered, MapPin, FlaskConical, Fuel, CheckCircle } from 'lucide-react';
+
+const UNIT_INPUT_LABELS = { us_gal: 'Gal', imp_gal: 'Imp Gal', litres: 'L' };
+
+// The fuel ledger is kept in US gallons; convert in and out of the display unit
+const fromLedger = (gallons, units) => Math.round(convertVolume(gallons, 'us_gal', units) * 10) / 10;
+const toLedger = (volume, units) => convertVolume(parseFloat(volume) || 0, units, 'us_gal');
+
+// Saved stations are priced and limited in US gallons too; the solver works in the display unit
+const stationInUnits = (station, units) => ({
+  ...station,
+  price_per_gallon: station.price_per_gallon != null ? station.price_per_gallon / convertVolume(1, 'us_gal', units) : null,
+  max_gallons:      station.max_gallons != null ? convertVolume(station.max_gallons, 'us_gal', units) : null,
+});
 
 const Calculator = () => {
-  const [formData, setFormData] = useState({
-    currentFuel: 5.0,
-    currentE: 10,
+  const [units] = useState(() => resolveUnits(getSettings().units));
+  const unit = VOLUME_UNITS[units];
+  const [vehicle, setVehicle] = useState(getActiveVehicle);
+  const [tankState, setTankState] = useState(() => getTankState(vehicle));
+  const [formData, setFormData] = useState(() => ({
+    currentFuel: tankState ? fromLedger(tankState.gallons, units) : fromLedger(5.0, units),
+    currentE: tankState?.ethanol_percent ?? 10,
     targetE: 40,
-    tankSize: 13.7,
-  });
+    tankSize: fromLedger(vehicle?.tank_size ?? 13.7, units),
+    economy: '',
+  }));
   const [precisionMode, setPrecisionMode] = useState(false);
   const [pumpOctane, setPumpOctane] = useState(93);
   const [pumpEthanol, setPumpEthanol] = useState(0);
+  const [fuelSource, setFuelSource] = useState('standard');
+  const [stations, setStations] = useState(getStations);
+  const [objective, setObjective] = useState('cheapest');
+  const [lastTest, setLastTest] = useState(() => getLatestEthanolTest());
+  const [e85Ethanol, setE85Ethanol] = useState(() => getLatestEthanolTest()?.ethanol_percent ?? 85);
+  const [showTester, setShowTester] = useState(false);
   const [result, setResult] = useState(null);
+  const [fillLogged, setFillLogged] = useState(false);
   const [error, setError] = useState(null);
 
+  const handleTestSaved = (test, updatedStations) => {
+    setLastTest(test);
+    setE85Ethanol(test.ethanol_percent);
+    if (updatedStations) setStations(updatedStations);
+    setShowTester(false);
+  };
+
+  const handleVehicleChange = (v) => {
+    // Switching cars switches tanks — prefill from the new one's fill history
+    const state = v?.id !== vehicle?.id ? getTankState(v) : null;
+    setVehicle(v);
+    if (v?.id !== vehicle?.id) setTankState(state);
+    setFormData(prev => ({
+      ...prev,
+      ...(v && { tankSize: fromLedger(v.tank_size, units) }),
+      ...(state && { currentFuel: fromLedger(state.gallons, units), currentE: state.ethanol_percent }),
+    }));
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFormData(prev => ({ ...prev, [name]: parseFloat(value) || '' }));
   };
 
+  // Record the calculated fill in the ledger once it's actually been pumped
+  const logFill = () => {
+    const fills = result.fills ?? [
+      { name: 'E85', ethanol_percent: result.e85Ethanol, gallons: result.e85Gallons },
+      { name: `${result.pumpOctane} Oct`, ethanol_percent: result.pumpEthanol, gallons: result.pumpGallons },
+    ];
+    recordFill({
+      vehicle,
+      gallons_before: toLedger(result.drainPlan ? result.drainPlan.remaining_gallons : result.startGallons, units),
+      ethanol_before: result.startEthanol,
+      fills:          fills.map(f => ({ ...f, gallons: toLedger(f.gallons, units) })),
+    });
+    const state = getTankState(vehicle);
+    setTankState(state);
+    setFormData(prev => ({ ...prev, currentFuel: fromLedger(state.gallons, units), currentE: state.ethanol_percent }));
+    setFillLogged(true);
+  };
+
   const calculate = () => {
     setError(null);
+    setFillLogged(false);
     try {
+      if (fuelSource === 'stations') {
+        const data = solveBlend({
+          current_gallons:         formData.currentFuel,
+          current_ethanol_percent: formData.currentE,
+          target_ethanol_percent:  formData.targetE,
+          tank_size:               formData.tankSize,
+          fuels:                   stations.filter(s => s.enabled).map(s => stationInUnits(s, units)),
+          objective,
+          mpg:                     units === 'litres' ? null : formData.economy || null,
+          l_per_100km:             units === 'litres' ? formData.economy || null : null,
+          units,
+          precision_mode:          precisionMode,
+        });
+        const plan = data.drain_plan ?? null;
+        const mapped = {
+          volumeLabel:         unit.label,
+          startGallons:        formData.currentFuel,
+          startEthanol:        formData.currentE,
+          fills:               plan ? plan.fills : data.fills,
+          totalCost:           plan ? plan.total_cost : data.total_cost,
+          stops:               plan ? plan.stops : data.stops,
+          objective:           data.objective,
+          resultingBlend:      plan ? plan.resulting_percent : data.resulting_percent,
+          fuelProperties:      plan ? plan.fuel_properties : data.fuel_properties,
+          drainPlan:           plan,
+          precisionModeActive: data.precision_mode,
+          fillSteps:           plan ? null : data.fill_steps ?? null,
+          precisionNote:       data.precision_note ?? null,
+          warnings:            data.warnings,
+        };
+        saveActiveBlend(mapped);
+        setResult(mapped);
+        return;
+      }
+
       const data = calculateBlend({
         current_gallons:         formData.currentFuel,
         current_ethanol_percent: formData.currentE,
         target_ethanol_percent:  formData.targetE,
         tank_size:               formData.tankSize,
         pump_ethanol_percent:    pumpEthanol,
+        pump_octane:             pumpOctane,
+        e85_ethanol_percent:     e85Ethanol,
+        mpg:                     units === 'litres' ? null : formData.economy || null,
+        l_per_100km:             units === 'litres' ? formData.economy || null : null,
+        units,
         precision_mode:          precisionMode,
       });
+      // When a drain is needed, the plan's refill is what actually goes in the tank
+      const plan = data.drain_plan ?? null;
       const mapped = {
-        e85Gallons:          data.gallons_of_e85_to_add,
-        pumpGallons:         data.gallons_of_93_to_add,
+        volumeLabel:         unit.label,
+        startGallons:        formData.currentFuel,
+        startEthanol:        formData.currentE,
+        e85Gallons:          plan ? plan.gallons_of_e85_to_add : data.gallons_of_e85_to_add,
+        e85Ethanol:          data.e85_ethanol_percent,
+        pumpGallons:         plan ? plan.gallons_of_93_to_add : data.gallons_of_93_to_add,
         pumpOctane,
         pumpEthanol,
-        resultingBlend:      data.resulting_percent,
+        resultingBlend:      plan ? plan.resulting_percent : data.resulting_percent,
+        fuelProperties:      plan ? plan.fuel_properties : data.fuel_properties,
+        drainPlan:           plan,
         precisionModeActive: data.precision_mode,
-        fillSteps:           data.fill_steps   ?? null,
+        fillSteps:           plan ? null : data.fill_steps ?? null,
         precisionNote:       data.precision_note ?? null,
         warnings:            data.warnings,
       };
@@ -79,46 +194,132 @@ const Calculator = () => {
             </div>
           </div>
 
+          <div className="mb-4">
+            <VehicleSelector vehicle={vehicle} onChange={handleVehicleChange} />
+          </div>
+
           <div className="flex items-center justify-between mb-4">
-            <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">Pump Octane</span>
+            <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">Fuel Sources</span>
             <div className="flex rounded-lg border border-slate-200 dark:border-white/10 overflow-hidden">
-              {[91, 93].map(oct => (
+              {[['standard', 'E85 + Pump'], ['stations', 'My Stations']].map(([id, label]) => (
                 <button
-                  key={oct}
-                  onClick={() => setPumpOctane(oct)}
-                  className={`px-4 py-1.5 text-xs font-bold transition-colors ${pumpOctane === oct ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
+                  key={id}
+                  onClick={() => { setFuelSource(id); setResult(null); }}
+                  className={`px-4 py-1.5 text-xs font-bold transition-colors ${fuelSource === id ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
                 >
-                  {oct}
+                  {label}
                 </button>
               ))}
             </div>
           </div>
 
-          <div className="flex items-center justify-between mb-6">
-            <div>
-              <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">Pump Ethanol Content</span>
-              {pumpEthanol > 0 && (
-                <span className="ml-2 text-[10px] font-bold text-amber-500 uppercase tracking-wider">affects calc</span>
+          {fuelSource === 'stations' ? (
+            <div className="mb-6 space-y-4">
+              <div className="flex items-center justify-between">
+                <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">Optimize For</span>
+                <div className="flex rounded-lg border border-slate-200 dark:border-white/10 overflow-hidden">
+                  {[['cheapest', 'Cheapest'], ['fewest_stops', 'Fewest Stops']].map(([id, label]) => (
+                    <button
+                      key={id}
+                      onClick={() => setObjective(id)}
+                      className={`px-4 py-1.5 text-xs font-bold transition-colors ${objective === id ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
+                    >
+                      {label}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              <StationManager stations={stations} onChange={setStations} units={units} />
+              {!showTester && (
+                <button onClick={() => setShowTester(true)} className="flex items-center gap-1.5 text-xs font-bold text-brand-600 dark:text-brand-400 hover:text-brand-500 transition-colors">
+                  <FlaskConical size={13} /> Test a station's E85 content
+                </button>
               )}
             </div>
-            <div className="flex rounded-lg border border-slate-200 dark:border-white/10 overflow-hidden">
-              {[0, 10].map(e => (
-                <button
-                  key={e}
-                  onClick={() => setPumpEthanol(e)}
-                  className={`px-4 py-1.5 text-xs font-bold transition-colors ${pumpEthanol === e ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
-                >
-                  E{e}
-                </button>
-              ))}
+          ) : (
+            <>
+              <div className="flex items-center justify-between mb-4">
+                <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">Pump Octane</span>
+                <div className="flex rounded-lg border border-slate-200 dark:border-white/10 overflow-hidden">
+                  {[91, 93].map(oct => (
+                    <button
+                      key={oct}
+                      onClick={() => setPumpOctane(oct)}
+                      className={`px-4 py-1.5 text-xs font-bold transition-colors ${pumpOctane === oct ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
+                    >
+                      {oct}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between mb-6">
+                <div>
+                  <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">Pump Ethanol Content</span>
+                  {pumpEthanol > 0 && (
+                    <span className="ml-2 text-[10px] font-bold text-amber-500 uppercase tracking-wider">affects calc</span>
+                  )}
+                </div>
+                <div className="flex rounded-lg border border-slate-200 dark:border-white/10 overflow-hidden">
+                  {[0, 10].map(e => (
+                    <button
+                      key={e}
+                      onClick={() => setPumpEthanol(e)}
+                      className={`px-4 py-1.5 text-xs font-bold transition-colors ${pumpEthanol === e ? 'bg-slate-900 dark:bg-brand-500 text-white' : 'bg-white dark:bg-zinc-950 text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900'}`}
+                    >
+                      E{e}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <div className="flex items-center justify-between mb-6">
+                <div>
+                  <span className="text-xs font-bold text-slate-500 dark:text-gray-400 uppercase tracking-wide">E85 Content</span>
+                  <p className="text-[11px] text-slate-400 dark:text-gray-500 mt-0.5">
+                    {lastTest
+                      ? `Tested E${lastTest.ethanol_percent}${lastTest.station ? ` at ${lastTest.station}` : ''} · ${new Date(lastTest.date).toLocaleDateString()}`
+                      : 'Untested — assuming E85'}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  <input
+                    type="number"
+                    value={e85Ethanol}
+                    onChange={e => setE85Ethanol(parseFloat(e.target.value) || '')}
+                    step="1"
+                    className="w-20 bg-slate-50 dark:bg-zinc-950 border border-slate-200 dark:border-white/10 focus:border-brand-400 dark:focus:border-brand-500 rounded-lg px-3 py-1.5 text-slate-900 dark:text-gray-100 text-sm outline-none transition-all"
+                  />
+                  <button
+                    onClick={() => setShowTester(!showTester)}
+                    className="flex items-center gap-1 px-3 py-1.5 rounded-lg border border-slate-200 dark:border-white/10 text-xs font-bold text-slate-500 dark:text-gray-400 hover:bg-slate-50 dark:hover:bg-zinc-900 transition-colors"
+                  >
+                    <FlaskConical size={13} /> Test
+                  </button>
+                </div>
+              </div>
+            </>
+          )}
+
+          {showTester && (
+            <div className="mb-6">
+              <EthanolTester stations={stations} onSaved={handleTestSaved} onClose={() => setShowTester(false)} />
             </div>
-          </div>
+          )}
+
+          {tankState && (
+            <p className="mb-3 text-xs text-slate-400 dark:text-gray-500 flex items-center gap-1.5">
+              <Fuel size={12} /> Current tank prefilled from your fuel log — last fill {new Date(tankState.last_fill_date).toLocaleDateString()}
+              {tankState.burn_per_day != null && `, ~${fromLedger(tankState.burn_per_day, units)} ${unit.label}/day burned since`}
+            </p>
+          )}
 
           <div className="space-y-5">
-            <InputGroup label="Current Fuel in Tank (Gal)" name="currentFuel" value={formData.currentFuel} onChange={handleChange} step="0.1" />
+            <InputGroup label={`Current Fuel in Tank (${UNIT_INPUT_LABELS[units]})`} name="currentFuel" value={formData.currentFuel} onChange={handleChange} step="0.1" />
             <InputGroup label="Current Ethanol %" name="currentE" value={formData.currentE} onChange={handleChange} step="1" />
             <InputGroup label="Target Ethanol %" name="targetE" value={formData.targetE} onChange={handleChange} step="1" />
-            <InputGroup label="Tank Capacity (Gal)" name="tankSize" value={formData.tankSize} onChange={handleChange} step="0.1" />
+            <InputGroup label={`Tank Capacity (${UNIT_INPUT_LABELS[units]})`} name="tankSize" value={formData.tankSize} onChange={handleChange} step="0.1" />
+            <InputGroup label={`Fuel Economy (${units === 'litres' ? 'L/100km' : 'MPG'}, optional)`} name="economy" value={formData.economy} onChange={handleChange} step="0.5" />
           </div>
 
           <button
@@ -142,29 +343,73 @@ const Calculator = () => {
 
           {result ? (
             <div className="flex-1 flex flex-col justify-center space-y-4">
-              {/* E85 card */}
-              <div className="bg-brand-50 dark:bg-brand-500/5 border border-brand-200 dark:border-brand-500/20 p-5 rounded-2xl flex justify-between items-center group hover:border-brand-300 dark:hover:border-brand-500/40 transition-colors">
-                <div>
-                  <p className="text-brand-600 dark:text-brand-400 text-xs uppercase tracking-wider font-bold mb-1">Add E85</p>
-                  <p className="text-3xl font-bold text-brand-600 dark:text-brand-400">
-                    {result.e85Gallons} <span className="text-base text-slate-400 dark:text-gray-500 font-medium">gal</span>
-                  </p>
-                </div>
-                <Droplet size={36} className="text-brand-300 dark:text-brand-500/30 group-hover:text-brand-400 dark:group-hover:text-brand-500/50 transition-colors" />
-              </div>
-
-              {/* Premium card */}
-              <div className="bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/5 p-5 rounded-2xl flex justify-between items-center group hover:border-slate-300 dark:hover:border-white/10 transition-colors">
-                <div>
-                  <p className="text-slate-500 dark:text-gray-400 text-xs uppercase tracking-wider font-bold mb-1">
-                    Add {pumpOctane} Oct {result.pumpEthanol > 0 ? `(E${result.pumpEthanol})` : '(E0)'}
+              {/* Drain first when filling alone can't reach the target */}
+              {result.drainPlan && (
+                <div className="bg-red-50 dark:bg-red-500/5 border border-red-200 dark:border-red-500/20 p-5 rounded-2xl">
+                  <p className="text-red-600 dark:text-red-400 text-xs uppercase tracking-wider font-bold mb-1">Drain First</p>
+                  <p className="text-3xl font-bold text-red-600 dark:text-red-400">
+                    {result.drainPlan.drain_gallons} <span className="text-base text-slate-400 dark:text-gray-500 font-medium">{unit.label}</span>
                   </p>
-                  <p className="text-3xl font-bold text-slate-800 dark:text-gray-100">
-                    {result.pumpGallons} <span className="text-base text-slate-400 dark:text-gray-500 font-medium">gal</span>
+                  <p className="text-xs text-slate-500 dark:text-gray-400 mt-1">
+                    {result.drainPlan.burn_distance != null
+                      ? `or drive ~${result.drainPlan.burn_distance} ${result.drainPlan.distance_unit} · `
+                      : ''}
+                    leaves {result.drainPlan.remaining_gallons} {unit.label} in the tank
                   </p>
                 </div>
-                <Droplet size={36} className="text-slate-300 dark:text-gray-700 group-hover:text-slate-400 dark:group-hover:text-gray-600 transition-colors" />
-              </div>
+              )}
+
+              {result.fills ? (
+                <>
+                  {/* Multi-fuel fills */}
+                  {result.fills.map(fill => (
+                    <div key={fill.fuel_id} className="bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/5 p-5 rounded-2xl flex justify-between items-center group hover:border-slate-300 dark:hover:border-white/10 transition-colors">
+                      <div>
+                        <p className="text-slate-500 dark:text-gray-400 text-xs uppercase tracking-wider font-bold mb-1 flex items-center gap-1.5">
+                          Add {fill.name} (E{fill.ethanol_percent})
+                          {fill.station && <span className="flex items-center gap-0.5 normal-case font-medium"><MapPin size={11} />{fill.station}</span>}
+                        </p>
+                        <p className="text-3xl font-bold text-slate-800 dark:text-gray-100">
+                          {fill.gallons} <span className="text-base text-slate-400 dark:text-gray-500 font-medium">{unit.label}</span>
+                        </p>
+                      </div>
+                      {fill.cost != null && <p className="text-sm font-bold text-slate-500 dark:text-gray-400">${fill.cost.toFixed(2)}</p>}
+                    </div>
+                  ))}
+                  <div className="flex justify-between text-xs font-semibold text-slate-500 dark:text-gray-400 px-1">
+                    <span>{result.stops} stop{result.stops === 1 ? '' : 's'}</span>
+                    {result.totalCost != null && <span>Total ${result.totalCost.toFixed(2)}</span>}
+                  </div>
+                </>
+              ) : (
+                <>
+                  {/* E85 card */}
+                  <div className="bg-brand-50 dark:bg-brand-500/5 border border-brand-200 dark:border-brand-500/20 p-5 rounded-2xl flex justify-between items-center group hover:border-brand-300 dark:hover:border-brand-500/40 transition-colors">
+                    <div>
+                      <p className="text-brand-600 dark:text-brand-400 text-xs uppercase tracking-wider font-bold mb-1">
+                      Add E85 {result.e85Ethanol != null && result.e85Ethanol !== 85 && `(E${result.e85Ethanol})`}
+                    </p>
+                      <p className="text-3xl font-bold text-brand-600 dark:text-brand-400">
+                        {result.e85Gallons} <span className="text-base text-slate-400 dark:text-gray-500 font-medium">{unit.label}</span>
+                      </p>
+                    </div>
+                    <Droplet size={36} className="text-brand-300 dark:text-brand-500/30 group-hover:text-brand-400 dark:group-hover:text-brand-500/50 transition-colors" />
+                  </div>
+
+                  {/* Premium card */}
+                  <div className="bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/5 p-5 rounded-2xl flex justify-between items-center group hover:border-slate-300 dark:hover:border-white/10 transition-colors">
+                    <div>
+                      <p className="text-slate-500 dark:text-gray-400 text-xs uppercase tracking-wider font-bold mb-1">
+                        Add {pumpOctane} Oct {result.pumpEthanol > 0 ? `(E${result.pumpEthanol})` : '(E0)'}
+                      </p>
+                      <p className="text-3xl font-bold text-slate-800 dark:text-gray-100">
+                        {result.pumpGallons} <span className="text-base text-slate-400 dark:text-gray-500 font-medium">{unit.label}</span>
+                      </p>
+                    </div>
+                    <Droplet size={36} className="text-slate-300 dark:text-gray-700 group-hover:text-slate-400 dark:group-hover:text-gray-600 transition-colors" />
+                  </div>
+                </>
+              )}
 
               {/* Resulting blend */}
               <div className="pt-4 border-t border-slate-100 dark:border-white/5 mt-2">
@@ -172,8 +417,45 @@ const Calculator = () => {
                   <Info size={15} /> Estimated Resulting Blend:{' '}
                   <span className="text-slate-900 dark:text-gray-100 font-bold text-lg">E{result.resultingBlend}</span>
                 </p>
+                {result.fuelProperties && (
+                  <>
+                    <div className="grid grid-cols-4 gap-2 mt-4">
+                      {[
+                        ['AKI', result.fuelProperties.aki],
+                        ['RON', result.fuelProperties.ron],
+                        ['Stoich', `${result.fuelProperties.stoich_afr}:1`],
+                        ['Fuel Flow', `+${Math.round((result.fuelProperties.fuel_flow_factor - 1) * 100)}%`],
+                      ].map(([label, value]) => (
+                        <div key={label} className="bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/5 rounded-xl py-2 text-center">
+                          <p className="text-[10px] font-bold text-slate-400 dark:text-gray-500 uppercase tracking-wider">{label}</p>
+                          <p className="text-sm font-bold text-slate-800 dark:text-gray-100">{value}</p>
+                        </div>
+                      ))}
+                    </div>
+                    <p className="text-center text-[11px] text-slate-400 dark:text-gray-500 mt-2">Estimated. Fuel flow is injector/pump demand vs E0 at the same airflow.</p>
+                  </>
+                )}
               </div>
 
+              {/* Drain plan steps */}
+              {result.drainPlan && (
+                <div className="mt-2 bg-slate-50 dark:bg-white/[0.03] border border-slate-200 dark:border-white/5 rounded-2xl p-4">
+                  <p className="text-slate-700 dark:text-gray-200 text-sm font-bold flex items-center gap-2 mb-3">
+                    <ListOrdered size={15} /> Drain &amp; Refill Plan
+                  </p>
+                  <div className="space-y-3">
+                    {result.drainPlan.steps.map(step => (
+                      <div key={step.step} className="flex gap-3 items-start">
+                        <span className="w-5 h-5 rounded-full bg-slate-200 dark:bg-white/10 text-slate-600 dark:text-gray-300 text-xs font-bold flex items-center justify-center shrink-0 mt-0.5">
+                          {step.step}
+                        </span>
+                        <p className="text-slate-600 dark:text-gray-300 text-sm leading-relaxed">{step.note}</p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+
               {/* Precision mode staged fill */}
               {result.precisionModeActive && result.fillSteps && (
                 <div className="mt-2 bg-brand-50 dark:bg-brand-500/5 border border-brand-200 dark:border-brand-500/20 rounded-2xl p-4">
@@ -196,6 +478,17 @@ const Calculator = () => {
                 </div>
               )}
 
+              {/* Fuel ledger */}
+              <button
+                onClick={logFill}
+                disabled={fillLogged}
+                className="flex items-center justify-center gap-2 w-full py-2.5 rounded-xl border border-slate-200 dark:border-white/10 text-sm font-bold text-slate-600 dark:text-gray-300 hover:bg-slate-50 dark:hover:bg-white/[0.03] disabled:opacity-60 disabled:hover:bg-transparent transition-colors"
+              >
+                {fillLogged
+                  ? <><CheckCircle size={15} className="text-green-500" /> Fill-up logged — tank now E{tankState?.ethanol_percent}</>
+                  : <><Fuel size={15} /> I Filled Up — Log It</>}
+              </button>
+
               {/* Warnings */}
               {result.warnings?.length > 0 && (
                 <div className="space-y-2 mt-2">
@@ -216,6 +509,8 @@ const Calculator = () => {
           )}
         </div>
       </div>
+
+      <FuelSystemCheck ethanolPercent={formData.targetE} vehicle={vehicle} onVehicleChange={handleVehicleChange} />
     </div>
   );
 };
@@ -15,6 +15,17 @@ const STATUS_COLOR = {
   Risk:    'text-red-400 bg-red-500/10 border-red-500/20',
 };
 
+// Recent logs bucketed by the garage vehicle they were analyzed with, in order of most recent log
+function groupByVehicle(logs) {
+  const groups = new Map();
+  for (const log of logs) {
+    const key = log.vehicleId ?? '';
+    if (!groups.has(key)) groups.set(key, { key, name: log.vehicle || 'No vehicle', logs: [] });
+    groups.get(key).logs.push(log);
+  }
+  return [...groups.values()];
+}
+
 function formatDate(iso) {
   const d = new Date(iso);
   return d.toLocaleDateString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
@@ -76,27 +87,34 @@ const Dashboard = () => {
                 <p className="text-xs font-medium">No logs analyzed yet.</p>
               </div>
             ) : (
-              <div className="mt-3 flex flex-col gap-2">
-                {recentLogs.map(log => (
-                  <button
-                    key={log.id}
-                    onClick={() => {
-                      const result = getLogResult(log.id);
-                      navigate('/analyzer', result ? { state: { analysis: result } } : {});
-                    }}
-                    className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 dark:bg-zinc-900/40 border border-gray-100 dark:border-zinc-800 hover:border-brand-500/30 transition-colors group text-left w-full"
-                  >
-                    <div className={`flex items-center gap-1 px-2 py-0.5 rounded-full border text-[10px] font-bold uppercase shrink-0 ${STATUS_COLOR[log.status] || STATUS_COLOR.Safe}`}>
-                      {STATUS_ICON[log.status]}
-                      {log.status}
-                    </div>
-                    <div className="flex-1 min-w-0">
-                      <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{log.filename}</p>
-                      <p className="text-xs text-gray-400 dark:text-zinc-500">{log.engine} · E{log.ethanol} · {formatDate(log.date)}</p>
-                    </div>
-                    {log.afr && <p className="text-xs text-gray-400 dark:text-zinc-500 shrink-0">AFR {log.afr}</p>}
-                    <ArrowRight size={14} className="text-gray-300 dark:text-zinc-600 group-hover:text-brand-400 transition-colors shrink-0" />
-                  </button>
+              <div className="mt-3 flex flex-col gap-4">
+                {groupByVehicle(recentLogs).map(group => (
+                  <div key={group.key} className="flex flex-col gap-2">
+                    {recentLogs.some(l => l.vehicleId) && (
+                      <p className="text-[11px] font-semibold uppercase tracking-wide text-gray-400 dark:text-zinc-500 px-1">{group.name}</p>
+                    )}
+                    {group.logs.map(log => (
+                      <button
+                        key={log.id}
+                        onClick={() => {
+                          const result = getLogResult(log.id);
+                          navigate('/analyzer', result ? { state: { analysis: result } } : {});
+                        }}
+                        className="flex items-center gap-3 p-3 rounded-lg bg-gray-50 dark:bg-zinc-900/40 border border-gray-100 dark:border-zinc-800 hover:border-brand-500/30 transition-colors group text-left w-full"
+                      >
+                        <div className={`flex items-center gap-1 px-2 py-0.5 rounded-full border text-[10px] font-bold uppercase shrink-0 ${STATUS_COLOR[log.status] || STATUS_COLOR.Safe}`}>
+                          {STATUS_ICON[log.status]}
+                          {log.status}
+                        </div>
+                        <div className="flex-1 min-w-0">
+                          <p className="text-sm font-medium text-gray-900 dark:text-white truncate">{log.filename}</p>
+                          <p className="text-xs text-gray-400 dark:text-zinc-500">{log.engine} · E{log.ethanol} · {formatDate(log.date)}</p>
+                        </div>
+                        {log.afr && <p className="text-xs text-gray-400 dark:text-zinc-500 shrink-0">AFR {log.afr}</p>}
+                        <ArrowRight size={14} className="text-gray-300 dark:text-zinc-600 group-hover:text-brand-400 transition-colors shrink-0" />
+                      </button>
+                    ))}
+                  </div>
                 ))}
               </div>
             )}
@@ -128,16 +146,27 @@ const Dashboard = () => {
                     <p className="text-xs text-gray-500 dark:text-zinc-400 mt-0.5">{formatDate(activeBlend.date)}</p>
                   </div>
                 </div>
-                <div className="grid grid-cols-2 gap-2 text-xs">
-                  <div className="bg-brand-50 dark:bg-brand-500/5 border border-brand-200 dark:border-brand-500/20 rounded-lg p-2 text-center">
-                    <p className="text-brand-600 dark:text-brand-400 font-bold text-base">{activeBlend.e85Gallons} gal</p>
-                    <p className="text-gray-500 dark:text-zinc-400">E85</p>
+                {activeBlend.fills ? (
+                  <div className="grid grid-cols-2 gap-2 text-xs">
+                    {activeBlend.fills.map(fill => (
+                      <div key={fill.fuel_id} className="bg-gray-50 dark:bg-zinc-900/40 border border-gray-200 dark:border-zinc-800 rounded-lg p-2 text-center">
+                        <p className="text-gray-800 dark:text-white font-bold text-base">{fill.gallons} {activeBlend.volumeLabel ?? 'gal'}</p>
+                        <p className="text-gray-500 dark:text-zinc-400 truncate">{fill.name}{fill.station ? ` · ${fill.station}` : ''}</p>
+                      </div>
+                    ))}
                   </div>
-                  <div className="bg-gray-50 dark:bg-zinc-900/40 border border-gray-200 dark:border-zinc-800 rounded-lg p-2 text-center">
-                    <p className="text-gray-800 dark:text-white font-bold text-base">{activeBlend.pumpGallons} gal</p>
-                    <p className="text-gray-500 dark:text-zinc-400">{activeBlend.pumpOctane ?? 93} Oct</p>
+                ) : (
+                  <div className="grid grid-cols-2 gap-2 text-xs">
+                    <div className="bg-brand-50 dark:bg-brand-500/5 border border-brand-200 dark:border-brand-500/20 rounded-lg p-2 text-center">
+                      <p className="text-brand-600 dark:text-brand-400 font-bold text-base">{activeBlend.e85Gallons} {activeBlend.volumeLabel ?? 'gal'}</p>
+                      <p className="text-gray-500 dark:text-zinc-400">E85</p>
+                    </div>
+                    <div className="bg-gray-50 dark:bg-zinc-900/40 border border-gray-200 dark:border-zinc-800 rounded-lg p-2 text-center">
+                      <p className="text-gray-800 dark:text-white font-bold text-base">{activeBlend.pumpGallons} {activeBlend.volumeLabel ?? 'gal'}</p>
+                      <p className="text-gray-500 dark:text-zinc-400">{activeBlend.pumpOctane ?? 93} Oct</p>
+                    </div>
                   </div>
-                </div>
+                )}
               </div>
             ) : (
               <div className="flex items-center gap-4 mt-2 mb-6">
@@ -1,22 +1,42 @@
 import React, { useState, useEffect } from 'react';
 import { useLocation } from 'react-router-dom';
 import { UploadCloud, Activity, AlertTriangle, CheckCircle, BarChart2, XCircle, Lightbulb, Info } from 'lucide-react';
-import { analyzeLog } from '../utils/logAnalyzer';
-import { saveRecentLog } from '../utils/storage';
-import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine, ReferenceDot } from 'recharts';
+import { analyzeLog } from '../../shared/logAnalyzer';
+import { saveRecentLog, getActiveVehicle, getThresholdProfile, getSettings, saveSetting } from '../utils/storage';
+import { resolveThresholds } from '../../shared/thresholds';
+import { ENGINE_FUEL_SYSTEMS, TUNE_POWER_ESTIMATES } from '../../shared/fuelSystem';
+import VehicleSelector from '../components/VehicleSelector';
+import KnockHeatMap from '../components/KnockHeatMap';
+import LambdaDeviation from '../components/LambdaDeviation';
+import DynoChart from '../components/DynoChart';
+import GearBreakdown from '../components/GearBreakdown';
+import HeatSoakChart from '../components/HeatSoakChart';
+import DataQuality from '../components/DataQuality';
+import { LineChart, Line, XAxis, YAxis, CartesianGrid, Tooltip, ResponsiveContainer, Legend, ReferenceLine, ReferenceDot, ReferenceArea } from 'recharts';
 
 const ETHANOL_OPTIONS = [0, 10, 30, 40, 50, 85];
-const ENGINE_OPTIONS = ['B58 Gen1', 'B58 Gen2', 'S58', 'N55', 'N54', 'Other'];
-const TUNE_OPTIONS = ['Stage 1', 'Stage 2', 'Stage 2+', 'Custom E-tune'];
+const ENGINE_OPTIONS = Object.keys(ENGINE_FUEL_SYSTEMS);
+const TUNE_OPTIONS = Object.keys(TUNE_POWER_ESTIMATES);
+
+// Engine and tune come from the garage vehicle when one is selected
+function vehicleDetails(vehicle) {
+  return vehicle
+    ? { engine: vehicle.engine, tuneStage: vehicle.tune_stage, vehicleId: vehicle.id, vehicleName: vehicle.name }
+    : { vehicleId: null, vehicleName: null };
+}
 
 const LogAnalyzer = () => {
   const location = useLocation();
-  const [carDetails, setCarDetails] = useState({ ethanol: 10, engine: 'B58 Gen1', tuneStage: 'Stage 1' });
+  const [vehicle, setVehicle] = useState(getActiveVehicle);
+  const [carDetails, setCarDetails] = useState(() => ({ ethanol: 10, engine: 'B58 Gen1', tuneStage: 'Stage 1', ...vehicleDetails(getActiveVehicle()) }));
   const [dragActive, setDragActive] = useState(false);
   const [loading, setLoading] = useState(false);
   const [analysis, setAnalysis] = useState(null);
+  const [selectedPull, setSelectedPull] = useState(null);
   const [error, setError] = useState(null);
   const unitPref = localStorage.getItem('ethos_units') || 'US';
+  const formatTemp = (f) => `${Math.round(unitPref === 'US' ? f : (f - 32) * 5 / 9)}°${unitPref === 'US' ? 'F' : 'C'}`;
+  const [mixtureUnit, setMixtureUnit] = useState(() => getSettings().mixtureUnit);
 
   useEffect(() => {
     if (location.state?.analysis) {
@@ -24,6 +44,11 @@ const LogAnalyzer = () => {
     }
   }, []);
 
+  const handleVehicleChange = (v) => {
+    setVehicle(v);
+    setCarDetails(prev => ({ ...prev, ...vehicleDetails(v) }));
+  };
+
   const handleDrag = (e) => {
     e.preventDefault();
     e.stopPropagation();
@@ -46,10 +71,11 @@ const LogAnalyzer = () => {
     setLoading(true);
     setError(null);
     setAnalysis(null);
+    setSelectedPull(null);
     const reader = new FileReader();
     reader.onload = (e) => {
       try {
-        const result = analyzeLog(e.target.result, file.name, carDetails);
+        const result = analyzeLog(e.target.result, file.name, { ...carDetails, units: unitPref, thresholds: getThresholdProfile(vehicle), chassis: vehicle?.chassis });
         saveRecentLog(result);
         setAnalysis(result);
       } catch (err) {
@@ -65,7 +91,18 @@ const LogAnalyzer = () => {
     reader.readAsText(file);
   };
 
-  const reset = () => { setAnalysis(null); setError(null); };
+  const reset = () => { setAnalysis(null); setSelectedPull(null); setError(null); };
+
+  // Metric boxes and chart follow the selected pull; null = whole session
+  const pulls = analysis?.pulls ?? [];
+  const scope = (selectedPull !== null && pulls[selectedPull]) || analysis;
+  // Results saved before lambda grading have no lambda values to show
+  const showLambda = mixtureUnit === 'Lambda' && scope?.metrics.afr.lambda !== undefined;
+
+  const changeMixtureUnit = (unit) => {
+    saveSetting('mixtureUnit', unit);
+    setMixtureUnit(unit);
+  };
 
   const getStatusColor = (status) => {
     switch (status) {
@@ -133,8 +170,14 @@ const LogAnalyzer = () => {
         {analysis && (
           <div className="flex items-center gap-3 animate-fade-in">
             <span className="text-xs font-medium text-gray-400 dark:text-gray-400 bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 px-3 py-1.5 rounded-md">
+              {analysis.carDetails?.vehicleName && `${analysis.carDetails.vehicleName} · `}
               {analysis.carDetails?.engine || 'B58'} · E{analysis.carDetails?.ethanol ?? 10} · {analysis.carDetails?.tuneStage || 'Stage 1'}
             </span>
+            {analysis.thresholds && (
+              <span className="text-xs font-medium text-gray-400 dark:text-gray-400 bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 px-3 py-1.5 rounded-md">
+                {analysis.thresholds.name} limits
+              </span>
+            )}
             <div className={`px-4 py-1.5 rounded-md border flex items-center gap-2 text-xs font-bold uppercase tracking-wider ${getStatusColor(analysis.status)}`}>
               {getStatusIcon(analysis.status)}
               {analysis.status}
@@ -149,45 +192,54 @@ const LogAnalyzer = () => {
           <div className="lg:col-span-1 bg-white dark:bg-surface-200 border border-gray-200 dark:border-white/5 rounded-xl p-6 shadow-sm dark:shadow-none h-fit">
             <h3 className="text-xs font-bold text-gray-400 dark:text-gray-400 uppercase tracking-wider mb-5">Vehicle Profile</h3>
             <div className="space-y-5">
-              <div>
-                <div className="flex items-center gap-1.5 mb-1.5">
-                  <label className="block text-xs font-semibold text-gray-400 dark:text-gray-400 uppercase tracking-wide">Engine</label>
-                  <div className="group relative flex items-center">
-                    <Info size={14} className="text-gray-400 dark:text-gray-500 cursor-help hover:text-brand-500 transition-colors" />
-                    <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-48 p-2 bg-gray-900 dark:bg-white text-white dark:text-gray-900 text-[10px] leading-tight rounded-md opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10 shadow-lg text-center font-medium">
-                      Different engines have varying heat tolerances and HPFP capacities. This sets the baseline for the analysis.
-                      <div className="absolute left-1/2 -translate-x-1/2 top-full w-0 h-0 border-l-[4px] border-r-[4px] border-t-[4px] border-transparent border-t-gray-900 dark:border-t-white"></div>
+              <VehicleSelector vehicle={vehicle} onChange={handleVehicleChange} />
+              <p className="text-xs text-gray-400 dark:text-gray-500 -mt-2">
+                Graded against <span className="font-semibold text-gray-600 dark:text-gray-300">{resolveThresholds(getThresholdProfile(vehicle)).name}</span> thresholds — edit them in Settings.
+              </p>
+
+              {!vehicle && (
+                <>
+                  <div>
+                    <div className="flex items-center gap-1.5 mb-1.5">
+                      <label className="block text-xs font-semibold text-gray-400 dark:text-gray-400 uppercase tracking-wide">Engine</label>
+                      <div className="group relative flex items-center">
+                        <Info size={14} className="text-gray-400 dark:text-gray-500 cursor-help hover:text-brand-500 transition-colors" />
+                        <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-48 p-2 bg-gray-900 dark:bg-white text-white dark:text-gray-900 text-[10px] leading-tight rounded-md opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10 shadow-lg text-center font-medium">
+                          Different engines have varying heat tolerances and HPFP capacities. This sets the baseline for the analysis.
+                          <div className="absolute left-1/2 -translate-x-1/2 top-full w-0 h-0 border-l-[4px] border-r-[4px] border-t-[4px] border-transparent border-t-gray-900 dark:border-t-white"></div>
+                        </div>
+                      </div>
                     </div>
+                    <select
+                      value={carDetails.engine}
+                      onChange={e => setCarDetails(prev => ({ ...prev, engine: e.target.value }))}
+                      className="w-full bg-gray-50 dark:bg-surface-300 border border-gray-300 dark:border-white/10 focus:border-brand-500 rounded-lg px-3 py-2 text-gray-800 dark:text-gray-200 text-sm outline-none transition-colors"
+                    >
+                      {ENGINE_OPTIONS.map(o => <option key={o}>{o}</option>)}
+                    </select>
                   </div>
-                </div>
-                <select
-                  value={carDetails.engine}
-                  onChange={e => setCarDetails(prev => ({ ...prev, engine: e.target.value }))}
-                  className="w-full bg-gray-50 dark:bg-surface-300 border border-gray-300 dark:border-white/10 focus:border-brand-500 rounded-lg px-3 py-2 text-gray-800 dark:text-gray-200 text-sm outline-none transition-colors"
-                >
-                  {ENGINE_OPTIONS.map(o => <option key={o}>{o}</option>)}
-                </select>
-              </div>
 
-              <div>
-                <div className="flex items-center gap-1.5 mb-1.5">
-                  <label className="block text-xs font-semibold text-gray-400 dark:text-gray-400 uppercase tracking-wide">Tune Stage</label>
-                  <div className="group relative flex items-center">
-                    <Info size={14} className="text-gray-400 dark:text-gray-500 cursor-help hover:text-brand-500 transition-colors" />
-                    <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-48 p-2 bg-gray-900 dark:bg-white text-white dark:text-gray-900 text-[10px] leading-tight rounded-md opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10 shadow-lg text-center font-medium">
-                      Higher stages push boost targets further, so the analyzer expects higher engine load and adjusted scaling.
-                      <div className="absolute left-1/2 -translate-x-1/2 top-full w-0 h-0 border-l-[4px] border-r-[4px] border-t-[4px] border-transparent border-t-gray-900 dark:border-t-white"></div>
+                  <div>
+                    <div className="flex items-center gap-1.5 mb-1.5">
+                      <label className="block text-xs font-semibold text-gray-400 dark:text-gray-400 uppercase tracking-wide">Tune Stage</label>
+                      <div className="group relative flex items-center">
+                        <Info size={14} className="text-gray-400 dark:text-gray-500 cursor-help hover:text-brand-500 transition-colors" />
+                        <div className="absolute left-1/2 -translate-x-1/2 bottom-full mb-2 w-48 p-2 bg-gray-900 dark:bg-white text-white dark:text-gray-900 text-[10px] leading-tight rounded-md opacity-0 group-hover:opacity-100 transition-opacity pointer-events-none z-10 shadow-lg text-center font-medium">
+                          Higher stages push boost targets further, so the analyzer expects higher engine load and adjusted scaling.
+                          <div className="absolute left-1/2 -translate-x-1/2 top-full w-0 h-0 border-l-[4px] border-r-[4px] border-t-[4px] border-transparent border-t-gray-900 dark:border-t-white"></div>
+                        </div>
+                      </div>
                     </div>
+                    <select
+                      value={carDetails.tuneStage}
+                      onChange={e => setCarDetails(prev => ({ ...prev, tuneStage: e.target.value }))}
+                      className="w-full bg-gray-50 dark:bg-surface-300 border border-gray-300 dark:border-white/10 focus:border-brand-500 rounded-lg px-3 py-2 text-gray-800 dark:text-gray-200 text-sm outline-none transition-colors"
+                    >
+                      {TUNE_OPTIONS.map(o => <option key={o}>{o}</option>)}
+                    </select>
                   </div>
-                </div>
-                <select
-                  value={carDetails.tuneStage}
-                  onChange={e => setCarDetails(prev => ({ ...prev, tuneStage: e.target.value }))}
-                  className="w-full bg-gray-50 dark:bg-surface-300 border border-gray-300 dark:border-white/10 focus:border-brand-500 rounded-lg px-3 py-2 text-gray-800 dark:text-gray-200 text-sm outline-none transition-colors"
-                >
-                  {TUNE_OPTIONS.map(o => <option key={o}>{o}</option>)}
-                </select>
-              </div>
+                </>
+              )}
 
               <div>
                 <div className="flex items-center gap-1.5 mb-1.5">
@@ -285,40 +337,150 @@ const LogAnalyzer = () => {
             </div>
           )}
 
+          {/* Pull picker */}
+          {pulls.length > 0 && (
+            <div className="flex flex-wrap items-center gap-2">
+              <span className="text-xs font-bold text-gray-400 dark:text-gray-400 uppercase tracking-wider mr-1">Scope</span>
+              <button
+                onClick={() => setSelectedPull(null)}
+                className={`px-3 py-1.5 rounded-md text-xs font-bold transition-all
+                  ${selectedPull === null
+                    ? 'bg-slate-900 dark:bg-brand-500 text-white dark:text-slate-900 shadow-md'
+                    : 'bg-gray-50 dark:bg-surface-300 border border-gray-300 dark:border-white/10 text-gray-600 dark:text-gray-400 hover:border-brand-500/50 hover:text-gray-900 dark:hover:text-gray-200'
+                  }`}
+              >
+                Full Session
+              </button>
+              {pulls.map((pull, i) => (
+                <button
+                  key={pull.id}
+                  onClick={() => setSelectedPull(i)}
+                  title={pull.notes.join(' ') || 'No issues in this pull.'}
+                  className={`flex items-center gap-1.5 px-3 py-1.5 rounded-md text-xs font-bold transition-all
+                    ${selectedPull === i
+                      ? 'bg-slate-900 dark:bg-brand-500 text-white dark:text-slate-900 shadow-md'
+                      : 'bg-gray-50 dark:bg-surface-300 border border-gray-300 dark:border-white/10 text-gray-600 dark:text-gray-400 hover:border-brand-500/50 hover:text-gray-900 dark:hover:text-gray-200'
+                    }`}
+                >
+                  <span className={`w-2 h-2 rounded-full ${pull.status === 'Risk' ? 'bg-red-500' : pull.status === 'Caution' ? 'bg-yellow-500' : 'bg-green-500'}`} />
+                  Pull {pull.id}
+                  <span className="font-medium opacity-70">
+                    {pull.start_time != null ? `${pull.start_time}s` : `row ${pull.start_row}`}
+                    {pull.rpm_min != null && ` · ${pull.rpm_min}–${pull.rpm_max} rpm`}
+                    {pull.gears?.length > 0 && ` · G${pull.gears.join('/')}`}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+
           {/* Metric boxes */}
           <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
             <MetricBox
-              title="AFR (Air/Fuel)"
-              value={analysis.metrics.afr.actual ?? '—'}
-              target={analysis.metrics.afr.target ? `Target: ${analysis.metrics.afr.target}` : 'WOT avg'}
-              status={analysis.metrics.afr.status}
+              title={showLambda ? 'Lambda (λ)' : 'AFR (Air/Fuel)'}
+              value={(showLambda ? scope.metrics.afr.lambda : scope.metrics.afr.actual) ?? '—'}
+              target={
+                (showLambda ? scope.metrics.afr.target_lambda : scope.metrics.afr.target)
+                  ? `Target: ${showLambda ? scope.metrics.afr.target_lambda : scope.metrics.afr.target}`
+                  : scope.metrics.afr.stoich ? `WOT avg · stoich ${scope.metrics.afr.stoich}:1` : 'WOT avg'
+              }
+              status={scope.metrics.afr.status}
             />
             <MetricBox
               title="HPFP"
-              value={analysis.metrics.hpfp.actual != null ? `${analysis.metrics.hpfp.actual} psi` : '—'}
+              value={scope.metrics.hpfp.actual != null ? `${scope.metrics.hpfp.actual} psi` : '—'}
               target={
-                analysis.metrics.hpfp.status !== 'Safe' && analysis.metrics.hpfp.avgActual != null
-                  ? `Worst drop · avg ${analysis.metrics.hpfp.avgActual} psi`
-                  : analysis.metrics.hpfp.target != null ? `Target: ${analysis.metrics.hpfp.target} psi` : 'No data'
+                scope.metrics.hpfp.status !== 'Safe' && scope.metrics.hpfp.avgActual != null
+                  ? `Worst drop · avg ${scope.metrics.hpfp.avgActual} psi`
+                  : scope.metrics.hpfp.target != null ? `Target: ${scope.metrics.hpfp.target} psi` : 'No data'
               }
-              status={analysis.metrics.hpfp.status}
+              status={scope.metrics.hpfp.status}
             />
+            {scope.metrics.lpfp && (
+              <MetricBox
+                title="LPFP"
+                value={scope.metrics.lpfp.actual != null ? `${scope.metrics.lpfp.actual} psi` : '—'}
+                target={
+                  scope.metrics.lpfp.actual == null ? 'No data'
+                    : scope.metrics.lpfp.status !== 'Safe' ? `Worst sag · ${scope.metrics.lpfp.max_sag_pct}%${scope.metrics.lpfp.max_duty != null ? ` · duty ${scope.metrics.lpfp.max_duty}%` : ''}`
+                      : `Target: ${scope.metrics.lpfp.target} psi`
+                }
+                status={scope.metrics.lpfp.status}
+              />
+            )}
+            {scope.metrics.fuelTrims && (
+              <MetricBox
+                title="Fuel Trims"
+                value={scope.metrics.fuelTrims.combined_mean != null
+                  ? `${scope.metrics.fuelTrims.combined_mean > 0 ? '+' : ''}${scope.metrics.fuelTrims.combined_mean}%`
+                  : '—'}
+                target={scope.metrics.fuelTrims.implied_ethanol != null
+                  ? `Implies ~E${scope.metrics.fuelTrims.implied_ethanol} (entered E${scope.metrics.fuelTrims.entered_ethanol})`
+                  : 'No data'}
+                status={scope.metrics.fuelTrims.status}
+              />
+            )}
             <MetricBox
               title="Intake Air Temp"
-              value={analysis.metrics.iat.peak_f != null
-                ? `${Math.round(unitPref === 'Metric' ? (analysis.metrics.iat.peak_f - 32) * 5 / 9 : analysis.metrics.iat.peak_f)}°${unitPref === 'Metric' ? 'C' : 'F'}`
-                : '—'}
+              value={scope.metrics.iat.peak_f != null ? formatTemp(scope.metrics.iat.peak_f) : '—'}
               target="Peak value"
-              status={analysis.metrics.iat.status}
+              status={scope.metrics.iat.status}
             />
+            {(scope.metrics.engineTemps?.oil || scope.metrics.engineTemps?.coolant || scope.metrics.engineTemps?.trans) && (
+              <MetricBox
+                title="Engine Temps"
+                value={formatTemp((scope.metrics.engineTemps.oil ?? scope.metrics.engineTemps.coolant ?? scope.metrics.engineTemps.trans).peak_f)}
+                target={scope.metrics.engineTemps.cold_pulls.length > 0
+                  ? `Pull ${scope.metrics.engineTemps.cold_pulls.map(p => p.pull).join(', ')} started cold`
+                  : [['Oil', 'oil'], ['Coolant', 'coolant'], ['Trans', 'trans']]
+                    .filter(([, key]) => scope.metrics.engineTemps[key])
+                    .map(([label, key]) => `${label} ${formatTemp(scope.metrics.engineTemps[key].peak_f)}`)
+                    .join(' · ')}
+                status={scope.metrics.engineTemps.status}
+              />
+            )}
+            {(scope.metrics.enrichment?.stretches.length > 0 || scope.metrics.enrichment?.peak_egt_f != null) && (
+              <MetricBox
+                title="Enrichment"
+                value={scope.metrics.enrichment.longest
+                  ? (scope.metrics.enrichment.total_seconds != null ? `${scope.metrics.enrichment.total_seconds}s rich` : `${scope.metrics.enrichment.longest.rows} rows rich`)
+                  : 'None'}
+                target={[
+                  scope.metrics.enrichment.longest && `λ ${scope.metrics.enrichment.longest.min_lambda}${scope.metrics.enrichment.longest.target_lambda != null ? ` vs ${scope.metrics.enrichment.longest.target_lambda}` : ''}`,
+                  scope.metrics.enrichment.peak_egt_f != null && `EGT ${formatTemp(scope.metrics.enrichment.peak_egt_f)}`,
+                  scope.metrics.enrichment.peak_cat_f != null && `Cat ${formatTemp(scope.metrics.enrichment.peak_cat_f)}`,
+                ].filter(Boolean).join(' · ')}
+                status={scope.metrics.enrichment.status}
+              />
+            )}
+            {scope.metrics.boost && (
+              <MetricBox
+                title="Boost"
+                value={scope.metrics.boost.actual != null ? `${scope.metrics.boost.actual} psi` : '—'}
+                target={scope.metrics.boost.target != null
+                  ? `Target: ${scope.metrics.boost.target} psi${scope.metrics.boost.max_over_psi > 0 ? ` · +${scope.metrics.boost.max_over_psi} over` : ''}`
+                  : 'Peak value'}
+                status={scope.metrics.boost.status}
+              />
+            )}
             <MetricBox
               title="Timing Corrections"
-              value={analysis.metrics.timingCorrections.max_correction != null
-                ? `${analysis.metrics.timingCorrections.max_correction}°`
+              value={scope.metrics.timingCorrections.max_correction != null
+                ? `${scope.metrics.timingCorrections.max_correction}°`
                 : '—'}
-              target={analysis.metrics.timingCorrections.cylinders}
-              status={analysis.metrics.timingCorrections.status}
+              target={scope.metrics.timingCorrections.cylinders}
+              status={scope.metrics.timingCorrections.status}
             />
+            {scope.metrics.misfires?.per_cylinder.length > 0 && (
+              <MetricBox
+                title="Misfires"
+                value={scope.metrics.misfires.load_total}
+                target={scope.metrics.misfires.cause
+                  ? `Under load · cyl ${scope.metrics.misfires.per_cylinder.filter(c => c.load_events > 0).map(c => c.cylinder).join(', ')} · ${scope.metrics.misfires.cause === 'ignition' ? 'likely spark' : 'likely fueling'}`
+                  : `Under load · ${scope.metrics.misfires.total} total`}
+                status={scope.metrics.misfires.status}
+              />
+            )}
           </div>
 
           <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
@@ -345,17 +507,30 @@ const LogAnalyzer = () => {
               <div className="flex items-center justify-between mb-6">
                 <h2 className="text-sm font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2 uppercase tracking-wide">
                   <BarChart2 className="text-brand-400" size={18} />
-                  Telemetry Graph (AFR & Boost)
+                  Telemetry Graph ({showLambda ? 'Lambda' : 'AFR'} & Boost)
                 </h2>
-                <button onClick={reset} className="text-xs font-medium text-brand-400 hover:text-brand-300 bg-brand-500/10 hover:bg-brand-500/20 px-3 py-1.5 rounded-md transition-colors">
-                  Upload New Log
-                </button>
+                <div className="flex items-center gap-2">
+                  <div className="flex bg-gray-100 dark:bg-black/40 rounded-md p-0.5 border border-gray-200 dark:border-white/5">
+                    {['AFR', 'Lambda'].map(unit => (
+                      <button
+                        key={unit}
+                        onClick={() => changeMixtureUnit(unit)}
+                        className={`px-2.5 py-1 text-[11px] font-semibold rounded transition-colors ${mixtureUnit === unit ? 'bg-white dark:bg-surface-300 text-gray-900 dark:text-white shadow-sm' : 'text-gray-500 hover:text-gray-700 dark:text-zinc-400 dark:hover:text-white'}`}
+                      >
+                        {unit === 'Lambda' ? 'λ' : unit}
+                      </button>
+                    ))}
+                  </div>
+                  <button onClick={reset} className="text-xs font-medium text-brand-400 hover:text-brand-300 bg-brand-500/10 hover:bg-brand-500/20 px-3 py-1.5 rounded-md transition-colors">
+                    Upload New Log
+                  </button>
+                </div>
               </div>
 
               {/* Event marker legend */}
-              {(analysis.metrics.afr.lean_events > 0 || analysis.metrics.hpfp.status !== 'Safe' || analysis.metrics.timingCorrections.status !== 'Safe') && (
+              {(scope.metrics.afr.lean_events > 0 || scope.metrics.hpfp.status !== 'Safe' || scope.metrics.timingCorrections.status !== 'Safe' || scope.metrics.boost?.overboost_events > 0 || scope.metrics.throttleClosure?.events.length > 0) && (
                 <div className="flex flex-wrap gap-3 mb-3 text-[11px] font-medium">
-                  {analysis.metrics.afr.lean_events > 0 && (
+                  {scope.metrics.afr.lean_events > 0 && (
                     <span className="flex items-center gap-1.5 text-red-400">
                       <span className="relative flex w-3 h-3">
                         <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-50" />
@@ -364,7 +539,7 @@ const LogAnalyzer = () => {
                       Lean warning
                     </span>
                   )}
-                  {analysis.metrics.hpfp.status !== 'Safe' && (
+                  {scope.metrics.hpfp.status !== 'Safe' && (
                     <span className="flex items-center gap-1.5 text-orange-400">
                       <span className="relative flex w-3 h-3">
                         <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-orange-400 opacity-50" />
@@ -373,18 +548,30 @@ const LogAnalyzer = () => {
                       HPFP drop
                     </span>
                   )}
-                  {analysis.metrics.timingCorrections.status !== 'Safe' && (
+                  {scope.metrics.timingCorrections.status !== 'Safe' && (
                     <span className="flex items-center gap-1.5 text-yellow-400">
                       <span className="inline-flex rounded-full w-3 h-3 bg-yellow-500" />
                       Timing pull
                     </span>
                   )}
+                  {scope.metrics.boost?.overboost_events > 0 && (
+                    <span className="flex items-center gap-1.5 text-blue-400">
+                      <span className="inline-flex rounded-full w-3 h-3 bg-blue-500" />
+                      Overboost
+                    </span>
+                  )}
+                  {scope.metrics.throttleClosure?.events.length > 0 && (
+                    <span className="flex items-center gap-1.5 text-pink-400">
+                      <span className="inline-flex rounded-full w-3 h-3 bg-pink-500" />
+                      Throttle closure
+                    </span>
+                  )}
                 </div>
               )}
 
               <div className="h-[350px] w-full bg-gray-50/50 dark:bg-surface-300/30 rounded-lg p-2 border border-gray-200 dark:border-white/5">
                 <ResponsiveContainer width="100%" height="100%">
-                  <LineChart data={analysis.chartData} margin={{ top: 10, right: 55, left: -20, bottom: 0 }}>
+                  <LineChart data={scope.chartData} margin={{ top: 10, right: 55, left: -20, bottom: 0 }}>
                     <CartesianGrid strokeDasharray="3 3" stroke="#27272A" vertical={false} />
                     <XAxis dataKey="time" stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} />
                     <YAxis yAxisId="left" stroke="#71717A" tick={{ fontSize: 11 }} tickLine={false} axisLine={false} domain={['auto', 'auto']} />
@@ -396,15 +583,32 @@ const LogAnalyzer = () => {
                       formatter={(value, name) => name.startsWith('HPFP') ? [`${value} psi`, name] : [value, name]}
                     />
                     <Legend iconType="circle" wrapperStyle={{ fontSize: '12px', paddingTop: '10px' }} />
-                    <Line yAxisId="left" type="monotone" dataKey="afrActual" stroke="#14b8a6" name="AFR Actual" strokeWidth={2} dot={AfrWarningDot} connectNulls={false} />
-                    <Line yAxisId="left" type="monotone" dataKey="afrTarget" stroke="#f43f5e" name="AFR Target" strokeWidth={2} strokeDasharray="4 4" dot={false} connectNulls={false} />
+
+                    {/* Gear band — one shaded span per stretch in the same gear */}
+                    {scope.chartData.reduce((acc, pt, i, arr) => {
+                      if (pt.gear === undefined) return acc;
+                      if (i > 0 && arr[i - 1].gear === pt.gear) acc[acc.length - 1].x2 = pt.time;
+                      else acc.push({ gear: pt.gear, x1: pt.time, x2: pt.time });
+                      return acc;
+                    }, []).map((band, i) => (
+                      <ReferenceArea key={`gear-${band.x1}`} x1={band.x1} x2={band.x2} yAxisId="left"
+                        fill="#71717A" fillOpacity={i % 2 ? 0.1 : 0.05} strokeOpacity={0}
+                        label={{ value: `G${band.gear}`, fill: '#71717A', fontSize: 9, fontWeight: 700, position: 'insideBottom' }}
+                      />
+                    ))}
+
+                    <Line yAxisId="left" type="monotone" dataKey={showLambda ? 'lambdaActual' : 'afrActual'} stroke="#14b8a6" name={showLambda ? 'Lambda Actual' : 'AFR Actual'} strokeWidth={2} dot={AfrWarningDot} connectNulls={false} />
+                    <Line yAxisId="left" type="monotone" dataKey={showLambda ? 'lambdaTarget' : 'afrTarget'} stroke="#f43f5e" name={showLambda ? 'Lambda Target' : 'AFR Target'} strokeWidth={2} strokeDasharray="4 4" dot={false} connectNulls={false} />
                     <Line yAxisId="boost" type="monotone" dataKey="boost" stroke="#3b82f6" name="Boost (psi)" strokeWidth={2} dot={BoostWarningDot} connectNulls={false} />
+                    {analysis.detectedColumns?.boost_target && (
+                      <Line yAxisId="boost" type="monotone" dataKey="boostTarget" stroke="#93c5fd" name="Boost Target" strokeWidth={1.5} strokeDasharray="4 4" dot={false} connectNulls={false} />
+                    )}
                     <Line yAxisId="hpfp" type="monotone" dataKey="hpfpActual" stroke="#a855f7" name="HPFP Actual" strokeWidth={1.5} dot={false} connectNulls={false} />
                     <Line yAxisId="hpfp" type="monotone" dataKey="hpfpTarget" stroke="#d8b4fe" name="HPFP Target" strokeWidth={1.5} strokeDasharray="4 4" dot={false} connectNulls={false} />
 
                     {/* Single worst HPFP drop — one vertical line + one dot */}
                     {(() => {
-                      const pt = analysis.chartData.find(p => p.isHpfpWarning);
+                      const pt = scope.chartData.find(p => p.isHpfpWarning);
                       if (!pt) return null;
                       return <>
                         <ReferenceLine x={pt.time} yAxisId="boost"
@@ -420,7 +624,7 @@ const LogAnalyzer = () => {
                     })()}
 
                     {/* Lean AFR markers */}
-                    {analysis.chartData.reduce((acc, pt, i, arr) => {
+                    {scope.chartData.reduce((acc, pt, i, arr) => {
                       if (pt.isLeanWarning && (i === 0 || !arr[i - 1].isLeanWarning)) acc.push(pt.time);
                       return acc;
                     }, []).map(t => (
@@ -431,7 +635,7 @@ const LogAnalyzer = () => {
                     ))}
 
                     {/* Timing pull markers */}
-                    {analysis.chartData.reduce((acc, pt, i, arr) => {
+                    {scope.chartData.reduce((acc, pt, i, arr) => {
                       if (pt.isTimingWarning && (i === 0 || !arr[i - 1].isTimingWarning)) acc.push(pt.time);
                       return acc;
                     }, []).map(t => (
@@ -440,11 +644,63 @@ const LogAnalyzer = () => {
                         label={{ value: 'Pull', fill: '#eab308', fontSize: 9, fontWeight: 700, position: 'insideTopLeft', dy: -2 }}
                       />
                     ))}
+
+                    {/* Overboost markers */}
+                    {scope.chartData.reduce((acc, pt, i, arr) => {
+                      if (pt.isOverboostWarning && (i === 0 || !arr[i - 1].isOverboostWarning)) acc.push(pt.time);
+                      return acc;
+                    }, []).map(t => (
+                      <ReferenceLine key={`overboost-${t}`} x={t} yAxisId="boost"
+                        stroke="#3b82f6" strokeWidth={1.5} strokeOpacity={0.75} strokeDasharray="4 3"
+                        label={{ value: 'Overboost', fill: '#3b82f6', fontSize: 9, fontWeight: 700, position: 'insideTopLeft', dy: -2 }}
+                      />
+                    ))}
+
+                    {/* Throttle closure markers */}
+                    {scope.chartData.reduce((acc, pt, i, arr) => {
+                      if (pt.isThrottleClosure && (i === 0 || !arr[i - 1].isThrottleClosure)) acc.push(pt.time);
+                      return acc;
+                    }, []).map(t => (
+                      <ReferenceLine key={`throttle-${t}`} x={t} yAxisId="boost"
+                        stroke="#ec4899" strokeWidth={1.5} strokeOpacity={0.75} strokeDasharray="4 3"
+                        label={{ value: 'Throttle', fill: '#ec4899', fontSize: 9, fontWeight: 700, position: 'insideTopLeft', dy: -2 }}
+                      />
+                    ))}
                   </LineChart>
                 </ResponsiveContainer>
               </div>
             </div>
           </div>
+        {/* Lambda vs target */}
+        {scope.metrics.lambdaDeviation?.samples > 0 && (
+          <LambdaDeviation deviation={scope.metrics.lambdaDeviation} />
+        )}
+
+        {/* Per-gear breakdown */}
+        {analysis.gears?.breakdown.length > 0 && (
+          <GearBreakdown gears={analysis.gears} showLambda={showLambda} />
+        )}
+
+        {/* IAT pull to pull */}
+        {analysis.heatSoak?.pulls.length > 1 && (
+          <HeatSoakChart heatSoak={analysis.heatSoak} metric={unitPref !== 'US'} />
+        )}
+
+        {/* Dyno-style power curves */}
+        {analysis.power && (
+          <DynoChart pulls={pulls} selected={selectedPull} defaultChassis={analysis.power.default_chassis} />
+        )}
+
+        {/* Per-cylinder knock */}
+        {scope.metrics.timingCorrections.heat_map && (
+          <KnockHeatMap timing={scope.metrics.timingCorrections} />
+        )}
+
+        {/* Glitched samples dropped before grading */}
+        {analysis.data_quality && analysis.data_quality.status !== 'Safe' && (
+          <DataQuality report={analysis.data_quality} />
+        )}
+
         {/* Detected Columns debug panel */}
         {analysis.detectedColumns && (
           <details className="mt-2">
@@ -453,7 +709,7 @@ const LogAnalyzer = () => {
             </summary>
             <div className="mt-2 grid grid-cols-2 sm:grid-cols-3 gap-1.5 text-[11px] font-mono">
               {Object.entries(analysis.detectedColumns)
-                .filter(([k]) => !['boostUnit', 'timingColumns'].includes(k))
+                .filter(([k]) => !['boostUnit', 'timingColumns', 'misfireColumns'].includes(k))
                 .map(([k, v]) => (
                   <div key={k} className={`px-2 py-1 rounded border ${v ? 'bg-green-50 dark:bg-green-500/5 border-green-200 dark:border-green-500/20 text-green-700 dark:text-green-400' : 'bg-gray-50 dark:bg-zinc-900/40 border-gray-200 dark:border-zinc-800 text-gray-400 dark:text-zinc-600'}`}>
                     <span className="font-bold">{k}:</span> {v ?? '—'}
@@ -464,6 +720,11 @@ const LogAnalyzer = () => {
                   <span className="font-bold">timing:</span> {analysis.detectedColumns.timingColumns.join(', ')}
                 </div>
               )}
+              {analysis.detectedColumns.misfireColumns?.length > 0 && (
+                <div className="col-span-full px-2 py-1 rounded border bg-green-50 dark:bg-green-500/5 border-green-200 dark:border-green-500/20 text-green-700 dark:text-green-400">
+                  <span className="font-bold">misfire:</span> {analysis.detectedColumns.misfireColumns.join(', ')}
+                </div>
+              )}
             </div>
           </details>
         )}
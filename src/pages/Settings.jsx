@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { Settings, User, Bell, Shield, Key, Database, Smartphone, Info } from 'lucide-react';
+import { Settings, User, Bell, Shield, Key, Database, Smartphone, Info, Gauge } from 'lucide-react';
 import { getSettings, saveSetting } from '../utils/storage';
+import ThresholdEditor from '../components/ThresholdEditor';
 
 const SettingsPage = () => {
   const [activeTab, setActiveTab] = useState('account');
@@ -26,6 +27,7 @@ const SettingsPage = () => {
   const tabs = [
     { id: 'account',      label: 'Account Profile', icon: User },
     { id: 'preferences',  label: 'Preferences',     icon: Settings },
+    { id: 'thresholds',   label: 'Safety Thresholds', icon: Gauge },
     { id: 'notifications', label: 'Notifications',  icon: Bell },
     { id: 'security',     label: 'Security',        icon: Shield },
     { id: 'integrations', label: 'Integrations',    icon: Database },
@@ -229,7 +231,7 @@ const SettingsPage = () => {
                   <div className="flex items-center justify-between">
                     <div>
                       <h4 className="text-sm font-semibold text-gray-800 dark:text-gray-200">Measurement Units</h4>
-                      <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">Choose between Imperial and Metric system defaults.</p>
+                      <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">US, UK imperial or metric defaults for temperatures and fuel volumes.</p>
                     </div>
                     <div className="flex bg-gray-200 dark:bg-black/40 rounded-lg p-1 border border-gray-300 dark:border-white/5">
                       <button
@@ -244,6 +246,32 @@ const SettingsPage = () => {
                       >
                         Metric
                       </button>
+                      <button
+                        onClick={() => update('units', 'Imperial')}
+                        className={`px-3 py-1.5 text-xs font-semibold rounded-md transition-colors ${s.units === 'Imperial' ? 'bg-white dark:bg-[#121214] text-gray-900 dark:text-white shadow-sm border border-gray-200 dark:border-white/10' : 'text-gray-500 hover:text-gray-700 dark:text-zinc-400 dark:hover:text-white'}`}
+                      >
+                        UK Imperial
+                      </button>
+                    </div>
+                  </div>
+
+                  <hr className="border-gray-200 dark:border-white/5" />
+
+                  <div className="flex items-center justify-between">
+                    <div>
+                      <h4 className="text-sm font-semibold text-gray-800 dark:text-gray-200">Mixture Display</h4>
+                      <p className="text-xs text-gray-400 dark:text-gray-500 mt-1">Show fueling in the Log Analyzer as AFR for your blend or as lambda.</p>
+                    </div>
+                    <div className="flex bg-gray-200 dark:bg-black/40 rounded-lg p-1 border border-gray-300 dark:border-white/5">
+                      {['AFR', 'Lambda'].map(unit => (
+                        <button
+                          key={unit}
+                          onClick={() => update('mixtureUnit', unit)}
+                          className={`px-3 py-1.5 text-xs font-semibold rounded-md transition-colors ${s.mixtureUnit === unit ? 'bg-white dark:bg-[#121214] text-gray-900 dark:text-white shadow-sm border border-gray-200 dark:border-white/10' : 'text-gray-500 hover:text-gray-700 dark:text-zinc-400 dark:hover:text-white'}`}
+                        >
+                          {unit === 'Lambda' ? 'Lambda (λ)' : 'AFR'}
+                        </button>
+                      ))}
                     </div>
                   </div>
 
@@ -268,7 +296,18 @@ const SettingsPage = () => {
             </div>
           )}
 
-          {activeTab !== 'account' && activeTab !== 'preferences' && (
+          {activeTab === 'thresholds' && (
+            <div className="space-y-6 animate-fade-in">
+              <div>
+                <h2 className="text-xl font-bold text-gray-900 dark:text-gray-100">Safety Thresholds</h2>
+                <p className="text-sm text-gray-400 dark:text-gray-400 mt-1">Limits the Log Analyzer grades against. Save a profile per vehicle to match its tune.</p>
+              </div>
+              <hr className="border-gray-200 dark:border-white/5" />
+              <ThresholdEditor />
+            </div>
+          )}
+
+          {!['account', 'preferences', 'thresholds'].includes(activeTab) && (
             <div className="h-full flex flex-col items-center justify-center text-gray-400 dark:text-gray-500 py-12">
               <Settings size={48} className="opacity-20 mb-4" />
               <p className="text-sm font-medium text-gray-400 dark:text-gray-400">Settings for {activeTab} coming soon.</p>
@@ -4,15 +4,25 @@
  */
 
 const KEYS = {
-  RECENT_LOGS:   'ethos_recent_logs',
-  LOG_RESULTS:   'ethos_log_results',
-  ACTIVE_BLEND:  'ethos_active_blend',
-  SETTINGS:      'ethos_settings',
-  THEME:         'theme',
-  UNITS:         'ethos_units',
+  RECENT_LOGS:    'ethos_recent_logs',
+  LOG_RESULTS:    'ethos_log_results',
+  ACTIVE_BLEND:   'ethos_active_blend',
+  STATIONS:       'ethos_stations',
+  ETHANOL_TESTS:  'ethos_ethanol_tests',
+  FUEL_LEDGER:    'ethos_fuel_ledger',
+  FUEL_SYSTEM:    'ethos_fuel_system',
+  THRESHOLDS:     'ethos_thresholds',
+  VEHICLES:       'ethos_vehicles',
+  ACTIVE_VEHICLE: 'ethos_active_vehicle',
+  SETTINGS:       'ethos_settings',
+  THEME:          'theme',
+  UNITS:          'ethos_units',
 };
 
 const MAX_RECENT_LOGS = 10;
+const MAX_ETHANOL_TESTS = 50;
+const MAX_LEDGER_ENTRIES = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // ─── Recent Logs ─────────────────────────────────────────────────────────────
 
@@ -36,6 +46,8 @@ export function saveRecentLog(analysis) {
     engine:    analysis.carDetails?.engine  || '—',
     ethanol:   analysis.carDetails?.ethanol ?? '—',
     tune:      analysis.carDetails?.tuneStage || '—',
+    vehicleId: analysis.carDetails?.vehicleId ?? null,
+    vehicle:   analysis.carDetails?.vehicleName ?? null,
     afr:       analysis.metrics?.afr?.actual ?? null,
     hpfp:      analysis.metrics?.hpfp?.actual ?? null,
     rowCount:  analysis.row_count ?? null,
@@ -92,11 +104,245 @@ export function clearActiveBlend() {
   localStorage.removeItem(KEYS.ACTIVE_BLEND);
 }
 
+// ─── Fuel Stations ───────────────────────────────────────────────────────────
+
+// Each entry is one fuel at one station, in the shape solveBlend expects:
+// { id, station, name, ethanol_percent, octane, price_per_gallon, max_gallons, enabled }
+// Price is per US gallon and the pump limit in US gallons, whatever the units
+// setting was when the fuel was entered — like the ledger and the garage.
+
+export function getStations() {
+  try {
+    return JSON.parse(localStorage.getItem(KEYS.STATIONS) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+export function saveStation(fuel) {
+  const stations = getStations();
+  const entry = { enabled: true, ...fuel, id: fuel.id ?? Date.now().toString(36) };
+  const idx = stations.findIndex(s => s.id === entry.id);
+  const updated = idx === -1
+    ? [...stations, entry]
+    : stations.map(s => (s.id === entry.id ? entry : s));
+  localStorage.setItem(KEYS.STATIONS, JSON.stringify(updated));
+  return updated;
+}
+
+export function removeStation(id) {
+  const updated = getStations().filter(s => s.id !== id);
+  localStorage.setItem(KEYS.STATIONS, JSON.stringify(updated));
+  return updated;
+}
+
+// ─── Ethanol Tests ───────────────────────────────────────────────────────────
+
+// Measured E85 content, newest first:
+// { id, station, fuel_id, ethanol_percent, method: 'water' | 'sensor', date }
+
+export function getEthanolTests() {
+  try {
+    return JSON.parse(localStorage.getItem(KEYS.ETHANOL_TESTS) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+export function saveEthanolTest(test) {
+  const entry = { ...test, id: Date.now(), date: test.date || new Date().toISOString() };
+  const updated = [entry, ...getEthanolTests()]
+    .sort((a, b) => new Date(b.date) - new Date(a.date))
+    .slice(0, MAX_ETHANOL_TESTS);
+  localStorage.setItem(KEYS.ETHANOL_TESTS, JSON.stringify(updated));
+  return updated;
+}
+
+/** Latest test for a station, or the latest test overall when station is omitted. */
+export function getLatestEthanolTest(station) {
+  const tests = getEthanolTests();
+  return (station ? tests.find(t => t.station === station) : tests[0]) ?? null;
+}
+
+// ─── Fuel Ledger ─────────────────────────────────────────────────────────────
+
+// One entry per fill-up, newest first:
+// { id, vehicleId, date, gallons_before, ethanol_before, fills: [{ name, ethanol_percent, gallons }],
+//   gallons_added, gallons_after, resulting_percent, consumed_gallons, days_since_last }
+// vehicleId is the garage vehicle the fill went into (null without a garage) —
+// each tank is tracked on its own. consumed_gallons is what burned off since
+// that tank's previous fill (null for the first one).
+// Volumes are always US gallons so history survives a units change in Settings.
+
+const ledgerVehicleId = vehicle => vehicle?.id ?? null;
+
+/** Every fill, or only one vehicle's when given (null is the no-garage tank). */
+export function getFuelLedger(vehicle) {
+  try {
+    const ledger = JSON.parse(localStorage.getItem(KEYS.FUEL_LEDGER) || '[]');
+    return vehicle === undefined ? ledger : ledger.filter(e => (e.vehicleId ?? null) === ledgerVehicleId(vehicle));
+  } catch {
+    return [];
+  }
+}
+
+export function recordFill({ vehicle = null, gallons_before, ethanol_before, fills, date }) {
+  const ledger = getFuelLedger();
+  const previous = getFuelLedger(vehicle)[0] ?? null;
+  const when = date || new Date().toISOString();
+
+  const before = Math.max(0, parseFloat(gallons_before) || 0);
+  const added = fills
+    .map(f => ({ name: f.name, ethanol_percent: parseFloat(f.ethanol_percent), gallons: parseFloat(f.gallons) || 0 }))
+    .filter(f => f.gallons > 0 && !isNaN(f.ethanol_percent));
+  const gallonsAdded = added.reduce((sum, f) => sum + f.gallons, 0);
+  const gallonsAfter = before + gallonsAdded;
+  const ethanolGallons = before * (parseFloat(ethanol_before) || 0) / 100
+    + added.reduce((sum, f) => sum + f.gallons * f.ethanol_percent / 100, 0);
+
+  const entry = {
+    id:                Date.now(),
+    vehicleId:         ledgerVehicleId(vehicle),
+    date:              when,
+    gallons_before:    Math.round(before * 100) / 100,
+    ethanol_before:    parseFloat(ethanol_before) || 0,
+    fills:             added,
+    gallons_added:     Math.round(gallonsAdded * 100) / 100,
+    gallons_after:     Math.round(gallonsAfter * 100) / 100,
+    resulting_percent: gallonsAfter > 0 ? Math.round((ethanolGallons / gallonsAfter) * 1000) / 10 : 0,
+    consumed_gallons:  previous ? Math.round(Math.max(0, previous.gallons_after - before) * 100) / 100 : null,
+    days_since_last:   previous ? Math.round(((new Date(when) - new Date(previous.date)) / DAY_MS) * 10) / 10 : null,
+  };
+
+  const updated = [entry, ...ledger].slice(0, MAX_LEDGER_ENTRIES);
+  localStorage.setItem(KEYS.FUEL_LEDGER, JSON.stringify(updated));
+  return updated;
+}
+
+/**
+ * Current tank estimate for a vehicle from its fills. Ethanol % is whatever
+ * the last fill left (burning fuel doesn't change the mix); gallons are the
+ * last fill minus the average daily burn seen between past fills. Null with
+ * no history.
+ */
+export function getTankState(vehicle = null) {
+  const ledger = getFuelLedger(vehicle);
+  const last = ledger[0];
+  if (!last) return null;
+
+  const intervals = ledger.filter(e => e.consumed_gallons != null && e.days_since_last > 0);
+  const burnPerDay = intervals.length > 0
+    ? intervals.reduce((sum, e) => sum + e.consumed_gallons, 0) / intervals.reduce((sum, e) => sum + e.days_since_last, 0)
+    : null;
+  const daysSince = (Date.now() - new Date(last.date)) / DAY_MS;
+  const estimated = burnPerDay != null ? Math.max(0, last.gallons_after - burnPerDay * daysSince) : last.gallons_after;
+
+  return {
+    ethanol_percent:   last.resulting_percent,
+    gallons:           Math.round(estimated * 10) / 10,
+    burn_per_day:      burnPerDay != null ? Math.round(burnPerDay * 100) / 100 : null,
+    last_fill_date:    last.date,
+  };
+}
+
+export function clearFuelLedger() {
+  localStorage.removeItem(KEYS.FUEL_LEDGER);
+}
+
+// ─── Garage ──────────────────────────────────────────────────────────────────
+
+// { id, name, engine, tune_stage, tank_size (US gal), flash_tool,
+//   fuel_system: { lpfp, hpfp, injectors, port_injection, target_hp },
+//   thresholds: { name, ...limits } | undefined,
+//   chassis: { weight_lb, gear_ratios, final_drive, tire_diameter_in, drag_cd, frontal_area_sqft } | undefined }
+
+export function getVehicles() {
+  try {
+    return JSON.parse(localStorage.getItem(KEYS.VEHICLES) || '[]');
+  } catch {
+    return [];
+  }
+}
+
+export function saveVehicle(vehicle) {
+  const vehicles = getVehicles();
+  const entry = { ...vehicle, id: vehicle.id ?? Date.now().toString(36) };
+  const idx = vehicles.findIndex(v => v.id === entry.id);
+  const updated = idx === -1
+    ? [...vehicles, entry]
+    : vehicles.map(v => (v.id === entry.id ? entry : v));
+  localStorage.setItem(KEYS.VEHICLES, JSON.stringify(updated));
+  if (idx === -1) setActiveVehicle(entry.id);
+  return updated;
+}
+
+export function removeVehicle(id) {
+  const updated = getVehicles().filter(v => v.id !== id);
+  localStorage.setItem(KEYS.VEHICLES, JSON.stringify(updated));
+  if (localStorage.getItem(KEYS.ACTIVE_VEHICLE) === id) localStorage.removeItem(KEYS.ACTIVE_VEHICLE);
+  return updated;
+}
+
+/** The selected vehicle, falling back to the first one in the garage. */
+export function getActiveVehicle() {
+  const vehicles = getVehicles();
+  const id = localStorage.getItem(KEYS.ACTIVE_VEHICLE);
+  return vehicles.find(v => v.id === id) ?? vehicles[0] ?? null;
+}
+
+export function setActiveVehicle(id) {
+  if (id) localStorage.setItem(KEYS.ACTIVE_VEHICLE, id);
+  else localStorage.removeItem(KEYS.ACTIVE_VEHICLE);
+}
+
+// ─── Fuel System Profile ─────────────────────────────────────────────────────
+
+// { engine, lpfp, hpfp, injectors, port_injection, target_hp } — option keys from shared/fuelSystem.js
+// Used when the garage is empty; saved vehicles carry their own fuel_system.
+
+export function getFuelSystem() {
+  try {
+    return JSON.parse(localStorage.getItem(KEYS.FUEL_SYSTEM) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+export function saveFuelSystem(profile) {
+  localStorage.setItem(KEYS.FUEL_SYSTEM, JSON.stringify(profile));
+  return profile;
+}
+
+// ─── Threshold Profiles ──────────────────────────────────────────────────────
+
+// { name, ...limits } — see shared/thresholds.js. A vehicle's own profile wins;
+// the default profile covers logs analyzed without a garage vehicle.
+
+export function getThresholdProfile(vehicle = null) {
+  if (vehicle?.thresholds) return vehicle.thresholds;
+  try {
+    return JSON.parse(localStorage.getItem(KEYS.THRESHOLDS) || 'null');
+  } catch {
+    return null;
+  }
+}
+
+/** Saves onto the vehicle when given one, otherwise as the default profile. */
+export function saveThresholdProfile(profile, vehicle = null) {
+  if (vehicle) {
+    saveVehicle({ ...vehicle, thresholds: profile });
+  } else {
+    localStorage.setItem(KEYS.THRESHOLDS, JSON.stringify(profile));
+  }
+  return profile;
+}
+
 // ─── Settings ────────────────────────────────────────────────────────────────
 
 const SETTINGS_DEFAULTS = {
   theme:          'system',
   units:          'US',
+  mixtureUnit:    'AFR',
   compactView:    false,
   downsampling:   'Original (All Data)',
   defaultPreset:  'None (Clear)',
@@ -0,0 +1,187 @@
+/**
+ * Blend math behaviour — value assertions on the calculator and the
+ * multi-fuel solver. test/fixtures/blend-cases.json covers entry-point
+ * parity; these cover what the math actually returns.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { calculateBlend, solveBlend, ethanolFromWaterTest, convertVolume, blendProperties } from '../shared/blendMath.js';
+
+// ─── Tested E85 Content ──────────────────────────────────────────────────────
+
+test('a water-separation reading gives the ethanol content of the sample', () => {
+  assert.equal(ethanolFromWaterTest({ fuel_ml: 90, water_ml: 10, layer_ml: 77.5 }), 75);
+  assert.throws(() => ethanolFromWaterTest({ fuel_ml: 90, water_ml: 10, layer_ml: 8 }), /below the starting water line/);
+});
+
+test('E85 that tests low takes more of it to reach the same target', () => {
+  const fill = { current_gallons: 5, current_ethanol_percent: 10, target_ethanol_percent: 40, tank_size: 13.7 };
+  const pump = calculateBlend(fill);
+  const tested = calculateBlend({ ...fill, e85_ethanol_percent: 72 });
+
+  assert.deepEqual([pump.gallons_of_e85_to_add, pump.gallons_of_93_to_add], [5.86, 2.84]);
+  assert.deepEqual([tested.gallons_of_e85_to_add, tested.gallons_of_93_to_add], [6.92, 1.78]);
+  assert.equal(tested.e85_ethanol_percent, 72);
+  assert.equal(tested.resulting_percent, 40);
+});
+
+// ─── Multi-Fuel Solver ───────────────────────────────────────────────────────
+
+const LOCAL_FUELS = [
+  { id: 'e85',  name: 'E85',     station: 'Shell',  ethanol_percent: 72, octane: 100, price_per_gallon: 3.1 },
+  { id: 'e10',  name: 'E10 93',  station: 'Shell',  ethanol_percent: 10, octane: 93,  price_per_gallon: 4.2 },
+  { id: 'e15',  name: 'E15',     station: 'Costco', ethanol_percent: 15, octane: 88,  price_per_gallon: 3.3 },
+  { id: 'race', name: 'E0 Race', station: 'Track',  ethanol_percent: 0,  octane: 100, price_per_gallon: 9, max_gallons: 5 },
+];
+const HALF_TANK_E10 = { current_gallons: 4, current_ethanol_percent: 10, target_ethanol_percent: 40, tank_size: 13.7, fuels: LOCAL_FUELS };
+
+test('cheapest picks the lowest-cost pair even when it takes two stops', () => {
+  const r = solveBlend({ ...HALF_TANK_E10, objective: 'cheapest' });
+
+  assert.deepEqual(r.fills.map(f => [f.fuel_id, f.gallons, f.cost]), [['e85', 6.36, 19.71], ['e15', 3.34, 11.02]]);
+  assert.equal(r.total_cost, 30.74);
+  assert.equal(r.stops, 2);
+  assert.equal(r.resulting_percent, 40);
+});
+
+test('fewest stops keeps both fuels at one station and pays for it', () => {
+  const r = solveBlend({ ...HALF_TANK_E10, objective: 'fewest_stops' });
+
+  assert.deepEqual(r.fills.map(f => [f.fuel_id, f.gallons]), [['e85', 6.63], ['e10', 3.07]]);
+  assert.equal(r.total_cost, 33.45);
+  assert.equal(r.stops, 1);
+});
+
+test('a pump limit that rules out every combination is reported as such', () => {
+  const r = solveBlend({ ...HALF_TANK_E10, target_ethanol_percent: 5 });
+
+  assert.deepEqual(r.fills, []);
+  assert.equal(r.drain_plan, undefined);
+  assert.match(r.warnings[0], /within the listed pump limits/);
+});
+
+// ─── Drain Planning ──────────────────────────────────────────────────────────
+
+const STATIONS = [
+  { id: 'e85', name: 'E85',    station: 'Shell',  ethanol_percent: 80, octane: 100, price_per_gallon: 3.1 },
+  { id: 'e10', name: 'E10 93', station: 'Costco', ethanol_percent: 10, octane: 93,  price_per_gallon: 4.2 },
+];
+
+test('too lean to fill — drains the minimum and refills with E85', () => {
+  const r = calculateBlend({
+    current_gallons: 12, current_ethanol_percent: 10, target_ethanol_percent: 60, tank_size: 13.7, mpg: 24,
+  });
+
+  assert.equal(r.drain_plan.drain_gallons, 7.43);
+  assert.equal(r.drain_plan.remaining_gallons, 4.57);
+  assert.equal(r.drain_plan.burn_distance, 179);
+  assert.equal(r.drain_plan.gallons_of_e85_to_add, 9.13);
+  assert.equal(r.drain_plan.gallons_of_93_to_add, 0);
+  assert.equal(r.drain_plan.resulting_percent, 60);
+});
+
+test('too rich to fill — drains and tops off with pump gas', () => {
+  const r = calculateBlend({ current_gallons: 12, current_ethanol_percent: 60, target_ethanol_percent: 20, tank_size: 13.7 });
+
+  assert.equal(r.drain_plan.drain_gallons, 7.43);
+  assert.equal(r.drain_plan.gallons_of_e85_to_add, 0);
+  assert.equal(r.drain_plan.gallons_of_93_to_add, 9.13);
+  assert.equal(r.drain_plan.resulting_percent, 20);
+  assert.deepEqual(r.drain_plan.steps.map(s => s.action), ['Drain', '93-octane']);
+});
+
+test('the solver plans a drain against the highest-ethanol fuel when too lean', () => {
+  const r = solveBlend({
+    current_gallons: 12, current_ethanol_percent: 10, target_ethanol_percent: 60, tank_size: 13.7, mpg: 24, fuels: STATIONS,
+  });
+  const plan = r.drain_plan;
+
+  assert.deepEqual(r.fills, []);
+  assert.match(r.warnings[0], /drain 8\.09 gal first/);
+  assert.equal(plan.drain_gallons, 8.09);
+  assert.equal(plan.burn_distance, 195);
+  assert.deepEqual(plan.fills.map(f => [f.fuel_id, f.gallons, f.cost]), [['e85', 9.79, 30.35]]);
+  assert.equal(plan.total_cost, 30.35);
+  assert.equal(plan.stops, 1);
+  assert.equal(plan.resulting_percent, 60);
+  assert.deepEqual(plan.steps.map(s => s.action), ['Drain', 'E85 at Shell']);
+});
+
+test('the solver plans a drain against the lowest-ethanol fuel when too rich', () => {
+  const r = solveBlend({
+    current_gallons: 12, current_ethanol_percent: 60, target_ethanol_percent: 20, tank_size: 13.7, fuels: STATIONS,
+  });
+
+  assert.equal(r.drain_plan.drain_gallons, 9.26);
+  assert.deepEqual(r.drain_plan.fills.map(f => [f.fuel_id, f.gallons]), [['e10', 10.96]]);
+  assert.equal(r.drain_plan.resulting_percent, 20);
+});
+
+test('a full tank at the wrong blend still gets a drain plan', () => {
+  const r = solveBlend({
+    current_gallons: 13.7, current_ethanol_percent: 10, target_ethanol_percent: 30, tank_size: 13.7, fuels: STATIONS,
+  });
+
+  assert.match(r.warnings[0], /Tank is already full — drain/);
+  assert.ok(r.drain_plan.drain_gallons > 0);
+  assert.equal(r.drain_plan.resulting_percent, 30);
+});
+
+// ─── Units ───────────────────────────────────────────────────────────────────
+
+test('a fill in litres is the same fill as in US gallons', () => {
+  const litres = calculateBlend({
+    current_gallons: convertVolume(5, 'us_gal', 'litres'), current_ethanol_percent: 10, target_ethanol_percent: 40,
+    tank_size: convertVolume(13.7, 'us_gal', 'litres'), units: 'litres',
+  });
+
+  assert.equal(litres.units, 'litres');
+  assert.equal(litres.gallons_of_e85_to_add, 22.18);
+  assert.equal(litres.gallons_of_93_to_add, 10.76);
+  assert.equal(Math.round(convertVolume(litres.gallons_of_e85_to_add, 'litres', 'us_gal') * 100) / 100, 5.86);
+  assert.equal(Math.round(convertVolume(10, 'imp_gal', 'us_gal') * 100) / 100, 12.01);
+});
+
+test('station prices stored per US gallon cost the same fill when solved in litres', () => {
+  const perUsGallon = convertVolume(1, 'us_gal', 'litres');
+  const fill = { current_gallons: 4, current_ethanol_percent: 10, target_ethanol_percent: 35, tank_size: 13.7 };
+  const gallons = solveBlend({ ...fill, fuels: STATIONS });
+  const litres = solveBlend({
+    ...fill, current_gallons: 4 * perUsGallon, tank_size: 13.7 * perUsGallon, units: 'litres',
+    fuels: STATIONS.map(s => ({ ...s, price_per_gallon: s.price_per_gallon / perUsGallon })),
+  });
+
+  assert.deepEqual(gallons.fills.map(f => [f.fuel_id, f.gallons, f.cost]), [['e85', 4.89, 15.17], ['e10', 4.81, 20.19]]);
+  assert.deepEqual(litres.fills.map(f => [f.fuel_id, f.gallons, f.cost]), [['e85', 18.52, 15.17], ['e10', 18.2, 20.19]]);
+  assert.equal(litres.total_cost, gallons.total_cost);
+});
+
+test('burn-off distance is in km from L/100km', () => {
+  const r = calculateBlend({
+    current_gallons: 45, current_ethanol_percent: 10, target_ethanol_percent: 60, tank_size: 52, l_per_100km: 9.5, units: 'litres',
+  });
+
+  assert.equal(r.drain_plan.distance_unit, 'km');
+  assert.equal(r.drain_plan.drain_gallons, 27.67);
+  assert.equal(r.drain_plan.burn_distance, 292);
+  assert.match(r.drain_plan.steps[0].note, / L, or drive ~\d+ km/);
+});
+
+// ─── Fuel Properties ─────────────────────────────────────────────────────────
+
+test('straight pump gas and straight E85 land on their known octane and stoich', () => {
+  assert.deepEqual(blendProperties([{ volume: 1, ethanol_percent: 0 }]),
+    { aki: 93, ron: 98, mon: 88, stoich_afr: 14.7, fuel_flow_factor: 1 });
+  assert.deepEqual(blendProperties([{ volume: 1, ethanol_percent: 85 }]),
+    { aki: 98.7, ron: 107.8, mon: 89.6, stoich_afr: 9.81, fuel_flow_factor: 1.43 });
+});
+
+test('every blend result carries the properties of the finished tank', () => {
+  const r = calculateBlend({ current_gallons: 5, current_ethanol_percent: 10, target_ethanol_percent: 40, tank_size: 13.7 });
+
+  assert.deepEqual(r.fuel_properties, { aki: 96.7, ron: 104.4, mon: 89, stoich_afr: 12.34, fuel_flow_factor: 1.16 });
+});
@@ -0,0 +1,41 @@
+/**
+ * Fuel system capacity check — value assertions on the supported power and
+ * the limiting component for a few blend / power combinations.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { checkFuelSystem } from '../shared/fuelSystem.js';
+
+const STOCK_B58_GEN2 = { engine: 'B58 Gen2' };
+
+// ─── Capacity Check ──────────────────────────────────────────────────────────
+
+test('a stock B58 Gen2 feeds E30 at 450 hp with the LPFP as the limit', () => {
+  const r = checkFuelSystem(STOCK_B58_GEN2, { ethanol_percent: 30, target_hp: 450 });
+
+  assert.equal(r.fuel_flow_factor, 1.12);
+  assert.equal(r.limiting_component, 'lpfp');
+  assert.equal(r.max_supported_hp, 536);
+  assert.equal(r.max_ethanol_percent, 70);
+  assert.equal(r.status, 'Safe');
+});
+
+test('E85 at the same power outruns the stock LPFP', () => {
+  const r = checkFuelSystem(STOCK_B58_GEN2, { ethanol_percent: 85, target_hp: 450 });
+
+  assert.equal(r.max_supported_hp, 420);
+  assert.equal(r.status, 'Risk');
+  assert.match(r.note, /Stay at or below ~E70/);
+});
+
+test('an upgraded LPFP moves the limit to the HPFP', () => {
+  const r = checkFuelSystem({ ...STOCK_B58_GEN2, lpfp: 'upgrade' }, { ethanol_percent: 85, target_hp: 450 });
+
+  assert.equal(r.limiting_component, 'hpfp');
+  assert.equal(r.max_supported_hp, 490);
+  assert.equal(r.status, 'Caution');
+});
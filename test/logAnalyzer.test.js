@@ -0,0 +1,621 @@
+/**
+ * Log analysis behaviour — value assertions on small synthetic logs, one
+ * feature at a time, plus what the two fixture logs read as. The parity
+ * suite checks the entry points agree; these check what they report.
+ *
+ * Run with `npm test`.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { analyzeLog } from '../shared/logAnalyzer.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const CAR_DETAILS = { ethanol: 30, engine: 'B58 Gen2', tuneStage: 'Stage 2' };
+
+// ─── Harness ─────────────────────────────────────────────────────────────────
+
+const IDLE_ROWS = 20;
+const PULL_ROWS = 40;
+const COAST_ROWS = 20;
+
+// Road speed in 3rd on the default chassis (ZF 8HP, 2.81 final drive, 26" tire)
+const kmhInThird = rpm => ((rpm * Math.PI) / 30) * (26 * 0.0254 / 2) / (2.172 * 2.81) * 3.6;
+
+/**
+ * One row per sample at 10 Hz: `pulls` WOT pulls from 2500 rpm, each with
+ * idle before and a coast after. `extra(ctx)` returns additional columns for
+ * a row, where ctx is { i, t, rpm, pull, step } — pull is the 0-based pull
+ * index (null off-throttle) and step the row within the pull.
+ */
+function buildLog({ pulls = 1, extra = () => ({}) } = {}) {
+  const rows = [];
+  const push = (base, ctx) => rows.push({ ...base, ...extra({ ...ctx, i: rows.length, t: rows.length / 10, rpm: base.RPM }) });
+  const idle = () => ({ RPM: 800, 'Load [%]': 20, Lambda: 1.0, 'Lambda Target': 1.0, 'Boost [psi]': -10, 'Accel Pedal [%]': 0, 'Throttle Angle [%]': 3 });
+
+  for (let p = 0; p < pulls; p++) {
+    for (let s = 0; s < IDLE_ROWS; s++) push(idle(), { pull: null, step: s });
+    for (let s = 0; s < PULL_ROWS; s++) {
+      push({ RPM: 2500 + s * 100, 'Load [%]': 95, Lambda: 0.82, 'Lambda Target': 0.82, 'Boost [psi]': 18, 'Accel Pedal [%]': 100, 'Throttle Angle [%]': 100 },
+        { pull: p, step: s });
+    }
+    for (let s = 0; s < COAST_ROWS; s++) push({ ...idle(), RPM: 2000, 'Load [%]': 15, Lambda: 1.5, 'Boost [psi]': -8 }, { pull: null, step: s });
+  }
+
+  const headers = ['Time [s]', ...Object.keys(rows[0])];
+  const lines = rows.map((r, i) => [(i / 10).toFixed(2), ...headers.slice(1).map(h => r[h] ?? '')].join(','));
+  return [headers.join(','), ...lines].join('\n');
+}
+
+const analyze = (csv, details = CAR_DETAILS) => analyzeLog(csv, 'test.csv', details);
+
+// ─── Log Formats ─────────────────────────────────────────────────────────────
+
+test('a BM3 log in AFR, bar and °C is read into the same units as an MHD log', () => {
+  const buffer = readFileSync(path.join(FIXTURES, 'bm3-afr-bar.csv'));
+  const r = analyze(buffer);
+
+  assert.equal(r.detectedColumns.boostUnit, 'bar');
+  assert.equal(r.metrics.boost.actual, 18.9);
+  assert.equal(r.metrics.afr.mode, 'afr');
+  assert.equal(r.metrics.afr.stoich, 12.92);
+  assert.equal(r.metrics.afr.lambda, 1.022);
+  assert.equal(r.metrics.iat.unit, 'C');
+  assert.equal(r.metrics.iat.peak_f, 109.2);
+  assert.deepEqual(analyze(buffer.toString('utf8')), r);
+});
+
+test('an MHD lambda log splits into its three pulls', () => {
+  const r = analyze(readFileSync(path.join(FIXTURES, 'mhd-lambda-pulls.csv'), 'utf8'));
+
+  assert.equal(r.metrics.afr.mode, 'lambda');
+  assert.equal(r.summary.pull_count, 3);
+  assert.deepEqual(r.pulls.map(p => p.status), ['Caution', 'Risk', 'Risk']);
+});
+
+// ─── Pulls ───────────────────────────────────────────────────────────────────
+
+test('each WOT run is its own pull with its own grade', () => {
+  // Pull 2 runs lean for a second mid-pull
+  const r = analyze(buildLog({
+    pulls: 3,
+    extra: ({ pull, step }) => (pull === 1 && step >= 20 && step < 30 ? { Lambda: 0.95 } : {}),
+  }));
+
+  assert.equal(r.summary.pull_count, 3);
+  assert.deepEqual(r.pulls.map(p => [p.start_time, p.end_time]), [[2, 5.9], [10, 13.9], [18, 21.9]]);
+  assert.deepEqual(r.pulls.map(p => [p.rpm_min, p.rpm_max, p.row_count]), Array(3).fill([2500, 6400, PULL_ROWS]));
+  assert.deepEqual(r.pulls.map(p => p.status), ['Safe', 'Risk', 'Safe']);
+  assert.equal(r.pulls[1].metrics.afr.lean_events, 10);
+  assert.equal(r.status, 'Risk');
+});
+
+// ─── Knock ───────────────────────────────────────────────────────────────────
+
+// Six ignition correction columns; `pulling(cylinder)` says which ones pull 3.5°
+// over 4500–4800 rpm in every pull
+const timingPulls = pulling => ({ pull, step }) => Object.fromEntries([1, 2, 3, 4, 5, 6].map(c => [
+  `Ign Corr Cyl ${c}`, pulling(c) && pull !== null && step >= 20 && step < 24 ? -3.5 : 0,
+]));
+
+test('knock on one cylinder lands in its own heat map cell and is called out', () => {
+  const r = analyze(buildLog({ pulls: 2, extra: timingPulls(c => c === 3) }));
+  const timing = r.metrics.timingCorrections;
+  const cyl3 = timing.per_cylinder.find(c => c.cylinder === 3);
+
+  assert.equal(timing.max_correction, -3.5);
+  assert.equal(timing.pull_events, 8);
+  assert.deepEqual([cyl3.pull_events, cyl3.worst, cyl3.worst_rpm], [8, -3.5, 4500]);
+  assert.deepEqual(timing.heat_map.rpm_bins, [2500, 3000, 3500, 4000, 4500, 5000, 5500, 6000]);
+  const hot = timing.heat_map.rows.flatMap(row => row.cells.map((cell, bin) => ({ cylinder: row.cylinder, bin, ...cell })))
+    .filter(cell => cell.events > 0);
+  assert.deepEqual(hot, [{ cylinder: 3, bin: 4, worst: -3.5, events: 8 }]);
+  assert.equal(timing.single_cylinder.cylinder, 3);
+  assert.equal(timing.single_cylinder.share_pct, 100);
+  assert.equal(timing.status, 'Caution');
+});
+
+test('knock spread across every cylinder is not blamed on one', () => {
+  const r = analyze(buildLog({ pulls: 2, extra: timingPulls(() => true) }));
+
+  assert.equal(r.metrics.timingCorrections.pull_events, 48);
+  assert.equal(r.metrics.timingCorrections.single_cylinder, null);
+});
+
+// ─── Boost Control ───────────────────────────────────────────────────────────
+
+// Target 18 psi through each pull; `boost(step)` overrides the logged boost
+const boostVsTarget = ({ boost = () => null, wgdc = () => 60 }) => ({ pull, step }) => ({
+  'Boost Target [psi]': pull === null ? -10 : 18,
+  'WGDC [%]': pull === null ? 0 : wgdc(step),
+  ...(pull !== null && boost(step) !== null && { 'Boost [psi]': boost(step) }),
+});
+
+test('boost 5 psi over target mid-pull is an overboost risk', () => {
+  const r = analyze(buildLog({ extra: boostVsTarget({ boost: step => (step >= 10 && step < 15 ? 23 : null) }) }));
+  const boost = r.metrics.boost;
+
+  assert.deepEqual([boost.actual, boost.target, boost.max_over_psi], [23, 18, 5]);
+  assert.equal(boost.overboost_events, 5);
+  assert.equal(boost.creep_events, 0);
+  assert.equal(boost.status, 'Risk');
+});
+
+test('high-rpm creep with the wastegate open and underboost once spooled are both flagged', () => {
+  const r = analyze(buildLog({
+    extra: boostVsTarget({
+      // Short of target while spooling (below 3000 rpm) is ignored; 15–20 is a leak; 30–35 creeps
+      boost: step => (step < 5 || (step >= 15 && step < 21) ? 13 : step >= 30 && step < 36 ? 21 : null),
+      wgdc: step => (step >= 30 ? 0 : 60),
+    }),
+  }));
+  const boost = r.metrics.boost;
+
+  assert.equal(boost.overboost_events, 6);
+  assert.equal(boost.creep_events, 6);
+  assert.equal(boost.underboost_events, 6);
+  assert.equal(boost.max_under_psi, 5);
+  assert.equal(boost.status, 'Caution');
+  assert.match(boost.note, /wastegate/);
+  assert.match(boost.note, /boost leak/);
+});
+
+// ─── Fuel Pressure ───────────────────────────────────────────────────────────
+
+test('LPFP sag late in the pull is measured against target and tied to the HPFP drop', () => {
+  // From step 25 the low side sags linearly to 60 psi (20%) with duty pinned, dragging the HPFP down with it
+  const sag = step => (step < 25 ? 0 : (step - 24) / 15);
+  const r = analyze(buildLog({
+    extra: ({ pull, step }) => (pull === null
+      ? { 'LPFP Actual [psi]': 75, 'LPFP Target [psi]': 75, 'LPFP Duty [%]': 30, 'HPFP Actual [psi]': 725, 'HPFP Target [psi]': 725 }
+      : {
+        'LPFP Actual [psi]': (75 - 15 * sag(step)).toFixed(1),
+        'LPFP Target [psi]': 75,
+        'LPFP Duty [%]': Math.round(60 + 35 * sag(step)),
+        'HPFP Actual [psi]': Math.round(2900 - 500 * sag(step)),
+        'HPFP Target [psi]': 2900,
+      }),
+  }));
+  const lpfp = r.metrics.lpfp;
+
+  assert.equal(lpfp.max_sag_pct, 20);
+  assert.deepEqual([lpfp.actual, lpfp.target], [60, 75]);
+  assert.equal(lpfp.max_duty, 95);
+  assert.equal(lpfp.hpfp_linked, true);
+  assert.equal(lpfp.status, 'Risk');
+  assert.equal(r.metrics.hpfp.max_drop_pct, 17.2);
+});
+
+// ─── Threshold Profiles ──────────────────────────────────────────────────────
+
+test("the same log grades against the tune's threshold profile", () => {
+  const csv = buildLog({ extra: boostVsTarget({ boost: step => (step >= 10 && step < 15 ? 21.5 : null) }) });
+  const grade = thresholds => {
+    const r = analyze(csv, { ...CAR_DETAILS, thresholds });
+    return [r.thresholds.name, r.metrics.boost.status];
+  };
+
+  assert.deepEqual(grade(undefined), ['Stock B58', 'Caution']);
+  assert.deepEqual(grade({ name: 'Conservative' }), ['Conservative', 'Risk']);
+  // A limit set on the profile overrides its preset; the rest come from the preset
+  assert.deepEqual(grade({ name: 'Race E85', boost_over_caution_psi: 4 }), ['Race E85', 'Safe']);
+  assert.equal(analyze(csv, { ...CAR_DETAILS, thresholds: { name: 'Race E85', boost_over_caution_psi: '' } }).thresholds.boost_over_caution_psi, 3);
+});
+
+test('the chart marks a timing pull at the same limit the Timing metric grades', () => {
+  const csv = buildLog({ extra: ({ pull, step }) => ({ 'Ign Corr Cyl 1': pull !== null && step >= 20 && step < 22 ? -2.5 : 0 }) });
+  const marked = thresholds => {
+    const r = analyze(csv, { ...CAR_DETAILS, thresholds });
+    return [r.metrics.timingCorrections.status, r.chartData.filter(d => d.isTimingWarning).length];
+  };
+
+  assert.deepEqual(marked(undefined), ['Caution', 2]);
+  assert.deepEqual(marked({ name: 'Race E85' }), ['Safe', 0]);
+});
+
+// ─── Mixture ─────────────────────────────────────────────────────────────────
+
+// The harness logs lambda; these logs leave it blank and carry AFR instead,
+// with a 10.0:1 pull against a λ0.82 target
+const afrLog = stoich => buildLog({
+  extra: ({ pull }) => ({
+    Lambda: '',
+    'Lambda Target': '',
+    AFR: pull === null ? stoich : '10.0',
+    'AFR Target': pull === null ? stoich : (0.82 * stoich).toFixed(2),
+  }),
+});
+
+test('the same AFR reading is graded in lambda against the blend stoich', () => {
+  const r = analyze(afrLog(14.1), { ...CAR_DETAILS, ethanol: 10 });
+  const e10 = r.metrics.afr;
+  const e85 = analyze(afrLog(9.81), { ...CAR_DETAILS, ethanol: 85 }).metrics.afr;
+
+  assert.equal(r.detectedColumns.afr, 'AFR');
+
+  assert.deepEqual([e10.mode, e10.stoich, e10.lambda], ['afr', 14.1, 0.709]);
+  assert.equal(e10.rich_events, PULL_ROWS);
+  assert.equal(e10.lean_events, 0);
+
+  // 10.0:1 is λ1.02 on E85 — lean at WOT
+  assert.deepEqual([e85.stoich, e85.lambda, e85.target_lambda], [9.81, 1.019, 0.82]);
+  assert.equal(e85.lean_events, PULL_ROWS);
+  assert.equal(e85.status, 'Risk');
+});
+
+test('lambda error against target is binned and the longest lean stretch timed', () => {
+  // 6% lean over 8 rows, then 6% rich over 4, around a λ0.82 target
+  const r = analyze(buildLog({
+    extra: ({ pull, step }) => (pull === null ? {} : step >= 10 && step < 18 ? { Lambda: 0.87 } : step >= 25 && step < 29 ? { Lambda: 0.77 } : {}),
+  }));
+  const deviation = r.metrics.lambdaDeviation;
+  const bins = Object.fromEntries(deviation.histogram.map(b => [`${b.from ?? ''}..${b.to ?? ''}`, b.count]));
+
+  assert.equal(deviation.samples, PULL_ROWS);
+  assert.deepEqual([deviation.max_lean_pct, deviation.max_rich_pct], [6.1, 6.1]);
+  assert.deepEqual(bins, { '..-10': 0, '-10..-5': 4, '-5..-2': 0, '-2..2': 28, '2..5': 0, '5..10': 8, '10..': 0 });
+  assert.deepEqual(deviation.longest_lean, { rows: 8, seconds: 0.7, start_time: 3, max_pct: 6.1 });
+  assert.equal(deviation.lean_events, 8);
+  assert.equal(deviation.status, 'Caution');
+});
+
+// ─── Power Estimate ──────────────────────────────────────────────────────────
+
+// Road speed for a 3rd-gear pull, so power comes from how fast the car accelerates
+const thirdGearPull = ({ rpm, pull }) => ({ 'Vehicle Speed [km/h]': pull === null ? 0 : kmhInThird(rpm).toFixed(1), Gear: pull === null ? 0 : 3 });
+
+test("wheel power comes from acceleration on the default chassis, or the car's own weight", () => {
+  const csv = buildLog({ extra: thirdGearPull });
+  const stock = analyze(csv).power;
+  const heavy = analyze(csv, { ...CAR_DETAILS, chassis: { weight_lb: 4500 } }).power;
+
+  assert.deepEqual([stock.source, stock.basis, stock.default_chassis], ['acceleration', 'wheel', true]);
+  assert.deepEqual([stock.peak_hp, stock.peak_hp_rpm, stock.peak_tq, stock.peak_tq_rpm], [517, 6250, 438, 6250]);
+  assert.deepEqual(stock.curve[0], { rpm: 2750, hp: 222, tq: 424 });
+  // Same acceleration, more mass — more power
+  assert.equal(heavy.default_chassis, false);
+  assert.equal(heavy.peak_hp, 579);
+});
+
+test('a logged engine torque channel gives crank power with its own peaks', () => {
+  // 600 Nm at 4500 rpm, falling off either side
+  const r = analyze(buildLog({
+    extra: ctx => ({ ...thirdGearPull(ctx), 'Engine Torque [Nm]': ctx.pull === null ? 50 : Math.round(600 - Math.abs(ctx.rpm - 4500) / 10) }),
+  }));
+
+  assert.deepEqual([r.power.source, r.power.basis], ['torque', 'crank']);
+  assert.deepEqual([r.power.peak_tq, r.power.peak_tq_rpm], [438, 4500]);
+  assert.deepEqual([r.power.peak_hp, r.power.peak_hp_rpm], [387, 5250]);
+});
+
+// ─── Throttle Closure ────────────────────────────────────────────────────────
+
+test('throttle closures with the pedal pinned are found and blamed on boost or torque limits', () => {
+  // Pull 1: throttle to 60% for 6 rows holding boost on target. Pull 2: to 70% for 3 rows with torque at a lowered limit.
+  const r = analyze(buildLog({
+    pulls: 2,
+    extra: ({ pull, step }) => {
+      const boostHold = pull === 0 && step >= 20 && step < 26;
+      const torqueHold = pull === 1 && step >= 30 && step < 33;
+      return {
+        ...(boostHold && { 'Throttle Angle [%]': 60 }),
+        ...(torqueHold && { 'Throttle Angle [%]': 70 }),
+        'Boost Target [psi]': pull === null ? -10 : 18,
+        'Engine Torque [Nm]': torqueHold ? 400 : 550,
+        'Torque Limit [Nm]': torqueHold ? 400 : 700,
+      };
+    },
+  }));
+  const closure = r.metrics.throttleClosure;
+
+  assert.deepEqual(closure.events.map(e => [e.start_time, e.end_time, e.rows, e.min_throttle, e.cause]), [
+    [4, 4.5, 6, 60, 'boost_limit'],
+    [13, 13.2, 3, 70, 'torque_limit'],
+  ]);
+  assert.deepEqual([closure.events[1].torque, closure.events[1].torque_limit, closure.torque_unit], [400, 400, 'Nm']);
+  assert.equal(closure.status, 'Caution');
+});
+
+// ─── Enrichment ──────────────────────────────────────────────────────────────
+
+test('only rich stretches longer than the minimum count as component protection', () => {
+  // 12% rich of target for 0.5s early in the pull (ignored) and 1.4s mid-pull, EGT climbing through it
+  const r = analyze(buildLog({
+    extra: ({ pull, step }) => ({
+      ...(pull === 0 && ((step >= 5 && step < 10) || (step >= 20 && step < 35)) && { Lambda: 0.72 }),
+      'EGT [°F]': pull === 0 ? 1300 + step * 10 : 900,
+    }),
+  }));
+  const enrichment = r.metrics.enrichment;
+
+  assert.deepEqual(enrichment.stretches, [{
+    start_time: 4, seconds: 1.4, rows: 15, min_lambda: 0.72, target_lambda: 0.82, max_rich_pct: 12.2, peak_egt_f: 1640, peak_cat_f: null,
+  }]);
+  assert.equal(enrichment.total_seconds, 1.4);
+  assert.equal(enrichment.peak_egt_f, 1690);
+  assert.equal(enrichment.status, 'Caution');
+});
+
+test('an unlabeled EGT header takes its unit from the units setting, not from the values', () => {
+  // Fahrenheit EGT that stays under 1100°F — it would read as a 1823°F Celsius log
+  const csv = buildLog({ extra: ({ pull, step }) => ({ EGT: pull === 0 ? 800 + step * 5 : 700 }) });
+  const egt = units => {
+    const { enrichment } = analyze(csv, { ...CAR_DETAILS, units }).metrics;
+    return [enrichment.peak_egt_f, enrichment.status];
+  };
+
+  assert.deepEqual(egt('US'), [995, 'Safe']);
+  assert.deepEqual(egt('Metric'), [1823, 'Risk']);
+  assert.deepEqual(egt(undefined), [null, 'Safe']);
+});
+
+// ─── Heat Soak ───────────────────────────────────────────────────────────────
+
+test('IAT that only half recovers between pulls creeps up pull to pull', () => {
+  // +0.5°F per row through each pull, -0.25°F per row off-throttle back toward 95°F; ambient 80°F
+  let iat = 95;
+  const r = analyze(buildLog({
+    pulls: 3,
+    extra: ({ pull }) => {
+      if (pull !== null) iat += 0.5;
+      else if (iat > 95) iat -= 0.25;
+      return { 'IAT [°F]': iat.toFixed(2), 'Ambient Temp [°F]': 80 };
+    },
+  }));
+  const soak = r.heatSoak;
+
+  assert.deepEqual(soak.pulls.map(p => [p.start_f, p.peak_f, p.delta_f, p.ic_efficiency_pct]), [
+    [95.5, 115, 35, 92],
+    [105.5, 125, 45, 87],
+    [115.5, 135, 55, 82],
+  ]);
+  assert.deepEqual(soak.recoveries.map(g => [g.after_pull, g.from_f, g.to_f, g.seconds, g.rate_f_per_min]), [
+    [1, 115, 105, 4, 150],
+    [2, 125, 115, 4, 150],
+  ]);
+  assert.deepEqual([soak.creep_f, soak.creep_per_pull_f, soak.max_delta_f, soak.min_ic_efficiency_pct], [20, 10, 55, 82]);
+  assert.equal(soak.status, 'Caution');
+});
+
+// ─── Gears ───────────────────────────────────────────────────────────────────
+
+test('gearbox temperature is not read as the gear — gear is inferred from road speed', () => {
+  const csv = buildLog({
+    extra: ({ rpm, pull }) => ({
+      'Gearbox Oil Temp [°F]': 180,
+      'Vehicle Speed [km/h]': pull === null ? 0 : kmhInThird(rpm).toFixed(1),
+    }),
+  });
+  const r = analyze(csv);
+
+  assert.equal(r.detectedColumns.gear, 'Gear (inferred)');
+  assert.equal(r.gears.source, 'inferred');
+  assert.deepEqual(r.gears.breakdown.map(g => g.gear), [3]);
+});
+
+test('a gear column that does not read whole gears falls back to inference', () => {
+  const csv = buildLog({
+    extra: ({ rpm, pull }) => ({
+      'Gear Position': pull === null ? 0 : 2.5,
+      'Vehicle Speed [km/h]': pull === null ? 0 : kmhInThird(rpm).toFixed(1),
+    }),
+  });
+  const r = analyze(csv);
+
+  assert.equal(r.gears.source, 'inferred');
+  assert.deepEqual(r.gears.breakdown.map(g => g.gear), [3]);
+});
+
+test('a logged gear column splits the session per gear, with traction-limited gears marked', () => {
+  // Pulls in 2nd, 3rd and 4th; knock only in 4th
+  const gears = [2, 3, 4];
+  const r = analyze(buildLog({
+    pulls: 3,
+    extra: ({ pull, step }) => ({
+      Gear: pull === null ? 0 : gears[pull],
+      'Ign Corr Cyl 1': pull === 2 && step >= 20 && step < 26 ? -4 : 0,
+    }),
+  }));
+
+  assert.equal(r.gears.source, 'column');
+  assert.deepEqual(r.gears.breakdown.map(g => [g.gear, g.wot_rows, g.traction_limited, g.status]), [
+    [2, PULL_ROWS, true, 'Safe'],
+    [3, PULL_ROWS, false, 'Safe'],
+    [4, PULL_ROWS, false, 'Risk'],
+  ]);
+  assert.equal(r.gears.breakdown[2].timing.max_correction, -4);
+  assert.deepEqual(r.pulls.map(p => p.gears), [[2], [3], [4]]);
+});
+
+// ─── Engine Temperatures ─────────────────────────────────────────────────────
+
+// Oil 120–138 and coolant 140 without a unit in the header: a cold engine in °F
+const coldUnlabeled = ({ i }) => ({ 'Oil Temp': (120 + i * 0.25).toFixed(1), 'Coolant Temp': 140 });
+
+test('unlabeled engine temps take the unit from the labeled IAT column', () => {
+  const r = analyze(buildLog({ extra: ctx => ({ ...coldUnlabeled(ctx), 'IAT [°F]': 90 }) }));
+  const temps = r.metrics.engineTemps;
+
+  assert.equal(temps.oil.unit, 'F');
+  assert.equal(temps.coolant.peak_f, 140);
+  assert.deepEqual(temps.cold_pulls.map(p => p.pull), [1]);
+  assert.equal(temps.status, 'Caution');
+});
+
+test('unlabeled engine temps fall back to the units setting', () => {
+  const r = analyze(buildLog({ extra: coldUnlabeled }), { ...CAR_DETAILS, units: 'US' });
+
+  assert.equal(r.metrics.engineTemps.coolant.unit, 'F');
+  assert.equal(r.metrics.engineTemps.cold_pulls.length, 1);
+});
+
+test('unlabeled engine temps with no unit to go on are not graded', () => {
+  const r = analyze(buildLog({ extra: coldUnlabeled }));
+  const temps = r.metrics.engineTemps;
+
+  assert.equal(temps.oil, null);
+  assert.equal(temps.coolant, null);
+  assert.equal(temps.status, 'Safe');
+  assert.match(temps.note, /not graded/);
+});
+
+test('a session that warms up flags only the cold first pull and grades peaks in °F', () => {
+  // Oil 50 → 114 °C, coolant 60 → 100 °C, transmission 95 → 135 °C over two pulls
+  const r = analyze(buildLog({
+    pulls: 2,
+    extra: ({ i }) => ({
+      'Oil Temp [°C]': (50 + i * 0.4).toFixed(1),
+      'Coolant Temp [°C]': (60 + i * 0.25).toFixed(1),
+      'Trans Temp [°C]': (95 + i * 0.25).toFixed(1),
+    }),
+  }));
+  const temps = r.metrics.engineTemps;
+
+  assert.deepEqual(temps.cold_pulls, [{ pull: 1, time: 2, oil_f: 136.4, coolant_f: 149 }]);
+  assert.deepEqual([temps.oil.min_f, temps.oil.peak_f, temps.oil.status], [122, 236.5, 'Safe']);
+  assert.deepEqual([temps.trans.peak_f, temps.trans.status], [274.6, 'Risk']);
+  assert.equal(temps.status, 'Risk');
+  assert.deepEqual(r.pulls.map(p => p.metrics.engineTemps.status), ['Caution', 'Risk']);
+});
+
+// ─── Fuel Trims ──────────────────────────────────────────────────────────────
+
+test('small unlabeled percent trims are not read as a multiplier', () => {
+  const r = analyze(buildLog({
+    extra: ({ i }) => ({ STFT: ((i % 5) - 2) * 0.5, LTFT: (0.8 + (i % 5) * 0.1).toFixed(1) }),
+  }));
+  const trims = r.metrics.fuelTrims;
+
+  assert.equal(trims.ltft_mean, 1);
+  assert.equal(trims.implied_ethanol, 32);
+  assert.equal(trims.status, 'Safe');
+});
+
+test('a trim header that says factor is read as a multiplier', () => {
+  const r = analyze(buildLog({ extra: () => ({ 'LTFT Factor': 1.15 }) }));
+  const trims = r.metrics.fuelTrims;
+
+  assert.equal(trims.ltft_mean, 15);
+  assert.equal(trims.implied_ethanol, 59);
+  assert.equal(trims.status, 'Caution');
+});
+
+test('positive trims imply more ethanol than entered and negative trims less', () => {
+  const rich = analyze(buildLog({ extra: () => ({ 'STFT [%]': 2, 'LTFT [%]': 6 }) })).metrics.fuelTrims;
+  const lean = analyze(buildLog({ extra: () => ({ 'STFT [%]': -1, 'LTFT [%]': -7 }) })).metrics.fuelTrims;
+
+  // Closed loop only — the 20 idle rows
+  assert.equal(rich.samples, IDLE_ROWS);
+  assert.deepEqual([rich.combined_mean, rich.implied_ethanol, rich.ethanol_delta], [8, 47, 17]);
+  assert.deepEqual([lean.combined_mean, lean.implied_ethanol, lean.ethanol_delta], [-8, 11, -19]);
+  assert.match(rich.note, /Trims imply ~E47, not the E30 entered/);
+});
+
+// ─── Misfires ────────────────────────────────────────────────────────────────
+
+test('a running misfire counter that resets mid-log counts from the new value', () => {
+  // Stale count of 40, three misfires in pull 1, cleared to 0 before pull 2, one more there
+  let counter = 40;
+  const r = analyze(buildLog({
+    pulls: 2,
+    extra: ({ pull, step }) => {
+      if (pull === 0 && step >= 10 && step < 13) counter++;
+      if (pull === null && counter === 43 && step === 5) counter = 0;
+      if (pull === 1 && step === 10) counter++;
+      return { 'Misfire Cyl 1': counter, 'Misfire Cyl 2': 0 };
+    },
+  }));
+  const misfires = r.metrics.misfires;
+
+  assert.equal(misfires.total, 4);
+  assert.equal(misfires.load_total, 4);
+  assert.deepEqual(misfires.per_cylinder.map(c => c.total), [4, 0]);
+  assert.equal(misfires.cause, 'ignition');
+  assert.equal(misfires.status, 'Caution');
+});
+
+// One per-sample misfire on each of `cylinders` around step 18 of the pull
+const misfiresOn = (cylinders, extra = () => ({})) => buildLog({
+  extra: ctx => ({
+    ...extra(ctx),
+    ...Object.fromEntries([1, 2, 3, 4, 5, 6].map(c => [
+      `Misfire Cyl ${c}`, ctx.pull === 0 && cylinders.includes(c) && ctx.step === 18 + (c % 2) ? 1 : 0,
+    ])),
+  }),
+});
+
+test('misfires that follow a lean mixture are blamed on fueling', () => {
+  const r = analyze(misfiresOn([1, 2], ({ pull, step }) => (pull === 0 && step >= 14 && step < 22 ? { Lambda: 0.95 } : {})));
+  const misfires = r.metrics.misfires;
+
+  assert.deepEqual(misfires.per_cylinder.filter(c => c.total > 0).map(c => c.cylinder), [1, 2]);
+  assert.equal(misfires.load_total, 2);
+  assert.equal(misfires.lean_share, 1);
+  assert.equal(misfires.cause, 'fueling');
+});
+
+test('misfires spread over three cylinders are blamed on fueling even on target', () => {
+  const misfires = analyze(misfiresOn([1, 2, 3])).metrics.misfires;
+
+  assert.equal(misfires.lean_share, 0);
+  assert.equal(misfires.cause, 'fueling');
+  assert.match(misfires.note, /cylinders 1, 2, 3/);
+});
+
+// ─── Data Quality ────────────────────────────────────────────────────────────
+
+test('dropouts, spikes and a stuck sensor are excluded before grading', () => {
+  const r = analyze(buildLog({
+    pulls: 3,
+    extra: ({ i, pull, step }) => ({
+      ...(pull === 0 && step === 20 ? { 'Boost [psi]': 40 } : {}),
+      // A one-row lean excursion at WOT is real and must reach the grading
+      ...(pull === 0 && step === 30 ? { Lambda: 1.0 } : {}),
+      ...(pull === 1 && (step === 10 || step === 11) ? { Lambda: 0 } : {}),
+      // IAT stops updating from the second pull on
+      'IAT [°F]': i >= 80 ? 100 : 90 + (i % 7),
+    }),
+  }));
+  const quality = r.data_quality;
+
+  assert.deepEqual(quality.channels.map(c => [c.column, c.dropouts, c.spikes, c.frozen_rows, c.first_time]), [
+    ['Lambda', 2, 0, 0, 11],
+    ['Boost [psi]', 0, 1, 0, 4],
+    ['IAT [°F]', 0, 0, 160, 8],
+  ]);
+  assert.equal(quality.excluded_samples, 163);
+  assert.equal(quality.status, 'Caution');
+  assert.equal(quality.note, 'Excluded 163 glitched samples from Lambda, Boost [psi], IAT [°F].');
+
+  // The excluded samples never reach the metrics; the lean row does
+  assert.equal(r.metrics.boost.actual, 18);
+  assert.equal(r.metrics.iat.peak_f, 96);
+  assert.deepEqual([r.metrics.afr.lambda, r.metrics.afr.lean_events, r.metrics.afr.status], [1, 1, 'Risk']);
+});
+
+test('a single-row lean excursion at WOT still grades Risk', () => {
+  const r = analyze(buildLog({
+    extra: ({ pull, step }) => ({
+      Lambda: '',
+      'Lambda Target': '',
+      AFR: pull === 0 ? (step === 20 ? '14.6' : '12.0') : '14.7',
+    }),
+  }), { ...CAR_DETAILS, ethanol: 10 });
+
+  assert.deepEqual(r.data_quality.channels, []);
+  assert.equal(r.metrics.afr.lean_events, 1);
+  assert.equal(r.metrics.afr.status, 'Risk');
+});
+
+test('a clean log reports nothing excluded', () => {
+  const quality = analyze(buildLog()).data_quality;
+
+  assert.equal(quality.sample_rate_hz, 10);
+  assert.deepEqual(quality.channels, []);
+  assert.equal(quality.status, 'Safe');
+  assert.equal(quality.note, null);
+});
@@ -0,0 +1,98 @@
+/**
+ * Parity suite — every entry point must produce byte-identical JSON for the
+ * same input: the browser path (shared/ called with a FileReader string), the
+ * Express dev server (server/app.js) and the Vercel functions (api/*.js).
+ *
+ * Run with `npm test`.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+
+import { analyzeLog } from '../shared/logAnalyzer.js';
+import { calculateBlend, solveBlend } from '../shared/blendMath.js';
+import serverApp from '../server/app.js';
+import analyzeLogFn from '../api/analyze-log.js';
+import calculateBlendFn from '../api/calculate-blend.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const CSV_FIXTURES = readdirSync(FIXTURES).filter(f => f.endsWith('.csv'));
+const BLEND_CASES = JSON.parse(readFileSync(path.join(FIXTURES, 'blend-cases.json'), 'utf8'));
+
+const CAR_DETAILS = { ethanol: 30, engine: 'B58 Gen2', tuneStage: 'Stage 2' };
+
+// ─── Harness ─────────────────────────────────────────────────────────────────
+
+const listeners = {};
+
+function listen(name, app) {
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      listeners[name] = { server, url: `http://127.0.0.1:${server.address().port}` };
+      resolve();
+    });
+  });
+}
+
+before(async () => {
+  await listen('server', serverApp);
+  await listen('analyzeFn', analyzeLogFn);
+  await listen('blendFn', calculateBlendFn);
+});
+
+after(() => {
+  for (const { server } of Object.values(listeners)) server.close();
+});
+
+async function postCsv(baseUrl, filename, buffer) {
+  const form = new FormData();
+  form.append('file', new Blob([buffer], { type: 'text/csv' }), filename);
+  form.append('car_details', JSON.stringify(CAR_DETAILS));
+  const res = await fetch(`${baseUrl}/api/analyze-log`, { method: 'POST', body: form });
+  return res.json();
+}
+
+async function postBlend(baseUrl, body) {
+  const res = await fetch(`${baseUrl}/api/calculate-blend`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return res.json();
+}
+
+// Round-trip through JSON so the in-process result compares like an HTTP body
+const asJson = v => JSON.parse(JSON.stringify(v));
+
+// ─── Log analysis ────────────────────────────────────────────────────────────
+
+for (const file of CSV_FIXTURES) {
+  test(`analyze-log parity: ${file}`, async () => {
+    const buffer = readFileSync(path.join(FIXTURES, file));
+    const browser = asJson(analyzeLog(buffer.toString('utf8'), file, CAR_DETAILS));
+
+    assert.deepEqual(asJson(analyzeLog(buffer, file, CAR_DETAILS)), browser, 'Buffer vs string input');
+    assert.deepEqual(await postCsv(listeners.server.url, file, buffer), { success: true, data: browser }, 'server/app.js');
+    assert.deepEqual(await postCsv(listeners.analyzeFn.url, file, buffer), { success: true, data: browser }, 'api/analyze-log.js');
+  });
+}
+
+// ─── Blend math ──────────────────────────────────────────────────────────────
+
+for (const { name, body } of BLEND_CASES) {
+  test(`calculate-blend parity: ${name}`, async () => {
+    const solve = Array.isArray(body.fuels) ? solveBlend : calculateBlend;
+    let expected;
+    try {
+      expected = { success: true, data: asJson(solve(body)) };
+    } catch (err) {
+      expected = { success: false, error: err.message };
+    }
+
+    assert.deepEqual(await postBlend(listeners.server.url, body), expected, 'server/app.js');
+    assert.deepEqual(await postBlend(listeners.blendFn.url, body), expected, 'api/calculate-blend.js');
+  });
+}
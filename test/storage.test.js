@@ -0,0 +1,85 @@
+/**
+ * Storage behaviour — the garage, and fills recorded per vehicle with the
+ * tank estimate read back from them. localStorage is shimmed with an
+ * in-memory map.
+ *
+ * Run with `npm test`.
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+const store = new Map();
+globalThis.localStorage = {
+  getItem:    key => (store.has(key) ? store.get(key) : null),
+  setItem:    (key, value) => store.set(key, String(value)),
+  removeItem: key => store.delete(key),
+};
+
+const {
+  recordFill, getTankState, getFuelLedger,
+  saveVehicle, removeVehicle, getActiveVehicle, setActiveVehicle, getThresholdProfile, saveThresholdProfile,
+} = await import('../src/utils/storage.js');
+
+const M3 = { id: 'm3', name: 'M340i', tank_size: 15.6 };
+const SUPRA = { id: 'supra', name: 'Supra', tank_size: 13.7 };
+
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+beforeEach(() => store.clear());
+
+// ─── Fuel Ledger ─────────────────────────────────────────────────────────────
+
+test('tank state follows the last fill and the burn rate between fills', () => {
+  recordFill({ vehicle: M3, gallons_before: 4, ethanol_before: 10, fills: [{ name: 'E85', ethanol_percent: 85, gallons: 6 }], date: daysAgo(10) });
+  recordFill({ vehicle: M3, gallons_before: 2, ethanol_before: 55, fills: [{ name: 'E85', ethanol_percent: 85, gallons: 8 }], date: daysAgo(0) });
+
+  const [latest] = getFuelLedger(M3);
+  assert.equal(latest.resulting_percent, 79);
+  assert.equal(latest.consumed_gallons, 8);
+  assert.equal(latest.days_since_last, 10);
+
+  const state = getTankState(M3);
+  assert.equal(state.ethanol_percent, 79);
+  assert.equal(state.gallons, 10);
+  assert.equal(state.burn_per_day, 0.8);
+});
+
+test('each vehicle keeps its own tank', () => {
+  recordFill({ vehicle: M3, gallons_before: 2, ethanol_before: 10, fills: [{ name: 'E85', ethanol_percent: 85, gallons: 8 }] });
+  recordFill({ vehicle: SUPRA, gallons_before: 5, ethanol_before: 10, fills: [{ name: '93', ethanol_percent: 10, gallons: 5 }] });
+
+  assert.equal(getTankState(M3).ethanol_percent, 70);
+  assert.equal(getTankState(M3).gallons, 10);
+  assert.equal(getTankState(SUPRA).ethanol_percent, 10);
+  // The Supra's first fill has nothing before it, even though the M3 was filled first
+  assert.equal(getFuelLedger(SUPRA)[0].consumed_gallons, null);
+  assert.equal(getTankState(), null);
+});
+
+// ─── Garage ──────────────────────────────────────────────────────────────────
+
+test('a newly added vehicle becomes the active one; editing keeps the selection', () => {
+  saveVehicle(M3);
+  saveVehicle(SUPRA);
+  assert.equal(getActiveVehicle().id, 'supra');
+
+  setActiveVehicle('m3');
+  saveVehicle({ ...SUPRA, tank_size: 14 });
+  assert.equal(getActiveVehicle().id, 'm3');
+
+  // Removing the active vehicle falls back to the first one left
+  setActiveVehicle('supra');
+  removeVehicle('supra');
+  assert.equal(getActiveVehicle().id, 'm3');
+});
+
+test("a vehicle's threshold profile wins over the default one", () => {
+  saveVehicle(M3);
+  saveThresholdProfile({ name: 'Street' });
+  saveThresholdProfile({ name: 'Race E50' }, getActiveVehicle());
+
+  assert.equal(getThresholdProfile(getActiveVehicle()).name, 'Race E50');
+  assert.equal(getThresholdProfile(SUPRA).name, 'Street');
+  assert.equal(getThresholdProfile().name, 'Street');
+});